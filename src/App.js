@@ -1,50 +1,133 @@
-import React, { useState, useCallback, useMemo } from 'react';
-
-// Regular expressions to find pathogenic variants and associations
-const pathogenicPattern = /(-VAR_)|(-[A-Z]\d+[A-Z])/;
-const associationPattern = /\| Association:(.*?)(?=\s*\||$)/;
-const clinicalSignificancePattern = /\| ClinicalSignificance:(.*?)(?=\s*\||$)/;
-
-/**
- * Helper function to dynamically find column indices from the header row.
- * @param {string} headerRow The raw header line from the file.
- * @param {string[]} columnsToFind An array of column names to find.
- * @returns {Object.<string, number>} An object mapping column names to their 0-based index.
- */
-const getColumnIndices = (headerRow, columnsToFind) => {
-  const headers = headerRow.split('\t').map(h => h.replace(/"/g, '').trim().toLowerCase());
-  const indices = {};
-  columnsToFind.forEach(col => {
-    indices[col] = headers.findIndex(h => h.includes(col.toLowerCase()));
-  });
-  return indices;
-};
+import React, { useState, useCallback, useMemo, useRef } from 'react';
+import { SOURCE_SOFTWARE } from './adapters';
+import { parseSamplesInWorker } from './parserClient';
+import { parseFasta, addSequenceCoverage } from './fasta';
+import { rollUpPeptides } from './peptides';
+import { LEADING_PROTEIN_CRITERIA, collapseToLeadingProteins } from './proteinGroups';
+import { addVariantEvidence } from './variants';
+import { addReferenceAnnotations, getGenesByAccession } from './references';
+import { addFastaAnnotations, getAnnotationKeys, getAnnotationFacets, filterByAnnotations } from './annotations';
+import { getDefaultColumnLayout, getVisibleColumns } from './resultsTable';
+import { getExportColumns } from './exporters';
+import { buildHtmlReport } from './report';
+import { downloadTextFile } from './download';
+import { getFilterFields, compileFilterExpression } from './filterExpression';
+import { NORMALIZATION_METHODS, normalizeAreas, describeNormalization } from './normalization';
+import { IMPUTATION_METHODS, describeImputation } from './imputation';
+import { findDuplicateSampleNames, aggregateReplicates, passesReplicateFilters, describeReplicateFilters } from './design';
+import { readFilePreview, loadColumnTemplates, resolveColumnMapping, checkRequiredColumns } from './columnMapping';
+import ComparisonMatrix from './components/ComparisonMatrix';
+import AnnotationFacets from './components/AnnotationFacets';
+import FilterExpressionInput from './components/FilterExpressionInput';
+import ExportPanel from './components/ExportPanel';
+import ProteinGroupExplorer from './components/ProteinGroupExplorer';
+import OverlapAnalysis from './components/OverlapAnalysis';
+import ClusteredHeatmap from './components/ClusteredHeatmap';
+import QcDashboard from './components/QcDashboard';
+import ExperimentalDesign from './components/ExperimentalDesign';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
+import ReplicateAggregation from './components/ReplicateAggregation';
+import ResultsTable from './components/ResultsTable';
+import DifferentialAnalysis from './components/DifferentialAnalysis';
+import ParseProgress, { getOverallProgress } from './components/ParseProgress';
+import ParsingReport from './components/ParsingReport';
+import ProjectManager from './components/ProjectManager';
+
+// Views available in the results section
+const resultViews = [
+  { id: 'table', label: 'Protein Table' },
+  { id: 'groups', label: 'Protein Groups' },
+  { id: 'comparison', label: 'Sample Comparison' },
+  { id: 'replicates', label: 'Replicates' },
+  { id: 'overlap', label: 'Sample Overlap' },
+  { id: 'heatmap', label: 'Heatmap' },
+  { id: 'qc', label: 'Quality Control' },
+  { id: 'differential', label: 'Differential Abundance' },
+];
 
 /**
- * A robust line parser that handles tabs within double-quoted fields.
- * @param {string} line The raw line from the file.
- * @returns {string[]} An array of columns.
+ * What the column mapping step needs to know about a sample file.
+ * @param {object} sample The sample input.
+ * @param {string} fileType The file type.
+ * @param {import('./columnMapping').FilePreview} preview The header and first rows of the file.
+ * @param {Object.<string, string>} mapping The mapping that currently applies to the file.
+ * @returns {import('./components/ColumnMappingWizard').ColumnMappingRequest} The request.
  */
-const parseLine = (line) => {
-  // Regex to split by tab, but only if the tab is not inside double quotes.
-  const regex = /\t(?=(?:[^"]*"[^"]*")*[^"]*$)/;
-  return line.split(regex).map(col => col.replace(/"/g, '').trim());
-};
+const getColumnMappingRequest = (sample, fileType, preview, mapping) => ({
+  sampleId: sample.id,
+  sampleName: sample.name,
+  sourceSoftware: sample.sourceSoftware,
+  fileType,
+  fileLabel: SOURCE_SOFTWARE[sample.sourceSoftware].files[fileType],
+  preview,
+  mapping,
+});
 
 const App = () => {
-  const [sampleInputs, setSampleInputs] = useState([{ id: 1, name: '', sourceSoftware: 'Peaks Studio', files: { peptides: null, proteins: null } }]);
+  const [sampleInputs, setSampleInputs] = useState([{ id: 1, name: '', sourceSoftware: 'Peaks Studio', condition: '', bioReplicate: '', techReplicate: '', batch: '', files: { peptides: null, proteins: null } }]);
   const [fastaFile, setFastaFile] = useState(null);
   const [fastaIds, setFastaIds] = useState(null);
+  const [fastaEntries, setFastaEntries] = useState(null);
+  const [referenceFiles, setReferenceFiles] = useState([]);
+  const [referenceIndex, setReferenceIndex] = useState(null);
   const [processedData, setProcessedData] = useState([]);
+  const [analyzedInputs, setAnalyzedInputs] = useState(null);
+  const [fileReports, setFileReports] = useState([]);
+  const [columnMappingRequest, setColumnMappingRequest] = useState(null);
+  const [projectName, setProjectName] = useState('');
+  const [peptidesBySample, setPeptidesBySample] = useState({});
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [parseProgress, setParseProgress] = useState(null);
+  const cancelParseRef = useRef(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [minTotalPeptides, setMinTotalPeptides] = useState('');
   const [minArea, setMinArea] = useState('');
   const [minUniquePeptides, setMinUniquePeptides] = useState('');
+  const [minRazorPeptides, setMinRazorPeptides] = useState('');
+  const [maxSharedPeptides, setMaxSharedPeptides] = useState('');
+  const [minVariantPeptides, setMinVariantPeptides] = useState('');
   const [manualFastaIdsText, setManualFastaIdsText] = useState('');
-  const [expandedRow, setExpandedRow] = useState(null);
   const [showUnitaryGroupsOnly, setShowUnitaryGroupsOnly] = useState(false);
+  const [annotationSelections, setAnnotationSelections] = useState({});
+  const [excludeOxidationOnly, setExcludeOxidationOnly] = useState(false);
+  const [minPeptideScore, setMinPeptideScore] = useState('');
+  const [minPeptideSpectra, setMinPeptideSpectra] = useState('');
+  const [maxPeptidePpm, setMaxPeptidePpm] = useState('');
+  const [allowedCharges, setAllowedCharges] = useState('');
+  const [showPhosphoOnly, setShowPhosphoOnly] = useState(false);
+  const [filterExpression, setFilterExpression] = useState('');
+  const [resultsView, setResultsView] = useState('table');
+  const [showExportPanel, setShowExportPanel] = useState(false);
+  const [groupLeadingBy, setGroupLeadingBy] = useState('peptides');
+  const [collapseGroups, setCollapseGroups] = useState(false);
+  const [replicateFilters, setReplicateFilters] = useState({});
+  const [overlapSelection, setOverlapSelection] = useState(null);
+  const [tableFocus, setTableFocus] = useState(null);
+  const [tableColumnLayout, setTableColumnLayout] = useState(getDefaultColumnLayout);
+  const [tableSortKeys, setTableSortKeys] = useState([]);
+  const [normalizationMethod, setNormalizationMethod] = useState('none');
+  const [log2Transform, setLog2Transform] = useState(false);
+  const [imputationMethod, setImputationMethod] = useState('none');
+
+  // Filter and view settings saved with a project, and the setters that restore them
+  const projectSettings = {
+    searchTerm, minTotalPeptides, minArea, minUniquePeptides, minRazorPeptides, maxSharedPeptides, minVariantPeptides,
+    showUnitaryGroupsOnly, showPhosphoOnly, filterExpression, annotationSelections, excludeOxidationOnly, minPeptideScore, minPeptideSpectra,
+    maxPeptidePpm, allowedCharges, normalizationMethod, log2Transform, groupLeadingBy, collapseGroups, resultsView,
+    tableColumnLayout, tableSortKeys, replicateFilters, imputationMethod,
+  };
+  const projectSettingSetters = {
+    searchTerm: setSearchTerm, minTotalPeptides: setMinTotalPeptides, minArea: setMinArea, minUniquePeptides: setMinUniquePeptides,
+    minRazorPeptides: setMinRazorPeptides, maxSharedPeptides: setMaxSharedPeptides, minVariantPeptides: setMinVariantPeptides,
+    showUnitaryGroupsOnly: setShowUnitaryGroupsOnly, showPhosphoOnly: setShowPhosphoOnly, filterExpression: setFilterExpression,
+    annotationSelections: setAnnotationSelections,
+    excludeOxidationOnly: setExcludeOxidationOnly, minPeptideScore: setMinPeptideScore, minPeptideSpectra: setMinPeptideSpectra,
+    maxPeptidePpm: setMaxPeptidePpm, allowedCharges: setAllowedCharges, normalizationMethod: setNormalizationMethod,
+    log2Transform: setLog2Transform, groupLeadingBy: setGroupLeadingBy, collapseGroups: setCollapseGroups, resultsView: setResultsView,
+    tableColumnLayout: setTableColumnLayout, tableSortKeys: setTableSortKeys, replicateFilters: setReplicateFilters,
+    imputationMethod: setImputationMethod,
+  };
 
   const handleFileChange = (e, id, fileType) => {
     const file = e.target.files[0];
@@ -60,9 +143,17 @@ const App = () => {
     ));
   };
 
+  const handleSoftwareChange = (e, id) => {
+    const { value } = e.target;
+    // Files are reset because each software expects a different set of exports
+    setSampleInputs(prevInputs => prevInputs.map(input =>
+      input.id === id ? { ...input, sourceSoftware: value, files: { peptides: null, proteins: null }, fileNames: {}, columnMappings: {} } : input
+    ));
+  };
+
   const addSampleInput = () => {
     const newId = sampleInputs.length ? Math.max(...sampleInputs.map(s => s.id)) + 1 : 1;
-    setSampleInputs([...sampleInputs, { id: newId, name: '', sourceSoftware: 'Peaks Studio', files: { peptides: null, proteins: null } }]);
+    setSampleInputs([...sampleInputs, { id: newId, name: '', sourceSoftware: 'Peaks Studio', condition: '', bioReplicate: '', techReplicate: '', batch: '', files: { peptides: null, proteins: null } }]);
   };
 
   const handleRemoveInput = (id) => {
@@ -71,30 +162,49 @@ const App = () => {
     }
   };
 
+  const openColumnMapping = async (sample, fileType) => {
+    try {
+      const preview = await readFilePreview(sample.files[fileType]);
+      const { mapping } = resolveColumnMapping(sample, fileType, preview.headers, loadColumnTemplates());
+      setColumnMappingRequest(getColumnMappingRequest(sample, fileType, preview, mapping));
+    } catch (err) {
+      console.error('Error reading file preview:', err);
+      setError(`Could not read ${sample.files[fileType].name}: ${err.message}`);
+    }
+  };
+
+  const applyColumnMapping = (mapping, templateName) => {
+    const { sampleId, fileType, preview } = columnMappingRequest;
+    setSampleInputs(prevInputs => prevInputs.map(input => (input.id !== sampleId ? input : {
+      ...input,
+      columnMappings: { ...input.columnMappings, [fileType]: { headers: preview.headers, mapping, template: templateName } },
+    })));
+    setColumnMappingRequest(null);
+    setError(null);
+  };
+
   const processData = useCallback(async () => {
     setError(null);
     setLoading(true);
     setProcessedData([]);
+    setAnalyzedInputs(null);
+    setFileReports([]);
+    setOverlapSelection(null);
+    setTableFocus(null);
+    setPeptidesBySample({});
     setFastaIds(null);
+    setFastaEntries(null);
+    setReferenceIndex(null);
+    setAnnotationSelections({});
 
     try {
       let parsedFastaIds = null;
+      let parsedFastaEntries = null;
       if (fastaFile) {
-        const fastaText = await fastaFile.text();
-        const ids = new Set();
-        const lines = fastaText.split('\n');
-        for (const line of lines) {
-          if (line.startsWith('>')) {
-            const parts = line.substring(1).split('|');
-            if (parts.length > 1) {
-              ids.add(parts[1].trim());
-            } else {
-              ids.add(parts[0].trim());
-            }
-          }
-        }
-        parsedFastaIds = ids;
+        parsedFastaEntries = parseFasta(await fastaFile.text());
+        parsedFastaIds = new Set(parsedFastaEntries.keys());
       }
+      setFastaEntries(parsedFastaEntries);
 
       const parsedManualIds = new Set();
       if (manualFastaIdsText.trim()) {
@@ -114,141 +224,200 @@ const App = () => {
       }
       setFastaIds(combinedFastaIds);
       
-      const allProteins = [];
-      const allPeptides = new Map();
-      const sampleGroupCounts = new Map();
+      // Records are keyed by sample name, so two samples with one name would silently merge
+      const duplicateNames = findDuplicateSampleNames(sampleInputs.map(sample => sample.name));
+      if (duplicateNames.length > 0) {
+        setError(`Sample names must be unique. Rename the samples called: ${duplicateNames.join(', ')}.`);
+        setLoading(false);
+        return;
+      }
 
       for (const sample of sampleInputs) {
-        if (!sample.name || !sample.files.peptides || !sample.files.proteins) {
-          setError(`Missing information for sample ${sample.id}. Ensure the name and both files are uploaded.`);
-          setLoading(false);
-          return;
-        }
-
-        const peptidesText = await sample.files.peptides.text();
-        const proteinsText = await sample.files.proteins.text();
-
-        const peptidesLines = peptidesText.split('\n').filter(line => line.trim() !== '');
-        const proteinsLines = proteinsText.split('\n').filter(line => line.trim() !== '');
-
-        if (peptidesLines.length < 2 || proteinsLines.length < 2) {
-          setError(`Error: Files for sample ${sample.name} are empty or the format is incorrect.`);
-          setLoading(false);
-          return;
-        }
-
-        const proteinsHeader = proteinsLines[0];
-        const peptidesHeader = peptidesLines[0];
-
-        const proteinsIndices = getColumnIndices(proteinsHeader, ['Accession', 'Protein Group', 'Area', '#Peptides', 'Description']);
-        const peptidesIndices = getColumnIndices(peptidesHeader, ['Protein Accession', 'Peptide']);
-        
-        const missingProteinsCols = Object.entries(proteinsIndices).filter(([key, val]) => val === -1).map(([key]) => key);
-        if (missingProteinsCols.length > 0) {
-          setError(`Error: Protein file for sample '${sample.name}' does not contain the required columns: ${missingProteinsCols.join(', ')}.`);
-          setLoading(false);
-          return;
-        }
-
-        const missingPeptidesCols = Object.entries(peptidesIndices).filter(([key, val]) => val === -1).map(([key]) => key);
-        if (missingPeptidesCols.length > 0) {
-          setError(`Error: Peptide file for sample '${sample.name}' does not contain the required columns: ${missingPeptidesCols.join(', ')}.`);
+        const fileTypes = Object.keys(SOURCE_SOFTWARE[sample.sourceSoftware].files);
+        if (!sample.name || fileTypes.some(fileType => !sample.files[fileType])) {
+          setError(`Missing information for sample ${sample.id}. Ensure the name and all ${sample.sourceSoftware} files are uploaded.`);
           setLoading(false);
           return;
         }
+      }
 
-        peptidesLines.slice(1).forEach(row => {
-          const columns = row.split('\t');
-          const peptideSequence = columns[peptidesIndices['Peptide']] || 'N/A';
-          const proteinAccessionFull = columns[peptidesIndices['Protein Accession']] || '';
-          const proteinAccession = proteinAccessionFull.split('|').length > 1 ? proteinAccessionFull.split('|')[1] : proteinAccessionFull;
-
-          if (proteinAccession) {
-            const peptideId = `${sample.name}-${proteinAccession}`;
-            if (!allPeptides.has(peptideId)) {
-                allPeptides.set(peptideId, new Set());
-            }
-            allPeptides.get(peptideId).add(peptideSequence);
+      // Required columns are checked on a preview first, so a missing one opens the mapping step
+      // instead of failing after the files were read
+      const templates = loadColumnTemplates();
+      const samplesToParse = [];
+      for (const sample of sampleInputs) {
+        const columnMappings = {};
+        for (const fileType of Object.keys(SOURCE_SOFTWARE[sample.sourceSoftware].files)) {
+          const preview = await readFilePreview(sample.files[fileType]);
+          columnMappings[fileType] = resolveColumnMapping(sample, fileType, preview.headers, templates);
+          const { message } = checkRequiredColumns(sample, fileType, preview, columnMappings[fileType].mapping);
+          if (message) {
+            setColumnMappingRequest(getColumnMappingRequest(sample, fileType, preview, columnMappings[fileType].mapping));
+            setError(`${message} Assign the columns in the mapping step below, then process the files again.`);
+            setLoading(false);
+            return;
           }
-        });
-
-        const parsedProteinsForThisSample = [];
-        proteinsLines.slice(1).forEach(row => {
-            const columns = parseLine(row);
-            const accessionFull = columns[proteinsIndices['Accession']] || '';
-            const accession = accessionFull.split('|').length > 1 ? accessionFull.split('|')[1] : accessionFull;
-            const proteinGroup = columns[proteinsIndices['Protein Group']] || 'N/A';
-            const area = parseFloat(columns[proteinsIndices['Area']]) || 0;
-            const totalPeptides = parseInt(columns[proteinsIndices['#Peptides']], 10) || 0;
-            
-            const description = (columns[proteinsIndices['Description']] || '').replace(/"/g, '').trim();
-            
-            let diseaseAssociation = 'N/A';
-            const associationMatch = description.match(associationPattern);
-            const clinicalSignificanceMatch = description.match(clinicalSignificancePattern);
-            const associations = [];
-            if (associationMatch && associationMatch[1]) {
-                associations.push(associationMatch[1].trim());
-            }
-            if (clinicalSignificanceMatch && clinicalSignificanceMatch[1]) {
-                associations.push(clinicalSignificanceMatch[1].trim());
-            }
-            if (associations.length > 0) {
-                diseaseAssociation = associations.join('; ');
-            } else if (description.toUpperCase().includes('PATHOGENIC_VARIANT')) {
-                diseaseAssociation = 'PATHOGENIC_VARIANT';
-            } else if (description.match(pathogenicPattern)) {
-                diseaseAssociation = 'Pathogenic/Variant';
-            } else if (description.toLowerCase().includes('cancer')) {
-                diseaseAssociation = 'Cancer';
-            }
-  
-            const uniquePeptidesForProtein = Array.from(allPeptides.get(`${sample.name}-${accession}`) || []);
-            const uniquePeptidesCount = uniquePeptidesForProtein.length;
-  
-            parsedProteinsForThisSample.push({
-              accession,
-              description,
-              proteinGroup,
-              area,
-              totalPeptides,
-              uniquePeptidesCount,
-              uniquePeptides: uniquePeptidesForProtein,
-              sampleName: sample.name,
-              diseaseAssociation
-            });
-        });
-
-        // Count protein groups per sample
-        if (!sampleGroupCounts.has(sample.name)) {
-            sampleGroupCounts.set(sample.name, new Map());
         }
-        const currentSampleCounts = sampleGroupCounts.get(sample.name);
-        parsedProteinsForThisSample.forEach(protein => {
-            currentSampleCounts.set(protein.proteinGroup, (currentSampleCounts.get(protein.proteinGroup) || 0) + 1);
-        });
-
-        allProteins.push(...parsedProteinsForThisSample);
+        samplesToParse.push({ ...sample, columnMappings });
       }
-      
-      const finalProteins = allProteins.map(protein => ({
-          ...protein,
-          // Now we check the specific sample's group count
-          isUnitaryGroup: sampleGroupCounts.get(protein.sampleName)?.get(protein.proteinGroup) === 1
-      }));
-
+      setColumnMappingRequest(null);
+
+      setParseProgress(sampleInputs.map(sample => ({
+        sampleName: sample.name,
+        files: Object.keys(SOURCE_SOFTWARE[sample.sourceSoftware].files).map(fileType => ({
+          fileType,
+          fileName: sample.files[fileType].name,
+          bytesRead: 0,
+          totalBytes: sample.files[fileType].size,
+        })),
+      })).concat(referenceFiles.length === 0 ? [] : [{
+        sampleName: 'Reference annotations',
+        files: referenceFiles.map((file, fileIndex) => ({ fileType: `reference-${fileIndex}`, fileName: file.name, bytesRead: 0, totalBytes: file.size })),
+      }]));
+
+      const run = parseSamplesInWorker(samplesToParse, ({ sampleIndex, fileType, bytesRead }) => {
+        setParseProgress(prevProgress => prevProgress.map((entry, index) => (index !== sampleIndex ? entry : {
+          ...entry,
+          files: entry.files.map(file => (file.fileType === fileType ? { ...file, bytesRead } : file)),
+        })));
+      }, { files: referenceFiles, genesByAccession: getGenesByAccession(parsedFastaEntries) });
+      cancelParseRef.current = run.cancel;
+      const { proteins: finalProteins, peptidesBySample: parsedPeptides, referenceIndex: parsedReferenceIndex, fileReports: parsedFileReports } = await run.promise;
+
+      setReferenceIndex(parsedReferenceIndex);
+      setPeptidesBySample(parsedPeptides);
       setProcessedData(finalProteins);
+      setFileReports(parsedFileReports);
+      // Recorded at parse time so reports list the files behind these results, even if the inputs change later
+      setAnalyzedInputs({
+        samples: sampleInputs.map(sample => ({
+          sampleName: sample.name,
+          sourceSoftware: sample.sourceSoftware,
+          files: Object.entries(SOURCE_SOFTWARE[sample.sourceSoftware].files).map(([fileType, label]) => ({ label, name: sample.files[fileType].name, size: sample.files[fileType].size })),
+        })),
+        fastaFile: fastaFile ? { name: fastaFile.name, size: fastaFile.size } : null,
+        manualIdCount: parsedManualIds.size,
+        referenceFiles: referenceFiles.map(file => ({ name: file.name, size: file.size })),
+      });
 
     } catch (err) {
+      if (err.name === 'AbortError') return;
       console.error('Error processing files:', err);
-      setError(`Error processing files. Please ensure the format is correct. Details: ${err.message}`);
+      setError(err.name === 'ParserError' ? err.message : `Error processing files. Please ensure the format is correct. Details: ${err.message}`);
     } finally {
+      cancelParseRef.current = null;
+      setParseProgress(null);
       setLoading(false);
     }
-  }, [sampleInputs, fastaFile, manualFastaIdsText]);
+  }, [sampleInputs, fastaFile, manualFastaIdsText, referenceFiles]);
+
+  const getProject = (name) => ({
+    name,
+    samples: sampleInputs.map(({ id, name: sampleName, sourceSoftware, condition, bioReplicate, techReplicate, batch, files, fileNames, columnMappings }) => ({
+      id,
+      name: sampleName,
+      sourceSoftware,
+      condition,
+      bioReplicate,
+      techReplicate,
+      batch,
+      // Files from an opened project are only known by name until they are uploaded again
+      fileNames: Object.fromEntries(Object.keys(SOURCE_SOFTWARE[sourceSoftware].files).map(fileType => [fileType, files[fileType]?.name || fileNames?.[fileType] || ''])),
+      columnMappings: columnMappings || {},
+    })),
+    manualFastaIdsText,
+    fastaIds,
+    fastaEntries,
+    referenceIndex,
+    processedData,
+    peptidesBySample,
+    settings: projectSettings,
+    analyzedInputs,
+    fileReports,
+  });
+
+  const openProject = (project) => {
+    // Projects saved before the experimental design existed have no replicate or batch fields
+    setSampleInputs(project.samples.map(sample => ({ bioReplicate: '', techReplicate: '', batch: '', ...sample, files: { peptides: null, proteins: null } })));
+    setFastaFile(null);
+    setReferenceFiles([]);
+    setManualFastaIdsText(project.manualFastaIdsText || '');
+    setFastaIds(project.fastaIds);
+    setFastaEntries(project.fastaEntries);
+    setReferenceIndex(project.referenceIndex);
+    setPeptidesBySample(project.peptidesBySample);
+    setProcessedData(project.processedData);
+    setAnalyzedInputs(project.analyzedInputs);
+    setFileReports(project.fileReports || []);
+    setColumnMappingRequest(null);
+    setOverlapSelection(null);
+    setTableFocus(null);
+    setError(null);
+    Object.entries(project.settings).forEach(([setting, value]) => {
+      if (projectSettingSetters[setting]) projectSettingSetters[setting](value);
+    });
+  };
+
+  const cancelProcessing = () => {
+    if (cancelParseRef.current) {
+      cancelParseRef.current();
+    }
+  };
+
+  const normalization = useMemo(() => ({ method: normalizationMethod, log2: log2Transform }), [normalizationMethod, log2Transform]);
+  const normalizationLabel = describeNormalization(normalization);
+  // Missing values are imputed per view, on the records that pass the filters
+  const imputation = useMemo(() => ({ method: imputationMethod, alreadyLog2: log2Transform }), [imputationMethod, log2Transform]);
+  const imputationLabel = describeImputation(imputation);
+
+  // Peptide filters apply before the peptides are rolled up into per-protein counts
+  const peptideOptions = useMemo(() => {
+    const parseThreshold = (value) => (isNaN(parseFloat(value)) ? undefined : parseFloat(value));
+    return {
+      excludeOxidationOnly,
+      minScore: parseThreshold(minPeptideScore),
+      minSpectra: parseThreshold(minPeptideSpectra),
+      maxAbsPpm: parseThreshold(maxPeptidePpm),
+      allowedCharges: allowedCharges.split(/[\s,;]+/).map(charge => parseInt(charge, 10)).filter(charge => !isNaN(charge)),
+    };
+  }, [excludeOxidationOnly, minPeptideScore, minPeptideSpectra, maxPeptidePpm, allowedCharges]);
+  const rolledUpData = useMemo(() => rollUpPeptides(processedData, peptidesBySample, peptideOptions), [processedData, peptidesBySample, peptideOptions]);
+
+  // Sequence coverage, variant evidence and annotations depend only on the peptides and the reference files
+  const annotatedData = useMemo(() => {
+    const withVariants = addVariantEvidence(addSequenceCoverage(rolledUpData, fastaEntries), fastaEntries);
+    return addReferenceAnnotations(addFastaAnnotations(withVariants), referenceIndex, getGenesByAccession(fastaEntries));
+  }, [rolledUpData, fastaEntries, referenceIndex]);
+
+  // Normalization runs on the parsed records, before any filter is applied
+  const normalizedData = useMemo(() => normalizeAreas(annotatedData, normalization), [annotatedData, normalization]);
+
+  // The design is read live from the sample inputs so it can be changed without re-analyzing
+  const designBySample = useMemo(() => {
+    const design = {};
+    sampleInputs.forEach(sample => {
+      if (sample.name) {
+        design[sample.name] = {
+          condition: sample.condition.trim(),
+          bioReplicate: String(sample.bioReplicate || '').trim(),
+          techReplicate: String(sample.techReplicate || '').trim(),
+          batch: String(sample.batch || '').trim(),
+        };
+      }
+    });
+    return design;
+  }, [sampleInputs]);
+  const conditionBySample = useMemo(() => Object.fromEntries(Object.entries(designBySample).map(([sampleName, { condition }]) => [sampleName, condition])), [designBySample]);
+  const replicateAggregates = useMemo(() => aggregateReplicates(normalizedData, designBySample, log2Transform), [normalizedData, designBySample, log2Transform]);
+  // Filters of conditions that were renamed or removed are kept but not applied
+  const activeReplicateFilters = useMemo(() => Object.fromEntries(Object.entries(replicateFilters).filter(([condition]) => replicateAggregates.conditions.includes(condition))), [replicateFilters, replicateAggregates]);
+
+  // The advanced filter can use every column, including the annotation keys of the data set
+  const filterFields = useMemo(() => getFilterFields(getAnnotationKeys(normalizedData)), [normalizedData]);
+  const compiledFilter = useMemo(() => compileFilterExpression(filterExpression, filterFields), [filterExpression, filterFields]);
 
-  const filteredData = useMemo(() => {
-    let currentData = processedData;
+  const attributeFilteredData = useMemo(() => {
+    let currentData = normalizedData;
 
     if (fastaIds && fastaIds.size > 0) {
         currentData = currentData.filter(protein => {
@@ -264,7 +433,7 @@ const App = () => {
     
     const parsedMinArea = parseFloat(minArea);
     if (!isNaN(parsedMinArea)) {
-        currentData = currentData.filter(protein => protein.area >= parsedMinArea);
+        currentData = currentData.filter(protein => protein.normalizedArea !== null && protein.normalizedArea >= parsedMinArea);
     }
     
     const parsedMinUniquePeptides = parseInt(minUniquePeptides, 10);
@@ -272,58 +441,118 @@ const App = () => {
         currentData = currentData.filter(protein => protein.uniquePeptidesCount >= parsedMinUniquePeptides);
     }
 
+    const parsedMinRazorPeptides = parseInt(minRazorPeptides, 10);
+    if (!isNaN(parsedMinRazorPeptides)) {
+        currentData = currentData.filter(protein => protein.razorPeptidesCount >= parsedMinRazorPeptides);
+    }
+
+    const parsedMaxSharedPeptides = parseInt(maxSharedPeptides, 10);
+    if (!isNaN(parsedMaxSharedPeptides)) {
+        currentData = currentData.filter(protein => protein.sharedPeptidesCount <= parsedMaxSharedPeptides);
+    }
+
+    const parsedMinVariantPeptides = parseInt(minVariantPeptides, 10);
+    if (!isNaN(parsedMinVariantPeptides)) {
+        currentData = currentData.filter(protein => protein.variantConfirmingPeptidesCount >= parsedMinVariantPeptides);
+    }
+
+    if (showPhosphoOnly) {
+        currentData = currentData.filter(protein => protein.hasPhosphoEvidence);
+    }
+
     if (showUnitaryGroupsOnly) {
         currentData = currentData.filter(protein => protein.isUnitaryGroup);
     }
 
+    if (Object.keys(activeReplicateFilters).length > 0) {
+        const replicateRows = new Map(replicateAggregates.rows.map(row => [row.accession, row]));
+        currentData = currentData.filter(protein => passesReplicateFilters(replicateRows.get(protein.accession), activeReplicateFilters));
+    }
+
+    // An expression with a syntax error is ignored until it is fixed, so the table does not empty while typing
+    if (compiledFilter.predicate) {
+        currentData = currentData.filter(compiledFilter.predicate);
+    }
+
     return currentData.filter(protein =>
       protein.accession.toLowerCase().includes(searchTerm.toLowerCase()) ||
       protein.description.toLowerCase().includes(searchTerm.toLowerCase())
     );
-  }, [processedData, fastaIds, searchTerm, minTotalPeptides, minArea, minUniquePeptides, showUnitaryGroupsOnly]);
+  }, [normalizedData, fastaIds, searchTerm, minTotalPeptides, minArea, minUniquePeptides, minRazorPeptides, maxSharedPeptides, minVariantPeptides, showPhosphoOnly, showUnitaryGroupsOnly, activeReplicateFilters, replicateAggregates, compiledFilter]);
+
+  // Facet counts reflect the other filters; the facet selections are applied last
+  const annotationFacets = useMemo(() => getAnnotationFacets(attributeFilteredData), [attributeFilteredData]);
+  const filteredData = useMemo(() => filterByAnnotations(attributeFilteredData, annotationSelections), [attributeFilteredData, annotationSelections]);
+
+  // The results table can be narrowed to an overlap intersection and show one row per protein group:
+  // its leading protein among the filtered rows
+  const tableData = useMemo(() => {
+    const overlapAccessions = overlapSelection ? new Set(overlapSelection.accessions) : null;
+    const rows = overlapAccessions ? filteredData.filter(protein => overlapAccessions.has(protein.accession)) : filteredData;
+    return collapseGroups ? collapseToLeadingProteins(rows, groupLeadingBy) : rows;
+  }, [filteredData, overlapSelection, collapseGroups, groupLeadingBy]);
+
+  const showOverlapInTable = (accessions, label) => {
+    setOverlapSelection({ accessions, label });
+    setResultsView('table');
+  };
 
-  const toggleRow = (index) => {
-    setExpandedRow(expandedRow === index ? null : index);
+  // An overlap selection that hides the protein is cleared so the table can show it
+  const showProteinInTable = (accession) => {
+    if (overlapSelection && !overlapSelection.accessions.includes(accession)) setOverlapSelection(null);
+    setTableFocus({ accession });
+    setResultsView('table');
   };
-  
-  const handleExportToTxt = () => {
-    if (filteredData.length === 0) {
-      setError('No data to export. Please ensure the table contains results.');
-      return;
-    }
-  
-    // Define the headers for the output file
-    const headers = ['Accession ID', 'Description', 'Sample', 'Association', 'Unitary Group', 'Area', 'Total Peptides', 'Unique Peptides'];
-    
-    // Map the filtered data to a tab-separated string
-    const rows = filteredData.map(protein => {
-      return [
-        protein.accession,
-        protein.description,
-        protein.sampleName,
-        protein.diseaseAssociation,
-        protein.isUnitaryGroup ? 'Yes' : 'No',
-        protein.area.toFixed(2),
-        protein.totalPeptides,
-        protein.uniquePeptidesCount,
-      ].join('\t');
+
+  const handleGenerateReport = () => {
+    const title = projectName.trim() || 'Pathogenical Variants Analysis Report';
+    const html = buildHtmlReport({
+      title,
+      inputs: analyzedInputs,
+      filterDescriptions: activeFilterDescriptions,
+      allProteins: normalizedData,
+      filteredProteins: tableData,
+      columns: getVisibleColumns(tableColumnLayout),
     });
-  
-    // Combine headers and rows
-    const fileContent = [headers.join('\t'), ...rows].join('\n');
-    
-    // Create a Blob and download it
-    const blob = new Blob([fileContent], { type: 'text/plain;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'filtered_proteins.txt';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadTextFile(html, `${title.replace(/[^\w.-]+/g, '_')}.html`, 'text/html;charset=utf-8');
   };
 
+  
+  const exportColumns = useMemo(() => getExportColumns(getAnnotationKeys(tableData), normalizationLabel), [tableData, normalizationLabel]);
+
+  // Written at the top of every export so the file records how the rows were selected
+  const activeFilterDescriptions = useMemo(() => {
+    const descriptions = [];
+    const addThreshold = (label, value) => {
+      if (String(value).trim() !== '' && !isNaN(parseFloat(value))) descriptions.push(`${label}: ${value}`);
+    };
+    if (fastaIds && fastaIds.size > 0) descriptions.push(`Accessions in FASTA/manual ID list (${fastaIds.size} IDs)`);
+    descriptions.push(`Area normalization: ${normalizationLabel}`);
+    descriptions.push(`Missing values (comparison and statistics): ${imputationLabel}`);
+    addThreshold('Min. peptide -10lgP', minPeptideScore);
+    addThreshold('Min. peptide #Spectra', minPeptideSpectra);
+    addThreshold('Max. peptide |ppm|', maxPeptidePpm);
+    if (allowedCharges.trim()) descriptions.push(`Allowed peptide charges: ${allowedCharges.trim()}`);
+    if (excludeOxidationOnly) descriptions.push('Oxidation-only peptides excluded');
+    if (searchTerm) descriptions.push(`Search: ${searchTerm}`);
+    addThreshold('Min. total peptides', minTotalPeptides);
+    addThreshold('Min. area', minArea);
+    addThreshold('Min. unique peptides', minUniquePeptides);
+    addThreshold('Min. razor peptides', minRazorPeptides);
+    addThreshold('Max. shared peptides', maxSharedPeptides);
+    addThreshold('Min. variant-confirming peptides', minVariantPeptides);
+    if (showPhosphoOnly) descriptions.push('Only proteins with phospho evidence');
+    if (showUnitaryGroupsOnly) descriptions.push('Only unitary groups');
+    describeReplicateFilters(activeReplicateFilters, replicateAggregates).forEach(description => descriptions.push(`Replicates, ${description}`));
+    if (compiledFilter.predicate) descriptions.push(`Advanced filter: ${filterExpression.trim()}`);
+    Object.entries(annotationSelections).forEach(([key, values]) => {
+      if (values.length > 0) descriptions.push(`${key}: ${values.join(' OR ')}`);
+    });
+    if (overlapSelection) descriptions.push(`Sample overlap: ${overlapSelection.label} (${overlapSelection.accessions.length} accessions)`);
+    if (collapseGroups) descriptions.push(`One row per protein group (leading protein: ${LEADING_PROTEIN_CRITERIA[groupLeadingBy].toLowerCase()})`);
+    return descriptions;
+  }, [fastaIds, normalizationLabel, imputationLabel, minPeptideScore, minPeptideSpectra, maxPeptidePpm, allowedCharges, excludeOxidationOnly, searchTerm, minTotalPeptides, minArea, minUniquePeptides, minRazorPeptides, maxSharedPeptides, minVariantPeptides, showPhosphoOnly, showUnitaryGroupsOnly, activeReplicateFilters, replicateAggregates, compiledFilter, filterExpression, annotationSelections, overlapSelection, collapseGroups, groupLeadingBy]);
+
   return (
     <div className="bg-gray-100 min-h-screen py-8 font-sans">
       <div className="container mx-auto px-4 max-w-7xl">
@@ -333,19 +562,28 @@ const App = () => {
           <p className="text-lg text-gray-600">Unify, analyze, and visualize protein and peptide data from different samples.</p>
         </header>
 
+        <ProjectManager getProject={getProject} onOpen={openProject} onError={setError} hasResults={processedData.length > 0} projectName={projectName} onProjectNameChange={setProjectName} />
+
         {/* FASTA Upload Section */}
         <div className="bg-white p-6 rounded-xl shadow-lg mb-8 border border-gray-200">
-          <h2 className="text-2xl font-semibold text-gray-700 mb-4">Step 1: Optional - Filter by Protein IDs</h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">Step 1: Optional - Protein Database and References</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="flex flex-col">
               <label className="text-gray-600 font-medium mb-2">Upload your FASTA file:</label>
               <input type="file" accept=".fasta,.txt" onChange={(e) => setFastaFile(e.target.files[0])} className="text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100 transition duration-200" />
               {fastaFile && <p className="mt-2 text-sm text-gray-500">File selected: <span className="font-medium text-gray-700">{fastaFile.name}</span></p>}
+              <small className="mt-1 text-xs text-gray-500">The sequences are also used to compute the peptide coverage of each protein.</small>
             </div>
             <div className="flex flex-col">
               <label className="text-gray-600 font-medium mb-2">Or enter IDs manually (comma or space separated):</label>
               <textarea rows="4" value={manualFastaIdsText} onChange={(e) => setManualFastaIdsText(e.target.value)} placeholder="e.g. P01234, Q56789" className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200 resize-none"></textarea>
             </div>
+            <div className="flex flex-col">
+              <label className="text-gray-600 font-medium mb-2">Reference annotation files:</label>
+              <input type="file" multiple accept=".txt,.tsv" onChange={(e) => setReferenceFiles(Array.from(e.target.files))} className="text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-violet-50 file:text-violet-700 hover:file:bg-violet-100 transition duration-200" />
+              {referenceFiles.length > 0 && <p className="mt-2 text-sm text-gray-500">Files selected: <span className="font-medium text-gray-700">{referenceFiles.map(file => file.name).join(', ')}</span></p>}
+              <small className="mt-1 text-xs text-gray-500">UniProt humsavar.txt and/or ClinVar variant_summary.txt. Read locally and joined to variant proteins by accession or gene and amino acid change.</small>
+            </div>
           </div>
         </div>
 
@@ -355,18 +593,28 @@ const App = () => {
           <div className="space-y-6">
             {sampleInputs.map((sample) => (
               <div key={sample.id} className="relative p-4 border border-gray-300 rounded-lg bg-gray-50 flex flex-col space-y-3">
-                <input type="text" value={sample.name} onChange={(e) => handleNameChange(e, sample.id)} placeholder={`Sample Name ${sample.id}`} className="p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
                 <div className="flex flex-col md:flex-row md:space-x-4 space-y-3 md:space-y-0">
-                  <div className="flex-1">
-                    <label className="block text-gray-600 text-sm mb-1">Peptide File:</label>
-                    <input type="file" accept=".txt" onChange={(e) => handleFileChange(e, sample.id, 'peptides')} className="text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-200 hover:file:bg-gray-300 transition duration-200 w-full" />
-                    <small className="mt-1 block text-gray-500 text-xs truncate">{sample.files.peptides?.name || 'Not selected'}</small>
-                  </div>
-                  <div className="flex-1">
-                    <label className="block text-gray-600 text-sm mb-1">Protein File:</label>
-                    <input type="file" accept=".txt" onChange={(e) => handleFileChange(e, sample.id, 'proteins')} className="text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-200 hover:file:bg-gray-300 transition duration-200 w-full" />
-                    <small className="mt-1 block text-gray-500 text-xs truncate">{sample.files.proteins?.name || 'Not selected'}</small>
-                  </div>
+                  <input type="text" value={sample.name} onChange={(e) => handleNameChange(e, sample.id)} placeholder={`Sample Name ${sample.id}`} className="flex-1 p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+                </div>
+                <select value={sample.sourceSoftware} onChange={(e) => handleSoftwareChange(e, sample.id)} className="p-2 border border-gray-300 rounded-lg text-gray-700 bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+                  {Object.keys(SOURCE_SOFTWARE).map(software => (
+                    <option key={software} value={software}>{software}</option>
+                  ))}
+                </select>
+                <div className="flex flex-col md:flex-row md:space-x-4 space-y-3 md:space-y-0">
+                  {Object.entries(SOURCE_SOFTWARE[sample.sourceSoftware].files).map(([fileType, label]) => (
+                    <div key={`${sample.sourceSoftware}-${fileType}`} className="flex-1">
+                      <label className="block text-gray-600 text-sm mb-1">{label}:</label>
+                      <input type="file" accept=".txt,.tsv,.csv" onChange={(e) => handleFileChange(e, sample.id, fileType)} className="text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-gray-200 hover:file:bg-gray-300 transition duration-200 w-full" />
+                      <small className="mt-1 block text-gray-500 text-xs truncate">{sample.files[fileType]?.name || (sample.fileNames?.[fileType] ? `${sample.fileNames[fileType]} (awaiting upload)` : 'Not selected')}</small>
+                      <div className="mt-1 flex items-center space-x-2">
+                        <button onClick={() => openColumnMapping(sample, fileType)} disabled={!sample.files[fileType]} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200 disabled:opacity-50">Map Columns</button>
+                        {sample.columnMappings?.[fileType] && (
+                          <small className="text-xs text-gray-500 truncate">{sample.columnMappings[fileType].template ? `Template "${sample.columnMappings[fileType].template}"` : 'Mapped manually'}</small>
+                        )}
+                      </div>
+                    </div>
+                  ))}
                 </div>
                 {sampleInputs.length > 1 && (
                   <button onClick={() => handleRemoveInput(sample.id)} className="absolute top-2 right-2 text-red-500 hover:text-red-700 transition duration-200 rounded-full w-6 h-6 flex items-center justify-center">
@@ -378,14 +626,35 @@ const App = () => {
               </div>
             ))}
           </div>
+          {columnMappingRequest && sampleInputs.some(sample => sample.id === columnMappingRequest.sampleId && sample.sourceSoftware === columnMappingRequest.sourceSoftware) && (
+            <ColumnMappingWizard
+              key={`${columnMappingRequest.sampleId}-${columnMappingRequest.fileType}-${columnMappingRequest.preview.report.fileName}`}
+              request={columnMappingRequest}
+              onApply={applyColumnMapping}
+              onCancel={() => setColumnMappingRequest(null)}
+            />
+          )}
+          <ExperimentalDesign samples={sampleInputs} onChange={setSampleInputs} onError={setError} />
           <div className="flex space-x-4 mt-6">
             <button onClick={addSampleInput} className="bg-gray-200 text-gray-700 font-semibold py-2 px-6 rounded-full shadow-md hover:bg-gray-300 transition duration-200 ease-in-out transform hover:scale-105">
               Add Another Sample
             </button>
-            <button onClick={processData} disabled={loading} className="bg-blue-600 text-white font-semibold py-2 px-6 rounded-full shadow-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 disabled:bg-blue-400">
-              {loading ? 'Processing...' : 'Analyze Files'}
+            <button onClick={processData} disabled={loading} className="relative overflow-hidden bg-blue-600 text-white font-semibold py-2 px-6 rounded-full shadow-lg hover:bg-blue-700 transition duration-200 ease-in-out transform hover:scale-105 disabled:bg-blue-400">
+              {loading && parseProgress && (
+                <span className="absolute inset-y-0 left-0 bg-blue-700 transition-all duration-200" style={{ width: `${getOverallProgress(parseProgress)}%` }} />
+              )}
+              <span className="relative">
+                {loading ? `Processing... ${parseProgress ? `${getOverallProgress(parseProgress)}%` : ''}` : 'Analyze Files'}
+              </span>
             </button>
+            {loading && (
+              <button onClick={cancelProcessing} className="bg-red-100 text-red-700 font-semibold py-2 px-6 rounded-full shadow-md hover:bg-red-200 transition duration-200">
+                Cancel
+              </button>
+            )}
           </div>
+          {loading && parseProgress && <ParseProgress progress={parseProgress} />}
+          {!loading && fileReports.length > 0 && <ParsingReport reports={fileReports} />}
         </div>
         
         {error && <div className="bg-red-500 text-white p-4 rounded-lg shadow-md mb-8">{error}</div>}
@@ -394,11 +663,47 @@ const App = () => {
         {processedData.length > 0 && (
           <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
             <h2 className="text-2xl font-semibold text-gray-700 mb-4">Step 3: Results and Filters</h2>
+            <div className="flex flex-col md:flex-row md:items-center md:space-x-6 space-y-3 md:space-y-0 mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <label htmlFor="normalization-method" className="text-gray-600 font-medium">Area normalization:</label>
+              <select id="normalization-method" value={normalizationMethod} onChange={(e) => setNormalizationMethod(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+                {Object.entries(NORMALIZATION_METHODS).map(([method, label]) => (
+                  <option key={method} value={method}>{label}</option>
+                ))}
+              </select>
+              <div className="flex items-center">
+                <input id="log2-transform" type="checkbox" checked={log2Transform} onChange={(e) => setLog2Transform(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+                <label htmlFor="log2-transform" className="ml-2 text-gray-600 font-medium cursor-pointer">log2 transform</label>
+              </div>
+              <span className="text-sm text-gray-500">Normalized values: {normalizationLabel}</span>
+              <label htmlFor="imputation-method" className="text-gray-600 font-medium">Missing values:</label>
+              <select id="imputation-method" value={imputationMethod} onChange={(e) => setImputationMethod(e.target.value)} title="Used by the comparison matrix, heatmap, differential analysis and the exported comparison table. Zero only applies to the comparison matrix and exports: it has no log2 value, so the heatmap and statistics leave those values missing." className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+                {Object.entries(IMPUTATION_METHODS).map(([method, label]) => (
+                  <option key={method} value={method} disabled={method === 'zero' && log2Transform}>{method === 'zero' ? `${label} (comparison matrix and exports only)` : label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <p className="text-gray-600 font-medium mb-2">Peptide filters (applied before peptides are counted per protein):</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 items-center">
+                <input type="number" step="0.1" placeholder="Min. -10lgP" value={minPeptideScore} onChange={(e) => setMinPeptideScore(e.target.value)} className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+                <input type="number" min="0" placeholder="Min. #Spectra" value={minPeptideSpectra} onChange={(e) => setMinPeptideSpectra(e.target.value)} className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+                <input type="number" step="0.1" min="0" placeholder="Max. |ppm|" value={maxPeptidePpm} onChange={(e) => setMaxPeptidePpm(e.target.value)} className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+                <input type="text" placeholder="Allowed charges (e.g. 2, 3)" value={allowedCharges} onChange={(e) => setAllowedCharges(e.target.value)} className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+                <div className="flex items-center">
+                  <input id="oxidation-filter" type="checkbox" checked={excludeOxidationOnly} onChange={(e) => setExcludeOxidationOnly(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+                  <label htmlFor="oxidation-filter" className="ml-2 text-gray-600 font-medium cursor-pointer">Exclude oxidation-only peptides</label>
+                </div>
+              </div>
+              <small className="mt-1 text-xs text-gray-500 block">Peptides whose export does not report a value are kept by that threshold.</small>
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
               <input type="text" placeholder="Search..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} className="col-span-1 md:col-span-2 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
               <input type="number" placeholder="Min. Total Peptides" value={minTotalPeptides} onChange={(e) => setMinTotalPeptides(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
-              <input type="number" step="0.01" placeholder="Min. Area" value={minArea} onChange={(e) => setMinArea(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              <input type="number" step="0.01" placeholder={normalizationMethod === 'none' && !log2Transform ? 'Min. Area' : 'Min. Normalized Area'} value={minArea} onChange={(e) => setMinArea(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
               <input type="number" placeholder="Min. Unique Peptides" value={minUniquePeptides} onChange={(e) => setMinUniquePeptides(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              <input type="number" placeholder="Min. Razor Peptides" value={minRazorPeptides} onChange={(e) => setMinRazorPeptides(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              <input type="number" placeholder="Max. Shared Peptides" value={maxSharedPeptides} onChange={(e) => setMaxSharedPeptides(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              <input type="number" placeholder="Min. Variant-Confirming Peptides" value={minVariantPeptides} onChange={(e) => setMinVariantPeptides(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
               <div className="flex items-center col-span-1 md:col-span-2 lg:col-span-1">
                 <input
                   id="unitary-group-filter"
@@ -411,65 +716,80 @@ const App = () => {
                   Only Unitary Groups
                 </label>
               </div>
-              <button onClick={handleExportToTxt} className="col-span-1 md:col-span-2 lg:col-span-1 bg-green-600 text-white font-semibold py-3 px-6 rounded-full shadow-lg hover:bg-green-700 transition duration-200 ease-in-out transform hover:scale-105">
-                Export to TXT
+              <div className="flex items-center col-span-1 md:col-span-2 lg:col-span-1">
+                <input
+                  id="phospho-filter"
+                  type="checkbox"
+                  checked={showPhosphoOnly}
+                  onChange={(e) => setShowPhosphoOnly(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500"
+                />
+                <label htmlFor="phospho-filter" className="ml-2 text-gray-600 font-medium cursor-pointer">
+                  Only Proteins with Phospho Evidence
+                </label>
+              </div>
+              <button onClick={() => setShowExportPanel(!showExportPanel)} className="col-span-1 md:col-span-2 lg:col-span-1 bg-green-600 text-white font-semibold py-3 px-6 rounded-full shadow-lg hover:bg-green-700 transition duration-200 ease-in-out transform hover:scale-105">
+                {showExportPanel ? 'Hide Export Options' : 'Export Results'}
+              </button>
+              <button onClick={handleGenerateReport} disabled={tableData.length === 0} className="col-span-1 md:col-span-2 lg:col-span-1 bg-indigo-600 text-white font-semibold py-3 px-6 rounded-full shadow-lg hover:bg-indigo-700 transition duration-200 ease-in-out transform hover:scale-105 disabled:bg-indigo-300">
+                Generate Report
               </button>
             </div>
+
+            {showExportPanel && (
+              <ExportPanel proteins={tableData} columns={exportColumns} filterDescriptions={activeFilterDescriptions} areaLabel={normalizationLabel} imputation={imputation} onError={setError} />
+            )}
+
+            <FilterExpressionInput value={filterExpression} onChange={setFilterExpression} fields={filterFields} error={compiledFilter.error} />
+
+            <AnnotationFacets facets={annotationFacets} selections={annotationSelections} onChange={setAnnotationSelections} />
             
-            <div className="overflow-x-auto rounded-lg shadow-md">
-              <table className="min-w-full bg-white border-collapse">
-                <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal">
-                  <tr>
-                    <th className="py-3 px-6 text-left">Accession ID</th>
-                    <th className="py-3 px-6 text-left">Description</th>
-                    <th className="py-3 px-6 text-left">Sample</th>
-                    <th className="py-3 px-6 text-left">Association</th>
-                    <th className="py-3 px-6 text-left">Unitary Group</th>
-                    <th className="py-3 px-6 text-left">Area</th>
-                    <th className="py-3 px-6 text-left">Total Peptides</th>
-                    <th className="py-3 px-6 text-left">Unique Peptides</th>
-                    <th className="py-3 px-6 text-left">Actions</th>
-                  </tr>
-                </thead>
-                <tbody className="text-gray-600 text-sm font-light">
-                  {filteredData.map((protein, index) => (
-                    <React.Fragment key={index}>
-                      <tr className="border-b border-gray-200 hover:bg-gray-100 transition duration-200">
-                        <td className="py-3 px-6 whitespace-nowrap">{protein.accession}</td>
-                        <td className="py-3 px-6">{protein.description}</td>
-                        <td className="py-3 px-6">{protein.sampleName}</td>
-                        <td className="py-3 px-6">{protein.diseaseAssociation}</td>
-                        <td className="py-3 px-6">{protein.isUnitaryGroup ? 'Yes' : 'No'}</td>
-                        <td className="py-3 px-6">{protein.area.toFixed(2)}</td>
-                        <td className="py-3 px-6">{protein.totalPeptides}</td>
-                        <td className="py-3 px-6">{protein.uniquePeptidesCount}</td>
-                        <td className="py-3 px-6">
-                          <button onClick={() => toggleRow(index)} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200">
-                            {expandedRow === index ? 'Close' : 'View Peptides'}
-                          </button>
-                        </td>
-                      </tr>
-                      {expandedRow === index && (
-                        <tr className="bg-gray-50 border-b border-gray-200">
-                          <td colSpan="9" className="p-4">
-                            <h4 className="text-sm font-bold text-gray-700 mb-2">Unique Peptides:</h4>
-                            <ul className="list-disc list-inside space-y-1 text-sm text-gray-600">
-                              {protein.uniquePeptides.length > 0 ? (
-                                protein.uniquePeptides.map((peptide, pIndex) => (
-                                  <li key={pIndex}>{peptide}</li>
-                                ))
-                              ) : (
-                                <li>No unique peptides associated.</li>
-                              )}
-                            </ul>
-                          </td>
-                        </tr>
-                      )}
-                    </React.Fragment>
-                  ))}
-                </tbody>
-              </table>
+            <div className="flex space-x-2 mb-4 border-b border-gray-200">
+              {resultViews.map(({ id, label }) => (
+                <button key={id} onClick={() => setResultsView(id)} className={`py-2 px-4 -mb-px font-semibold border-b-2 transition duration-200 ${resultsView === id ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'}`}>
+                  {label}
+                </button>
+              ))}
             </div>
+
+            {resultsView === 'table' && overlapSelection && (
+              <div className="flex items-center justify-between p-3 mb-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                <span>Showing the {overlapSelection.accessions.length} accessions of the overlap "{overlapSelection.label}".</span>
+                <button onClick={() => setOverlapSelection(null)} className="bg-white text-blue-700 border border-blue-300 py-1 px-3 rounded-full text-xs hover:bg-blue-100 transition duration-200">Clear</button>
+              </div>
+            )}
+            {resultsView === 'table' && (
+              <div className="flex items-center mb-4">
+                <input id="collapse-groups" type="checkbox" checked={collapseGroups} onChange={(e) => setCollapseGroups(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+                <label htmlFor="collapse-groups" className="ml-2 text-gray-600 font-medium cursor-pointer">One row per protein group (leading protein: {LEADING_PROTEIN_CRITERIA[groupLeadingBy].toLowerCase()})</label>
+              </div>
+            )}
+            {resultsView === 'table' && (
+              <ResultsTable
+                proteins={tableData}
+                columnLayout={tableColumnLayout}
+                onColumnLayoutChange={setTableColumnLayout}
+                sortKeys={tableSortKeys}
+                onSortKeysChange={setTableSortKeys}
+                onResetColumns={() => setTableColumnLayout(getDefaultColumnLayout())}
+                focus={tableFocus}
+              />
+            )}
+            {resultsView === 'groups' && (
+              <ProteinGroupExplorer proteins={normalizedData} filteredProteins={filteredData} leadingBy={groupLeadingBy} onLeadingByChange={setGroupLeadingBy} />
+            )}
+            {resultsView === 'comparison' && <ComparisonMatrix proteins={filteredData} alreadyLog2={log2Transform} imputationMethod={imputationMethod} areaLabel={normalizationLabel} />}
+            {resultsView === 'replicates' && (
+              <ReplicateAggregation proteins={filteredData} aggregates={replicateAggregates} filters={replicateFilters} onFiltersChange={setReplicateFilters} areaLabel={normalizationLabel} />
+            )}
+            {resultsView === 'qc' && <QcDashboard proteins={processedData} peptidesBySample={peptidesBySample} />}
+            {resultsView === 'heatmap' && (
+              <ClusteredHeatmap proteins={filteredData} alreadyLog2={log2Transform} imputationMethod={imputationMethod} areaLabel={normalizationLabel} onShowProtein={showProteinInTable} />
+            )}
+            {resultsView === 'overlap' && <OverlapAnalysis proteins={normalizedData} filteredProteins={filteredData} onShowInTable={showOverlapInTable} />}
+            {resultsView === 'differential' && (
+              <DifferentialAnalysis proteins={filteredData} conditionBySample={conditionBySample} alreadyLog2={log2Transform} imputationMethod={imputationMethod} areaLabel={normalizationLabel} />
+            )}
           </div>
         )}
       </div>
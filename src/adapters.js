@@ -0,0 +1,567 @@
+import { getDiseaseAssociation, parseAnnotations } from './annotations';
+import { getColumnIndices, assertRequiredColumns, applyColumnMapping, parseAccession, splitList } from './parsing';
+import { getBareSequence } from './peptides';
+import { parseNumber } from './tabular';
+
+// Precursor and protein group q-value cut-off applied to DIA long-format reports
+const DIA_Q_VALUE_CUTOFF = 0.01;
+
+/**
+ * @typedef {object} ProteinRecord
+ * @property {string} accession Bare protein accession (e.g. "P04637").
+ * @property {string} description Protein description.
+ * @property {string} proteinGroup Protein group ID within the sample.
+ * @property {number} area Protein abundance reported by the search engine.
+ * @property {number} totalPeptides Number of peptides identified for the protein.
+ * @property {Object.<string, string>} annotations The "| Key:Value" annotations of the description.
+ * @property {string} diseaseAssociation Disease association extracted from the description.
+ */
+
+/**
+ * Builds the protein record shape shared by every parser. Peptide counts are added later, when
+ * the sample's peptides are rolled up (see rollUpPeptides).
+ * @param {object} fields The parsed protein fields.
+ * @returns {ProteinRecord} The protein record.
+ */
+const buildProteinRecord = ({ accession, description, proteinGroup, area, totalPeptides }) => {
+  const annotations = parseAnnotations(description);
+  return {
+    accession,
+    description,
+    proteinGroup,
+    area,
+    totalPeptides,
+    annotations,
+    diseaseAssociation: getDiseaseAssociation(description, annotations),
+  };
+};
+
+/**
+ * Reads a search engine's peptide uniqueness flag ('Y'/'N', 'yes'/'no', 'True'/'False', 1/0).
+ * @param {string} value The raw cell value.
+ * @returns {boolean|undefined} The flag, or undefined when the cell is empty or unrecognized.
+ */
+const parseUniqueFlag = (value) => {
+  const normalized = (value || '').trim().toLowerCase();
+  if (['y', 'yes', 'true', '1', '+'].includes(normalized)) return true;
+  if (['n', 'no', 'false', '0'].includes(normalized)) return false;
+  return;
+};
+
+const peaksProteinColumns = {
+  accession: ['Accession'],
+  proteinGroup: ['Protein Group'],
+  area: ['Area'],
+  peptides: ['#Peptides'],
+  description: ['Description'],
+};
+
+const peaksPeptideColumns = {
+  accession: ['Protein Accession'],
+  peptide: ['Peptide'],
+  // Optional Y/N column; older exports do not have it
+  unique: ['Unique'],
+};
+
+// Optional peptide confidence columns of a Peaks 'protein-peptides' export
+const peaksPeptideScoreColumns = {
+  score: ['-10lgP'],
+  spectra: ['#Spectra'],
+  mz: ['m/z'],
+  charge: ['z'],
+  ppm: ['ppm'],
+  retentionTime: ['RT'],
+};
+
+const peaksColumns = {
+  peptides: { ...peaksPeptideColumns, ...peaksPeptideScoreColumns },
+  proteins: peaksProteinColumns,
+};
+
+const peaksRequiredColumns = {
+  peptides: ['accession', 'peptide'],
+  proteins: Object.keys(peaksProteinColumns),
+};
+
+/**
+ * Reads the optional confidence values of a peptide row (score, spectra, m/z, charge, ppm and
+ * retention time). Missing columns and empty cells are left out.
+ * @param {string[]} columns The parsed row.
+ * @param {Object.<string, number>} indices Column indices, keyed like peaksPeptideScoreColumns.
+ * @param {boolean} decimalComma Whether the file writes numbers with a decimal comma.
+ * @returns {object} The values found, with the charges as a list (MaxQuant reports several).
+ */
+const readPeptideScores = (columns, indices, decimalComma) => {
+  const scores = {};
+  Object.keys(peaksPeptideScoreColumns).forEach(key => {
+    if (indices[key] === undefined || indices[key] === -1) return;
+    if (key === 'charge') {
+      const charges = splitList(columns[indices.charge]).map(charge => parseInt(charge, 10)).filter(charge => !isNaN(charge));
+      if (charges.length > 0) scores.charges = charges;
+      return;
+    }
+    const value = parseNumber(columns[indices[key]], decimalComma);
+    if (!isNaN(value)) scores[key] = value;
+  });
+  return scores;
+};
+
+/**
+ * @typedef {object} SampleParser
+ * @property {function(string, string[], import('./tabular').TableReport): void} readHeader Receives
+ * the file type, the header cells of the file and its report (see createTableReader).
+ * @property {function(string, string[]): (string|undefined)} readRow Receives the file type and the
+ * cells of one data row; returns the reason when the row cannot be used.
+ * @property {function(): {proteins: ProteinRecord[], peptides: import('./peptides').PeptideObservation[]}} finish
+ * Returns the protein records and the peptide observations once every file was read.
+ */
+
+/**
+ * @typedef {Object.<string, Object.<string, string>>} ColumnMappings Per file type, the header
+ * the user assigned to each column key (see applyColumnMapping).
+ */
+
+/**
+ * Parser for Peaks Studio 'protein-peptides' and 'proteins' exports.
+ * @param {string} sampleName The sample name, used in error messages.
+ * @param {ColumnMappings} [columnMappings] Headers assigned by the user, per file type.
+ * @returns {SampleParser} The parser.
+ */
+const createPeaksStudioParser = (sampleName, columnMappings = {}) => {
+  const indices = {};
+  const reports = {};
+  const peptides = [];
+  const proteinFields = [];
+  return {
+    readHeader: (fileType, headers, report) => {
+      reports[fileType] = report;
+      if (fileType === 'peptides') {
+        indices.peptides = getColumnIndices(headers, applyColumnMapping(peaksColumns.peptides, columnMappings.peptides), report);
+        assertRequiredColumns(indices.peptides, peaksRequiredColumns.peptides, `Peptide file for sample '${sampleName}'`, peaksPeptideColumns);
+      } else {
+        indices.proteins = getColumnIndices(headers, applyColumnMapping(peaksColumns.proteins, columnMappings.proteins), report);
+        assertRequiredColumns(indices.proteins, peaksRequiredColumns.proteins, `Protein file for sample '${sampleName}'`, peaksProteinColumns);
+      }
+    },
+    readRow: (fileType, columns) => {
+      const { decimalComma } = reports[fileType];
+      if (fileType === 'peptides') {
+        const peptideSequence = columns[indices.peptides.peptide];
+        const proteinAccession = parseAccession(columns[indices.peptides.accession] || '');
+        if (!proteinAccession || !peptideSequence) return 'No protein accession or peptide';
+        peptides.push({
+          peptide: peptideSequence,
+          accessions: [proteinAccession],
+          unique: indices.peptides.unique !== -1 ? parseUniqueFlag(columns[indices.peptides.unique]) : undefined,
+          ...readPeptideScores(columns, indices.peptides, decimalComma),
+        });
+        return;
+      }
+      const accession = parseAccession(columns[indices.proteins.accession] || '');
+      if (!accession) return 'No accession';
+      proteinFields.push({
+        accession,
+        description: columns[indices.proteins.description] || '',
+        proteinGroup: columns[indices.proteins.proteinGroup] || 'N/A',
+        area: parseNumber(columns[indices.proteins.area], decimalComma) || 0,
+        totalPeptides: parseInt(columns[indices.proteins.peptides], 10) || 0,
+      });
+    },
+    finish: () => ({ proteins: proteinFields.map(buildProteinRecord), peptides }),
+  };
+};
+
+const maxQuantProteinColumns = {
+  id: ['id'],
+  proteinIds: ['Protein IDs'],
+  peptides: ['Peptides'],
+  intensity: ['Intensity'],
+  fastaHeaders: ['Fasta headers'],
+  proteinNames: ['Protein names'],
+  geneNames: ['Gene names'],
+  reverse: ['Reverse'],
+  contaminant: ['Potential contaminant', 'Contaminant'],
+};
+
+const maxQuantPeptideColumns = {
+  sequence: ['Sequence'],
+  proteins: ['Proteins'],
+  uniqueProteins: ['Unique (Proteins)'],
+  leadingRazorProtein: ['Leading razor protein'],
+  spectra: ['MS/MS Count'],
+  charge: ['Charges'],
+  reverse: ['Reverse'],
+  contaminant: ['Potential contaminant', 'Contaminant'],
+};
+
+const maxQuantColumns = {
+  peptides: maxQuantPeptideColumns,
+  proteins: maxQuantProteinColumns,
+};
+
+const maxQuantRequiredColumns = {
+  peptides: ['sequence', 'proteins'],
+  proteins: ['id', 'proteinIds', 'peptides', 'intensity'],
+};
+
+/**
+ * Whether a MaxQuant row or identifier is a decoy or contaminant hit.
+ * @param {string[]} columns The parsed row.
+ * @param {Object.<string, number>} indices The column indices.
+ * @returns {boolean} True if the row should be skipped.
+ */
+const isMaxQuantDecoyOrContaminant = (columns, indices) =>
+  (indices.reverse !== -1 && columns[indices.reverse] === '+') ||
+  (indices.contaminant !== -1 && columns[indices.contaminant] === '+');
+
+/**
+ * Parser for MaxQuant 'peptides.txt' and 'proteinGroups.txt'. Every accession listed in
+ * 'Protein IDs' becomes a record of the group, so groups with several members are not unitary.
+ * Reverse (decoy) and contaminant entries are dropped.
+ * @param {string} sampleName The sample name, used in error messages.
+ * @param {ColumnMappings} [columnMappings] Headers assigned by the user, per file type.
+ * @returns {SampleParser} The parser.
+ */
+const createMaxQuantParser = (sampleName, columnMappings = {}) => {
+  const indices = {};
+  const reports = {};
+  const peptides = [];
+  const proteinFields = [];
+  return {
+    readHeader: (fileType, headers, report) => {
+      reports[fileType] = report;
+      if (fileType === 'peptides') {
+        indices.peptides = getColumnIndices(headers, applyColumnMapping(maxQuantPeptideColumns, columnMappings.peptides), report);
+        assertRequiredColumns(indices.peptides, maxQuantRequiredColumns.peptides, `peptides file for sample '${sampleName}'`, maxQuantPeptideColumns);
+      } else {
+        indices.proteins = getColumnIndices(headers, applyColumnMapping(maxQuantProteinColumns, columnMappings.proteins), report);
+        assertRequiredColumns(indices.proteins, maxQuantRequiredColumns.proteins, `proteinGroups file for sample '${sampleName}'`, maxQuantProteinColumns);
+      }
+    },
+    readRow: (fileType, columns) => {
+      const { decimalComma } = reports[fileType];
+      if (fileType === 'peptides') {
+        if (isMaxQuantDecoyOrContaminant(columns, indices.peptides)) return;
+        const sequence = columns[indices.peptides.sequence];
+        if (!sequence) return 'No sequence';
+        const peptidesIndices = indices.peptides;
+        peptides.push({
+          peptide: sequence,
+          accessions: splitList(columns[peptidesIndices.proteins]).map(parseAccession),
+          unique: peptidesIndices.uniqueProteins !== -1 ? parseUniqueFlag(columns[peptidesIndices.uniqueProteins]) : undefined,
+          razor: peptidesIndices.leadingRazorProtein !== -1 ? parseAccession(columns[peptidesIndices.leadingRazorProtein] || '') : undefined,
+          ...readPeptideScores(columns, peptidesIndices, decimalComma),
+        });
+        return;
+      }
+      const proteinsIndices = indices.proteins;
+      if (isMaxQuantDecoyOrContaminant(columns, proteinsIndices)) return;
+      if (!columns[proteinsIndices.proteinIds]) return 'No protein IDs';
+      const fastaHeaders = proteinsIndices.fastaHeaders !== -1 ? splitList(columns[proteinsIndices.fastaHeaders]) : [];
+      const proteinNames = proteinsIndices.proteinNames !== -1 ? columns[proteinsIndices.proteinNames] || '' : '';
+      splitList(columns[proteinsIndices.proteinIds])
+        .filter(id => !id.startsWith('REV__') && !id.startsWith('CON__'))
+        .forEach(id => {
+          const accession = parseAccession(id);
+          const header = fastaHeaders.find(h => parseAccession(h.split(' ')[0]) === accession);
+          proteinFields.push({
+            accession,
+            // Fasta headers start with the identifier token; keep the text after it like Peaks does
+            description: header ? header.replace(/^\S+\s*/, '') : proteinNames,
+            proteinGroup: columns[proteinsIndices.id] || 'N/A',
+            area: parseNumber(columns[proteinsIndices.intensity], decimalComma) || 0,
+            totalPeptides: parseInt(columns[proteinsIndices.peptides], 10) || 0,
+          });
+        });
+    },
+    finish: () => ({ proteins: proteinFields.map(buildProteinRecord), peptides }),
+  };
+};
+
+const proteomeDiscovererProteinColumns = {
+  accession: ['Accession'],
+  description: ['Description'],
+  peptides: ['# Peptides'],
+  proteinGroup: ['Protein Group IDs'],
+  area: ['Area'],
+};
+
+const proteomeDiscovererPeptideColumns = {
+  sequence: ['Sequence'],
+  accessions: ['Protein Accessions', 'Master Protein Accessions'],
+  proteinCount: ['# Proteins'],
+  spectra: ['# PSMs'],
+  charge: ['Charge'],
+  mz: ['m/z [Da]'],
+  ppm: ['DeltaM [ppm]'],
+  retentionTime: ['RT [min]'],
+};
+
+const proteomeDiscovererColumns = {
+  peptides: proteomeDiscovererPeptideColumns,
+  proteins: proteomeDiscovererProteinColumns,
+};
+
+const proteomeDiscovererRequiredColumns = {
+  peptides: ['sequence', 'accessions'],
+  proteins: ['accession', 'description', 'peptides', 'area'],
+};
+
+/**
+ * Finds the abundance column of a Proteome Discoverer proteins export. An 'Area' column is
+ * preferred; otherwise the first raw 'Abundance:' column, then any 'Abundances' column.
+ * @param {string[]} headers The header cells.
+ * @param {number} areaIndex Index of the 'Area' column, or -1.
+ * @returns {number} The column index, or -1.
+ */
+const findProteomeDiscovererAbundance = (headers, areaIndex) => {
+  if (areaIndex !== -1) return areaIndex;
+  const lowerHeaders = headers.map(h => h.toLowerCase());
+  const raw = lowerHeaders.findIndex(h => h.startsWith('abundance:'));
+  return raw !== -1 ? raw : lowerHeaders.findIndex(h => h.startsWith('abundances'));
+};
+
+/**
+ * Finds the columns of a Proteome Discoverer proteins export, with the abundance fallback.
+ * @param {string[]} headers The header cells.
+ * @param {Object.<string, string>} [mapping] Headers assigned by the user.
+ * @param {import('./tabular').TableReport} [report] Receives the fuzzy matches.
+ * @returns {Object.<string, number>} Column indices, keyed like proteomeDiscovererProteinColumns.
+ */
+const getProteomeDiscovererProteinIndices = (headers, mapping, report) => {
+  const indices = getColumnIndices(headers, applyColumnMapping(proteomeDiscovererProteinColumns, mapping), report);
+  indices.area = findProteomeDiscovererAbundance(headers, indices.area);
+  return indices;
+};
+
+/**
+ * Parser for Proteome Discoverer 'Proteins' and 'PeptideGroups' text exports. When the export
+ * has no 'Protein Group IDs' column every protein is treated as its own group.
+ * @param {string} sampleName The sample name, used in error messages.
+ * @param {ColumnMappings} [columnMappings] Headers assigned by the user, per file type.
+ * @returns {SampleParser} The parser.
+ */
+const createProteomeDiscovererParser = (sampleName, columnMappings = {}) => {
+  const indices = {};
+  const reports = {};
+  const peptides = [];
+  const proteinFields = [];
+  return {
+    readHeader: (fileType, headers, report) => {
+      reports[fileType] = report;
+      if (fileType === 'peptides') {
+        indices.peptides = getColumnIndices(headers, applyColumnMapping(proteomeDiscovererPeptideColumns, columnMappings.peptides), report);
+        assertRequiredColumns(indices.peptides, proteomeDiscovererRequiredColumns.peptides, `PeptideGroups file for sample '${sampleName}'`, proteomeDiscovererPeptideColumns);
+      } else {
+        indices.proteins = getProteomeDiscovererProteinIndices(headers, columnMappings.proteins, report);
+        assertRequiredColumns(indices.proteins, proteomeDiscovererRequiredColumns.proteins, `Proteins file for sample '${sampleName}'`, {
+          ...proteomeDiscovererProteinColumns,
+          area: ['Area or Abundance'],
+        });
+      }
+    },
+    readRow: (fileType, columns) => {
+      const { decimalComma } = reports[fileType];
+      if (fileType === 'peptides') {
+        const sequence = columns[indices.peptides.sequence];
+        if (!sequence) return 'No sequence';
+        const proteinCount = indices.peptides.proteinCount !== -1 ? parseInt(columns[indices.peptides.proteinCount], 10) : NaN;
+        peptides.push({
+          peptide: sequence,
+          accessions: splitList(columns[indices.peptides.accessions]).map(parseAccession),
+          unique: isNaN(proteinCount) ? undefined : proteinCount === 1,
+          ...readPeptideScores(columns, indices.peptides, decimalComma),
+        });
+        return;
+      }
+      const proteinsIndices = indices.proteins;
+      const accession = parseAccession(columns[proteinsIndices.accession] || '');
+      if (!accession) return 'No accession';
+      const proteinGroup = proteinsIndices.proteinGroup !== -1 ? columns[proteinsIndices.proteinGroup] : '';
+      proteinFields.push({
+        accession,
+        description: columns[proteinsIndices.description] || '',
+        proteinGroup: proteinGroup || accession,
+        area: parseNumber(columns[proteinsIndices.area], decimalComma) || 0,
+        totalPeptides: parseInt(columns[proteinsIndices.peptides], 10) || 0,
+      });
+    },
+    finish: () => ({ proteins: proteinFields.map(buildProteinRecord), peptides }),
+  };
+};
+
+const diannColumns = {
+  run: ['Run', 'File.Name'],
+  proteinGroup: ['Protein.Group'],
+  proteinIds: ['Protein.Ids'],
+  proteinNames: ['Protein.Names'],
+  genes: ['Genes'],
+  quantity: ['PG.MaxLFQ', 'PG.Quantity'],
+  sequence: ['Modified.Sequence', 'Stripped.Sequence'],
+  proteotypic: ['Proteotypic'],
+  charge: ['Precursor.Charge'],
+  retentionTime: ['RT'],
+  qValue: ['Q.Value'],
+  proteinGroupQValue: ['PG.Q.Value'],
+};
+
+const spectronautColumns = {
+  run: ['R.FileName', 'R.Replicate'],
+  proteinGroup: ['PG.ProteinGroups', 'PG.ProteinAccessions'],
+  proteinIds: ['PG.ProteinAccessions', 'PG.ProteinGroups'],
+  proteinNames: ['PG.ProteinDescriptions', 'PG.ProteinNames'],
+  genes: ['PG.Genes'],
+  quantity: ['PG.Quantity'],
+  sequence: ['EG.ModifiedSequence', 'EG.ModifiedPeptide', 'PEP.StrippedSequence'],
+  proteotypic: ['PEP.IsProteotypic'],
+  charge: ['FG.Charge'],
+  mz: ['FG.PrecMz'],
+  retentionTime: ['EG.ApexRT'],
+  qValue: ['EG.Qvalue'],
+  proteinGroupQValue: ['PG.Qvalue'],
+};
+
+const longFormatRequiredColumns = ['proteinGroup', 'quantity', 'sequence'];
+
+/**
+ * Picks the entry of a ';'-separated cell that lines up with the member at `index`.
+ * @param {string} value The raw cell value.
+ * @param {number} index The member position in the protein group.
+ * @param {number} memberCount Number of members in the protein group.
+ * @returns {string} The matching entry, or the whole cell if the lists do not line up.
+ */
+const pickListEntry = (value, index, memberCount) => {
+  const entries = (value || '').split(';');
+  return (entries.length === memberCount ? entries[index] : value || '').trim();
+};
+
+/**
+ * Builds a parser factory for precursor-level long-format reports (DIA-NN, Spectronaut), in
+ * which each row carries its protein group and the group quantity for one run. Rows above the
+ * q-value cut-off are dropped and the group area is averaged across the runs in the report.
+ * @param {Object.<string, string[]>} columnSpec Candidate header names for the report.
+ * @param {string} reportLabel Human readable file description used in error messages.
+ * @returns {function(string, ColumnMappings=): SampleParser} The parser factory.
+ */
+const createLongFormatParser = (columnSpec, reportLabel) => (sampleName, columnMappings = {}) => {
+  let indices;
+  let fileReport;
+  const groups = new Map();
+  const peptides = [];
+  const read = (columns, key) => (indices[key] !== -1 ? columns[indices[key]] || '' : '');
+  return {
+    readHeader: (fileType, headers, report) => {
+      fileReport = report;
+      indices = getColumnIndices(headers, applyColumnMapping(columnSpec, columnMappings[fileType]), report);
+      assertRequiredColumns(indices, longFormatRequiredColumns, `${reportLabel} for sample '${sampleName}'`, columnSpec);
+    },
+    readRow: (fileType, columns) => {
+      const { decimalComma } = fileReport;
+      const qValue = parseNumber(read(columns, 'qValue'), decimalComma);
+      const proteinGroupQValue = parseNumber(read(columns, 'proteinGroupQValue'), decimalComma);
+      if (qValue > DIA_Q_VALUE_CUTOFF || proteinGroupQValue > DIA_Q_VALUE_CUTOFF) return;
+
+      const proteinGroup = read(columns, 'proteinGroup');
+      const sequence = read(columns, 'sequence');
+      if (!proteinGroup || !sequence) return 'No protein group or sequence';
+
+      if (!groups.has(proteinGroup)) {
+        const members = splitList(read(columns, 'proteinIds') || proteinGroup);
+        groups.set(proteinGroup, {
+          members,
+          names: members.map((_, i) => pickListEntry(read(columns, 'proteinNames'), i, members.length)),
+          genes: members.map((_, i) => pickListEntry(read(columns, 'genes'), i, members.length)),
+          quantityByRun: new Map(),
+          peptides: new Set(),
+        });
+      }
+      const group = groups.get(proteinGroup);
+      const quantity = parseNumber(read(columns, 'quantity'), decimalComma);
+      if (!isNaN(quantity)) {
+        group.quantityByRun.set(read(columns, 'run'), quantity);
+      }
+      group.peptides.add(getBareSequence(sequence));
+      peptides.push({
+        peptide: sequence,
+        accessions: group.members.map(parseAccession),
+        unique: parseUniqueFlag(read(columns, 'proteotypic')),
+        ...readPeptideScores(columns, indices, decimalComma),
+      });
+    },
+    finish: () => {
+      const records = [];
+      groups.forEach((group, proteinGroup) => {
+        const quantities = Array.from(group.quantityByRun.values());
+        const area = quantities.length ? quantities.reduce((sum, q) => sum + q, 0) / quantities.length : 0;
+        group.members.forEach((id, i) => {
+          const description = [group.names[i], group.genes[i] && `GN=${group.genes[i]}`].filter(Boolean).join(' ');
+          const accession = parseAccession(id);
+          records.push(buildProteinRecord({
+            accession,
+            description,
+            proteinGroup,
+            area,
+            totalPeptides: group.peptides.size,
+          }));
+        });
+      });
+      return { proteins: records, peptides };
+    },
+  };
+};
+
+/**
+ * Supported search engines, the files each one needs (with their upload labels, in the order
+ * they are read), the columns read from each file (candidate header names and the required
+ * keys, for column mapping), lookups that go beyond the candidate names, and the parser factory
+ * that turns them into protein records.
+ */
+export const SOURCE_SOFTWARE = {
+  'Peaks Studio': {
+    files: { peptides: 'Peptide File', proteins: 'Protein File' },
+    columns: peaksColumns,
+    requiredColumns: peaksRequiredColumns,
+    createParser: createPeaksStudioParser,
+  },
+  'MaxQuant': {
+    files: { peptides: 'Peptide File (peptides.txt)', proteins: 'Protein File (proteinGroups.txt)' },
+    columns: maxQuantColumns,
+    requiredColumns: maxQuantRequiredColumns,
+    createParser: createMaxQuantParser,
+  },
+  'Proteome Discoverer': {
+    files: { peptides: 'Peptide File (PeptideGroups.txt)', proteins: 'Protein File (Proteins.txt)' },
+    columns: proteomeDiscovererColumns,
+    requiredColumns: proteomeDiscovererRequiredColumns,
+    findColumns: { proteins: getProteomeDiscovererProteinIndices },
+    createParser: createProteomeDiscovererParser,
+  },
+  'DIA-NN': {
+    files: { peptides: 'Report File (report.tsv)' },
+    columns: { peptides: diannColumns },
+    requiredColumns: { peptides: longFormatRequiredColumns },
+    createParser: createLongFormatParser(diannColumns, 'DIA-NN report'),
+  },
+  'Spectronaut': {
+    files: { peptides: 'Report File (long-format export)' },
+    columns: { peptides: spectronautColumns },
+    requiredColumns: { peptides: longFormatRequiredColumns },
+    createParser: createLongFormatParser(spectronautColumns, 'Spectronaut report'),
+  },
+};
+
+/**
+ * Finds the columns of a sample file the way its parser does, including any software-specific
+ * fallback.
+ * @param {string} sourceSoftware A key of SOURCE_SOFTWARE.
+ * @param {string} fileType The file type.
+ * @param {string[]} headers The header cells.
+ * @param {Object.<string, string>} [mapping] Headers assigned by the user.
+ * @returns {Object.<string, number>} Column indices by key, -1 for the columns not found.
+ */
+export const findFileColumns = (sourceSoftware, fileType, headers, mapping) => {
+  const software = SOURCE_SOFTWARE[sourceSoftware];
+  const findColumns = software.findColumns?.[fileType];
+  if (findColumns) return findColumns(headers, mapping);
+  return getColumnIndices(headers, applyColumnMapping(software.columns[fileType], mapping));
+};
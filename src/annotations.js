@@ -0,0 +1,189 @@
+import { splitList } from './parsing';
+
+// Regular expressions to find pathogenic variants and "| Key:Value" annotations
+export const pathogenicPattern = /(-VAR_)|(-[A-Z]\d+[A-Z])/;
+const annotationPattern = /\|\s*([A-Za-z][\w.-]*)\s*:([^|]*)/g;
+
+/**
+ * Parses every "| Key:Value" annotation of a protein description or FASTA header
+ * ("... | Association:Li-Fraumeni syndrome | ClinicalSignificance:Pathogenic | dbSNP:rs28934578").
+ * When a key appears more than once, the values are joined with "; ".
+ * @param {string} text The description or header.
+ * @returns {Object.<string, string>} Annotation key to value, in order of appearance.
+ */
+export const parseAnnotations = (text) => {
+  const annotations = {};
+  for (const match of (text || '').matchAll(annotationPattern)) {
+    const value = match[2].trim();
+    if (!value) continue;
+    annotations[match[1]] = annotations[match[1]] ? `${annotations[match[1]]}; ${value}` : value;
+  }
+  return annotations;
+};
+
+/**
+ * Builds the disease association label shown in the results table from a protein description.
+ * @param {string} description The protein description.
+ * @param {Object.<string, string>} [annotations] The parsed annotations, when already available.
+ * @returns {string} The association, or 'N/A' when nothing was found.
+ */
+export const getDiseaseAssociation = (description, annotations = parseAnnotations(description)) => {
+  const associations = [annotations.Association, annotations.ClinicalSignificance].filter(Boolean);
+  if (associations.length > 0) {
+    return associations.join('; ');
+  } else if (description.toUpperCase().includes('PATHOGENIC_VARIANT')) {
+    return 'PATHOGENIC_VARIANT';
+  } else if (description.match(pathogenicPattern)) {
+    return 'Pathogenic/Variant';
+  } else if (description.toLowerCase().includes('cancer')) {
+    return 'Cancer';
+  }
+  return 'N/A';
+};
+
+/**
+ * Merges new annotations into a protein record. Values of a key already present are combined
+ * (duplicates dropped), and the source is recorded for every key it contributed to.
+ * @param {object} protein Protein record with `annotations` and `annotationSources`.
+ * @param {Object.<string, string>} additions Annotation key to value.
+ * @param {string} source Where the additions come from (e.g. 'FASTA header', 'humsavar').
+ * @returns {object} A new record with merged `annotations` and `annotationSources`.
+ */
+export const mergeAnnotations = (protein, additions, source) => {
+  const annotations = { ...protein.annotations };
+  const annotationSources = { ...protein.annotationSources };
+  Object.entries(additions).forEach(([key, value]) => {
+    const values = Array.from(new Set([...splitList(annotations[key]), ...splitList(value)]));
+    if (values.length === 0) return;
+    annotations[key] = values.join('; ');
+    annotationSources[key] = Array.from(new Set([...(annotationSources[key] || []), source]));
+  });
+  return { ...protein, annotations, annotationSources };
+};
+
+/**
+ * Records the description as the source of each protein's parsed annotations, then adds the
+ * annotations of its FASTA header.
+ * @param {object[]} proteins Flat protein records with `annotations` and `fastaEntry`.
+ * @returns {object[]} New records with merged `annotations` and `annotationSources`.
+ */
+export const addFastaAnnotations = (proteins) => proteins.map(protein => {
+  const annotationSources = {};
+  Object.keys(protein.annotations).forEach(key => { annotationSources[key] = ['description']; });
+  const withSources = { ...protein, annotationSources };
+  return protein.fastaEntry ? mergeAnnotations(withSources, parseAnnotations(protein.fastaEntry.header), 'FASTA header') : withSources;
+});
+
+/**
+ * Lists the annotation keys present in the records, in order of first appearance.
+ * @param {object[]} proteins Flat protein records.
+ * @returns {string[]} The keys.
+ */
+export const getAnnotationKeys = (proteins) => {
+  const keys = new Set();
+  proteins.forEach(protein => Object.keys(protein.annotations).forEach(key => keys.add(key)));
+  return Array.from(keys);
+};
+
+/**
+ * Counts the records per annotation value. A value listing several entries separated by ';'
+ * counts towards each of them.
+ * @param {object[]} proteins Flat protein records.
+ * @returns {{key: string, values: {value: string, count: number}[]}[]} The facets, values sorted by count.
+ */
+export const getAnnotationFacets = (proteins) => getAnnotationKeys(proteins).map(key => {
+  const counts = new Map();
+  proteins.forEach(protein => {
+    new Set(splitList(protein.annotations[key])).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  const values = Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  return { key, values };
+});
+
+/**
+ * Keeps the records that match the selected annotation values: any selected value of a key
+ * (OR), for every key with a selection (AND).
+ * @param {object[]} proteins Flat protein records.
+ * @param {Object.<string, string[]>} selections Selected values per annotation key.
+ * @returns {object[]} The matching records.
+ */
+export const filterByAnnotations = (proteins, selections) => {
+  const active = Object.entries(selections).filter(([, values]) => values.length > 0);
+  if (active.length === 0) return proteins;
+  return proteins.filter(protein => active.every(([key, values]) => {
+    const proteinValues = splitList(protein.annotations[key]);
+    return values.some(value => proteinValues.includes(value));
+  }));
+};
+
+// Three-letter amino acid codes used in HGVS protein notation (p.Arg175His)
+const threeLetterCodes = {
+  Ala: 'A', Arg: 'R', Asn: 'N', Asp: 'D', Cys: 'C', Gln: 'Q', Glu: 'E', Gly: 'G', His: 'H', Ile: 'I',
+  Leu: 'L', Lys: 'K', Met: 'M', Phe: 'F', Pro: 'P', Ser: 'S', Thr: 'T', Trp: 'W', Tyr: 'Y', Val: 'V',
+  Sec: 'U', Pyl: 'O',
+};
+const accessionVariantPattern = /-([A-Z])(\d+)([A-Z])$/;
+const hgvsThreeLetterPattern = /p\.\(?([A-Z][a-z]{2})(\d+)([A-Z][a-z]{2})\)?/;
+const hgvsOneLetterPattern = /p\.\(?([A-Z])(\d+)([A-Z])\)?(?![a-z])/;
+const labelledVariantPattern = /(?:Variant|Mutation|AAChange)\s*[:=]\s*([A-Z])(\d+)([A-Z])\b/i;
+
+/**
+ * Reads an amino acid substitution in HGVS protein notation ("p.Arg175His" or "p.R175H").
+ * @param {string} text Text containing the notation.
+ * @returns {{reference: string, position: number, alternate: string, label: string}|null} The
+ * substitution, with a one-letter label such as "R175H", or null when none was found.
+ */
+export const parseProteinChange = (text) => {
+  const threeLetterMatch = text.match(hgvsThreeLetterPattern);
+  if (threeLetterMatch && threeLetterCodes[threeLetterMatch[1]] && threeLetterCodes[threeLetterMatch[3]]) {
+    const reference = threeLetterCodes[threeLetterMatch[1]];
+    const alternate = threeLetterCodes[threeLetterMatch[3]];
+    return { reference, position: parseInt(threeLetterMatch[2], 10), alternate, label: `${reference}${threeLetterMatch[2]}${alternate}` };
+  }
+  const oneLetterMatch = text.match(hgvsOneLetterPattern);
+  if (oneLetterMatch) {
+    return { reference: oneLetterMatch[1], position: parseInt(oneLetterMatch[2], 10), alternate: oneLetterMatch[3], label: `${oneLetterMatch[1]}${oneLetterMatch[2]}${oneLetterMatch[3]}` };
+  }
+  return null;
+};
+
+/**
+ * @typedef {object} VariantSite
+ * @property {number} position 1-based position of the substituted residue.
+ * @property {string} reference Reference (wild-type) residue.
+ * @property {string} alternate Variant residue.
+ * @property {string} label Short notation (e.g. "R175H").
+ * @property {string} source Where the variant was read from ('accession' or 'description').
+ */
+
+/**
+ * Reads a single amino acid substitution from an accession suffix ("P04637-R175H") or from the
+ * description ("p.Arg175His", "p.R175H", "Variant: R175H").
+ * @param {string} accession The protein accession.
+ * @param {string} description The protein description.
+ * @returns {VariantSite|null} The variant site, or null when none was found.
+ */
+export const parseVariantSite = (accession, description) => {
+  const build = (reference, position, alternate, source) => ({
+    position: parseInt(position, 10),
+    reference,
+    alternate,
+    label: `${reference}${position}${alternate}`,
+    source,
+  });
+
+  const accessionMatch = accession.match(accessionVariantPattern);
+  if (accessionMatch) {
+    return build(accessionMatch[1], accessionMatch[2], accessionMatch[3], 'accession');
+  }
+  const proteinChange = parseProteinChange(description);
+  if (proteinChange) {
+    return { ...proteinChange, source: 'description' };
+  }
+  const labelledMatch = description.match(labelledVariantPattern);
+  if (labelledMatch) {
+    return build(labelledMatch[1].toUpperCase(), labelledMatch[2], labelledMatch[3].toUpperCase(), 'description');
+  }
+  return null;
+};
@@ -0,0 +1,18 @@
+/**
+ * Evenly spaced "nice" tick values covering a range.
+ * @param {number} min Range start.
+ * @param {number} max Range end.
+ * @param {number} count Approximate number of ticks.
+ * @returns {number[]} The tick values.
+ */
+export const getTicks = (min, max, count = 6) => {
+  const span = max - min || 1;
+  const rawStep = span / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rawStep);
+  const ticks = [];
+  for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+    ticks.push(Number(value.toFixed(10)));
+  }
+  return ticks;
+};
@@ -0,0 +1,232 @@
+import { pearsonCorrelation } from './statistics';
+
+/**
+ * Distances between two vectors of equal length. Missing values (null) are skipped pairwise, and
+ * the sum-based distances are scaled up to the full length so vectors with gaps stay comparable.
+ * Each returns NaN when the vectors have too few values in common.
+ */
+export const DISTANCE_METRICS = {
+  euclidean: {
+    label: 'Euclidean',
+    distance: (a, b) => {
+      let sum = 0;
+      let count = 0;
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] === null || b[i] === null) continue;
+        sum += (a[i] - b[i]) ** 2;
+        count += 1;
+      }
+      return count === 0 ? NaN : Math.sqrt(sum * (a.length / count));
+    },
+  },
+  manhattan: {
+    label: 'Manhattan',
+    distance: (a, b) => {
+      let sum = 0;
+      let count = 0;
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] === null || b[i] === null) continue;
+        sum += Math.abs(a[i] - b[i]);
+        count += 1;
+      }
+      return count === 0 ? NaN : sum * (a.length / count);
+    },
+  },
+  correlation: {
+    label: 'Pearson correlation (1 - r)',
+    distance: (a, b) => {
+      const presentA = [];
+      const presentB = [];
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] === null || b[i] === null) continue;
+        presentA.push(a[i]);
+        presentB.push(b[i]);
+      }
+      if (presentA.length < 2) return NaN;
+      const r = pearsonCorrelation(presentA, presentB);
+      // A constant vector has no defined correlation; treat it as uncorrelated
+      return Number.isNaN(r) ? 1 : 1 - r;
+    },
+  },
+};
+
+/**
+ * Lance–Williams updates: the distance from cluster k to the merge of clusters i and j, given
+ * the distances before the merge and the cluster sizes.
+ */
+export const LINKAGE_METHODS = {
+  average: {
+    label: 'Average (UPGMA)',
+    update: (dki, dkj, dij, ni, nj) => (ni * dki + nj * dkj) / (ni + nj),
+  },
+  complete: {
+    label: 'Complete',
+    update: (dki, dkj) => Math.max(dki, dkj),
+  },
+  single: {
+    label: 'Single',
+    update: (dki, dkj) => Math.min(dki, dkj),
+  },
+  // Ward's method works on squared distances and is only well defined for Euclidean distances
+  ward: {
+    label: 'Ward',
+    squared: true,
+    update: (dki, dkj, dij, ni, nj, nk) => ((nk + ni) * dki + (nk + nj) * dkj - nk * dij) / (nk + ni + nj),
+  },
+};
+
+/**
+ * @typedef {object} ClusterNode
+ * @property {number} [index] The item index, for leaves.
+ * @property {ClusterNode} [left] First child, for merged clusters.
+ * @property {ClusterNode} [right] Second child, for merged clusters.
+ * @property {number} height Distance at which the children were merged (0 for leaves).
+ * @property {number} size Number of leaves below the node.
+ */
+
+/**
+ * Pairwise distances between the vectors, as a flat n × n matrix. Pairs without a defined
+ * distance get the largest defined distance, so items without shared values join last.
+ * @param {(number|null)[][]} vectors The vectors.
+ * @param {string} metric A key of DISTANCE_METRICS.
+ * @returns {Float64Array} The distance matrix.
+ */
+export const computeDistanceMatrix = (vectors, metric) => {
+  const n = vectors.length;
+  const { distance } = DISTANCE_METRICS[metric];
+  const matrix = new Float64Array(n * n);
+  let maxDistance = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = distance(vectors[i], vectors[j]);
+      matrix[i * n + j] = d;
+      matrix[j * n + i] = d;
+      if (d > maxDistance) maxDistance = d;
+    }
+  }
+  const fallback = maxDistance || 1;
+  for (let i = 0; i < matrix.length; i++) {
+    if (Number.isNaN(matrix[i])) matrix[i] = fallback;
+  }
+  return matrix;
+};
+
+/**
+ * Agglomerative hierarchical clustering. Each step merges the closest pair of clusters and
+ * updates the distances with the linkage's Lance–Williams formula; nearest neighbours are cached
+ * so a typical run takes O(n²) time.
+ * @param {(number|null)[][]} vectors The items to cluster.
+ * @param {object} options Clustering options.
+ * @param {string} options.metric A key of DISTANCE_METRICS.
+ * @param {string} options.linkage A key of LINKAGE_METHODS.
+ * @returns {{root: ClusterNode|null, order: number[]}} The dendrogram and the leaf order.
+ */
+export const hierarchicalCluster = (vectors, { metric, linkage }) => {
+  const n = vectors.length;
+  if (n === 0) return { root: null, order: [] };
+  const { update, squared } = LINKAGE_METHODS[linkage];
+  const distances = computeDistanceMatrix(vectors, metric);
+  if (squared) {
+    for (let i = 0; i < distances.length; i++) distances[i] *= distances[i];
+  }
+
+  const nodes = vectors.map((vector, index) => ({ index, height: 0, size: 1 }));
+  const active = new Uint8Array(n).fill(1);
+  const nearest = new Int32Array(n);
+  const nearestDistance = new Float64Array(n);
+  const findNearest = (i) => {
+    nearest[i] = -1;
+    nearestDistance[i] = Infinity;
+    for (let k = 0; k < n; k++) {
+      if (k !== i && active[k] && distances[i * n + k] < nearestDistance[i]) {
+        nearest[i] = k;
+        nearestDistance[i] = distances[i * n + k];
+      }
+    }
+  };
+  for (let i = 0; i < n; i++) findNearest(i);
+
+  for (let step = 1; step < n; step++) {
+    let i = -1;
+    for (let k = 0; k < n; k++) {
+      if (active[k] && (i === -1 || nearestDistance[k] < nearestDistance[i])) i = k;
+    }
+    const j = nearest[i];
+    const dij = distances[i * n + j];
+    const ni = nodes[i].size;
+    const nj = nodes[j].size;
+
+    // The merged cluster takes slot i; slot j is retired
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i || k === j) continue;
+      const d = update(distances[k * n + i], distances[k * n + j], dij, ni, nj, nodes[k].size);
+      distances[k * n + i] = d;
+      distances[i * n + k] = d;
+    }
+    nodes[i] = { left: nodes[i], right: nodes[j], height: squared ? Math.sqrt(Math.max(0, dij)) : dij, size: ni + nj };
+    active[j] = 0;
+
+    findNearest(i);
+    for (let k = 0; k < n; k++) {
+      if (!active[k] || k === i) continue;
+      if (nearest[k] === i || nearest[k] === j) findNearest(k);
+      else if (distances[k * n + i] < nearestDistance[k]) {
+        nearest[k] = i;
+        nearestDistance[k] = distances[k * n + i];
+      }
+    }
+  }
+
+  const root = nodes[active.indexOf(1)];
+  const order = [];
+  // Iterative traversal: single linkage can produce chains as deep as the item count
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.left) stack.push(node.right, node.left);
+    else order.push(node.index);
+  }
+  return { root, order };
+};
+
+/**
+ * Line segments that draw a dendrogram, in leaf-position and height units: leaf i of the order is
+ * at position i, and a merged node sits at the mean position of its children.
+ * @param {ClusterNode} root The dendrogram.
+ * @param {number[]} order The leaf order returned with it.
+ * @returns {{segments: {position1: number, height1: number, position2: number, height2: number}[], maxHeight: number}} The segments and the root height.
+ */
+export const layoutDendrogram = (root, order) => {
+  const segments = [];
+  if (!root) return { segments, maxHeight: 0 };
+  const positionByIndex = new Map(order.map((index, position) => [index, position]));
+  const positions = new Map();
+  // Rounding can leave a parent marginally below a child; drawn heights never decrease upwards
+  const heights = new Map();
+  // Children are visited before their parent (post-order), without recursion
+  const stack = [{ node: root, visited: false }];
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    const { node } = entry;
+    if (!node.left) {
+      positions.set(node, positionByIndex.get(node.index));
+      heights.set(node, 0);
+    } else if (!entry.visited) {
+      stack.push({ node, visited: true }, { node: node.right, visited: false }, { node: node.left, visited: false });
+    } else {
+      const left = positions.get(node.left);
+      const right = positions.get(node.right);
+      const leftHeight = heights.get(node.left);
+      const rightHeight = heights.get(node.right);
+      const height = Math.max(node.height, leftHeight, rightHeight);
+      segments.push(
+        { position1: left, height1: leftHeight, position2: left, height2: height },
+        { position1: right, height1: rightHeight, position2: right, height2: height },
+        { position1: left, height1: height, position2: right, height2: height },
+      );
+      positions.set(node, (left + right) / 2);
+      heights.set(node, height);
+    }
+  }
+  return { segments, maxHeight: heights.get(root) };
+};
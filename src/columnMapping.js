@@ -0,0 +1,138 @@
+import { SOURCE_SOFTWARE } from './adapters';
+import { parseTable } from './tabular';
+
+const TEMPLATES_STORAGE_KEY = 'columnMappingTemplates';
+// Bytes read for a preview; enough for the header and the first rows of any export
+const PREVIEW_BYTES = 65536;
+
+/**
+ * @typedef {object} ColumnMappingTemplate
+ * @property {string} name Template name, e.g. the software and export version.
+ * @property {string} sourceSoftware A key of SOURCE_SOFTWARE.
+ * @property {string} fileType The file type the mapping applies to.
+ * @property {string[]} headers The header cells of the file the mapping was made for.
+ * @property {Object.<string, string>} mapping Header assigned to each column key.
+ */
+
+/**
+ * @typedef {object} ResolvedMapping
+ * @property {Object.<string, string>} mapping Header assigned to each column key; empty when the
+ * columns are found by name.
+ * @property {string|null} source 'manual' for a mapping made for this file, the template name,
+ * or null.
+ */
+
+/**
+ * @typedef {object} FilePreview
+ * @property {string[]} headers The header cells.
+ * @property {string[][]} rows The first data rows.
+ * @property {import('./tabular').TableReport} report The format detected from the preview.
+ */
+
+/**
+ * Reads the header and first rows of a file without loading all of it. A row cut off by the end
+ * of the preview is left out.
+ * @param {File} file The file.
+ * @param {number} [rowCount] Data rows to return.
+ * @returns {Promise<FilePreview>} The preview.
+ */
+export const readFilePreview = async (file, rowCount = 5) => {
+  const truncated = file.size > PREVIEW_BYTES;
+  const { headers, rows, report } = parseTable(await file.slice(0, PREVIEW_BYTES).text(), { fileName: file.name });
+  const completeRows = truncated ? rows.slice(0, -1) : rows;
+  return { headers, rows: completeRows.slice(0, rowCount).map(row => row.cells), report };
+};
+
+/**
+ * Whether two headers list the same columns, in any order.
+ * @param {string[]} a The first header cells.
+ * @param {string[]} b The second header cells.
+ * @returns {boolean} True if they match.
+ */
+export const headersMatch = (a, b) => {
+  const names = new Set(a.map(header => header.trim()));
+  const otherNames = new Set(b.map(header => header.trim()));
+  return names.size === otherNames.size && [...names].every(name => otherNames.has(name));
+};
+
+/**
+ * Reads the column mapping templates saved in the browser.
+ * @returns {ColumnMappingTemplate[]} The templates, sorted by name.
+ */
+export const loadColumnTemplates = () => {
+  try {
+    const templates = JSON.parse(window.localStorage.getItem(TEMPLATES_STORAGE_KEY)) || [];
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    return [];
+  }
+};
+
+const writeColumnTemplates = (templates) => {
+  try {
+    window.localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+  } catch (err) {
+    console.error('Could not save column mapping templates:', err);
+  }
+};
+
+/**
+ * Saves a template, replacing the one of the same name for the same software and file type.
+ * @param {ColumnMappingTemplate} template The template.
+ * @returns {ColumnMappingTemplate[]} The saved templates.
+ */
+export const saveColumnTemplate = (template) => {
+  const templates = loadColumnTemplates().filter(({ name, sourceSoftware, fileType }) =>
+    !(name === template.name && sourceSoftware === template.sourceSoftware && fileType === template.fileType));
+  writeColumnTemplates([...templates, template]);
+  return loadColumnTemplates();
+};
+
+/**
+ * Deletes a template.
+ * @param {ColumnMappingTemplate} template The template.
+ * @returns {ColumnMappingTemplate[]} The remaining templates.
+ */
+export const deleteColumnTemplate = (template) => {
+  writeColumnTemplates(loadColumnTemplates().filter(({ name, sourceSoftware, fileType }) =>
+    !(name === template.name && sourceSoftware === template.sourceSoftware && fileType === template.fileType)));
+  return loadColumnTemplates();
+};
+
+/**
+ * Picks the mapping for a sample file: the one made for the sample if the file still has the same
+ * header, otherwise a template of the same software and file type whose header matches.
+ * @param {object} sample The sample input, with its optional `columnMappings`.
+ * @param {string} fileType The file type.
+ * @param {string[]} headers The header cells of the file.
+ * @param {ColumnMappingTemplate[]} templates The saved templates.
+ * @returns {ResolvedMapping} The mapping to apply.
+ */
+export const resolveColumnMapping = (sample, fileType, headers, templates) => {
+  const own = sample.columnMappings?.[fileType];
+  if (own && headersMatch(own.headers, headers)) return { mapping: own.mapping, source: own.template || 'manual' };
+  const template = templates.find(candidate => candidate.sourceSoftware === sample.sourceSoftware
+    && candidate.fileType === fileType && headersMatch(candidate.headers, headers));
+  return template ? { mapping: template.mapping, source: template.name } : { mapping: {}, source: null };
+};
+
+/**
+ * Checks that the required columns of a sample file can be found with a mapping, the way the
+ * parser will look them up.
+ * @param {object} sample The sample input.
+ * @param {string} fileType The file type.
+ * @param {FilePreview} preview The preview of the file.
+ * @param {Object.<string, string>} mapping Header assigned to each column key.
+ * @returns {{missingColumns: string[], message: string|null}} The keys of the required columns
+ * that were not found and the parser's message about them.
+ */
+export const checkRequiredColumns = (sample, fileType, preview, mapping) => {
+  const parser = SOURCE_SOFTWARE[sample.sourceSoftware].createParser(sample.name, { [fileType]: mapping });
+  try {
+    parser.readHeader(fileType, preview.headers, { ...preview.report, headerMatches: [] });
+    return { missingColumns: [], message: null };
+  } catch (err) {
+    if (err.name !== 'MissingColumnsError') throw err;
+    return { missingColumns: err.missingColumns, message: err.message };
+  }
+};
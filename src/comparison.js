@@ -0,0 +1,87 @@
+/**
+ * @typedef {object} ComparisonCell
+ * @property {boolean} present Whether the protein was detected in the sample.
+ * @property {number} [area] The raw protein area in the sample.
+ * @property {number|null} [normalizedArea] The normalized protein area in the sample.
+ * @property {number} [totalPeptides] Total peptides in the sample.
+ * @property {number} [uniquePeptidesCount] Unique peptides in the sample.
+ * @property {boolean} [imputed] Whether normalizedArea was filled in for a missing value (see imputeComparisonRows).
+ */
+
+/**
+ * @typedef {object} ComparisonRow
+ * @property {string} accession The protein accession.
+ * @property {string} description The protein description.
+ * @property {string} diseaseAssociation The disease association.
+ * @property {Object.<string, ComparisonCell>} cells One cell per sample name.
+ * @property {number} detectedCount Number of samples in which the protein was detected.
+ */
+
+/**
+ * Lists the sample names present in the protein records, in order of first appearance.
+ * @param {object[]} proteins Flat protein records (one per accession and sample).
+ * @returns {string[]} The sample names.
+ */
+export const getSampleNames = (proteins) => Array.from(new Set(proteins.map(protein => protein.sampleName)));
+
+/**
+ * Pivots the flat protein records into one row per accession with a cell per sample.
+ * If an accession appears more than once in a sample, the record with the largest area is kept.
+ * @param {object[]} proteins Flat protein records (one per accession and sample).
+ * @param {string[]} sampleNames The samples to use as columns.
+ * @returns {ComparisonRow[]} The comparison rows.
+ */
+export const buildComparisonMatrix = (proteins, sampleNames) => {
+  const rowsByAccession = new Map();
+  proteins.forEach(protein => {
+    if (!rowsByAccession.has(protein.accession)) {
+      rowsByAccession.set(protein.accession, {
+        accession: protein.accession,
+        description: protein.description,
+        diseaseAssociation: protein.diseaseAssociation,
+        cells: {},
+      });
+    }
+    const row = rowsByAccession.get(protein.accession);
+    const existing = row.cells[protein.sampleName];
+    if (!existing || protein.area > existing.area) {
+      row.cells[protein.sampleName] = {
+        present: true,
+        area: protein.area,
+        normalizedArea: protein.normalizedArea,
+        totalPeptides: protein.totalPeptides,
+        uniquePeptidesCount: protein.uniquePeptidesCount,
+      };
+    }
+  });
+
+  return Array.from(rowsByAccession.values()).map(row => {
+    const cells = {};
+    sampleNames.forEach(sampleName => {
+      cells[sampleName] = row.cells[sampleName] || { present: false };
+    });
+    return {
+      ...row,
+      cells,
+      detectedCount: sampleNames.filter(sampleName => cells[sampleName].present).length,
+    };
+  });
+};
+
+/**
+ * Filters comparison rows by detection frequency and exclusivity.
+ * @param {ComparisonRow[]} rows The comparison rows.
+ * @param {object} filters The filters to apply.
+ * @param {number} [filters.minDetected] Keep rows detected in at least this many samples.
+ * @param {string} [filters.onlyInSample] Keep rows detected in this sample and in no other.
+ * @returns {ComparisonRow[]} The filtered rows.
+ */
+export const filterComparisonRows = (rows, { minDetected, onlyInSample }) => rows.filter(row => {
+  if (!isNaN(minDetected) && row.detectedCount < minDetected) {
+    return false;
+  }
+  if (onlyInSample && (row.detectedCount !== 1 || !row.cells[onlyInSample]?.present)) {
+    return false;
+  }
+  return true;
+});
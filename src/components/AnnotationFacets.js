@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+
+// Values listed per facet before "Show all" is needed
+const collapsedValueCount = 8;
+
+/**
+ * Faceted filters over the "| Key:Value" annotations: one box per key with a checkbox and a
+ * record count for each value.
+ * @param {object} props
+ * @param {{key: string, values: {value: string, count: number}[]}[]} props.facets The facets to show.
+ * @param {Object.<string, string[]>} props.selections Selected values per annotation key.
+ * @param {function(Object.<string, string[]>): void} props.onChange Called with the new selections.
+ */
+const AnnotationFacets = ({ facets, selections, onChange }) => {
+  const [expandedKeys, setExpandedKeys] = useState([]);
+
+  if (facets.length === 0) return null;
+
+  const toggleValue = (key, value) => {
+    const selected = selections[key] || [];
+    onChange({
+      ...selections,
+      [key]: selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value],
+    });
+  };
+
+  const toggleExpanded = (key) => {
+    setExpandedKeys(current => (current.includes(key) ? current.filter(k => k !== key) : [...current, key]));
+  };
+
+  const hasSelection = Object.values(selections).some(values => values.length > 0);
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-gray-600 font-medium">Annotation filters:</h3>
+        {hasSelection && (
+          <button onClick={() => onChange({})} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200">Clear</button>
+        )}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        {facets.map(({ key, values }) => {
+          const selected = selections[key] || [];
+          const expanded = expandedKeys.includes(key);
+          // Selected values stay visible even when the list is collapsed
+          const visibleValues = expanded ? values : values.filter((entry, index) => index < collapsedValueCount || selected.includes(entry.value));
+          return (
+            <div key={key} className="bg-white border border-gray-200 rounded-lg p-3">
+              <h4 className="text-sm font-bold text-gray-700 mb-2">{key}</h4>
+              <ul className="space-y-1 text-sm text-gray-600 max-h-48 overflow-y-auto">
+                {visibleValues.map(({ value, count }) => (
+                  <li key={value} className="flex items-center">
+                    <input
+                      id={`facet-${key}-${value}`}
+                      type="checkbox"
+                      checked={selected.includes(value)}
+                      onChange={() => toggleValue(key, value)}
+                      className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500"
+                    />
+                    <label htmlFor={`facet-${key}-${value}`} className="ml-2 cursor-pointer truncate" title={value}>{value}</label>
+                    <span className="ml-auto pl-2 text-xs text-gray-400">{count}</span>
+                  </li>
+                ))}
+              </ul>
+              {values.length > collapsedValueCount && (
+                <button onClick={() => toggleExpanded(key)} className="mt-2 text-xs text-blue-600 hover:underline">
+                  {expanded ? 'Show fewer' : `Show all ${values.length}`}
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationFacets;
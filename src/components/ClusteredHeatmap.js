@@ -0,0 +1,228 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { getSampleNames } from '../comparison';
+import { DISTANCE_METRICS, LINKAGE_METHODS, layoutDendrogram } from '../clustering';
+import { HEATMAP_SCALINGS, buildHeatmap, getHeatmapColor } from '../heatmap';
+
+const dendrogramSize = 90;
+const labelWidth = 150;
+const sampleLabelHeight = 110;
+// Protein labels are only drawn when the rows are tall enough to read them
+const minLabelledRowHeight = 9;
+// Imputed cells are marked with a dot when the rows are tall enough to see it
+const minMarkedRowHeight = 4;
+const imputedMarkColor = 'rgba(17, 24, 39, 0.55)';
+const maxHeatmapRows = 2000;
+
+/**
+ * SVG path of a dendrogram. Leaves lie along one edge of a `length` × `size` box, at the center
+ * of their cell, and merge heights grow away from that edge.
+ * @param {import('../clustering').ClusterNode|null} root The dendrogram.
+ * @param {number[]} order The leaf order.
+ * @param {number} cellSize Size of one leaf's cell along the leaf edge.
+ * @param {number} size Extent of the dendrogram away from the leaf edge.
+ * @param {boolean} vertical Whether the leaves are stacked vertically (rows) rather than side by side (samples).
+ * @returns {string} The path data.
+ */
+const getDendrogramPath = (root, order, cellSize, size, vertical) => {
+  const { segments, maxHeight } = layoutDendrogram(root, order);
+  const toPoint = (position, height) => {
+    const along = (position + 0.5) * cellSize;
+    const across = size - (maxHeight > 0 ? height / maxHeight : 0) * (size - 4);
+    return vertical ? `${across.toFixed(1)} ${along.toFixed(1)}` : `${along.toFixed(1)} ${across.toFixed(1)}`;
+  };
+  return segments.map(segment => `M${toPoint(segment.position1, segment.height1)}L${toPoint(segment.position2, segment.height2)}`).join('');
+};
+
+/**
+ * Clustered heatmap of the filtered proteins' log2 areas across samples, with dendrograms for
+ * both proteins and samples. Hovering a cell shows its value; clicking it opens the protein in
+ * the results table. Imputed cells are marked with a dot.
+ * @param {object} props
+ * @param {object[]} props.proteins Flat protein records that pass the current filters.
+ * @param {boolean} props.alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @param {string} props.imputationMethod A key of IMPUTATION_METHODS.
+ * @param {string} props.areaLabel Description of the normalization applied to the areas.
+ * @param {function(string): void} props.onShowProtein Called with the accession of a clicked cell.
+ */
+const ClusteredHeatmap = ({ proteins, alreadyLog2, imputationMethod, areaLabel, onShowProtein }) => {
+  const [metric, setMetric] = useState('euclidean');
+  const [linkage, setLinkage] = useState('average');
+  const [scaling, setScaling] = useState('row');
+  const [maxRows, setMaxRows] = useState('200');
+  const [hover, setHover] = useState(null);
+  const canvasRef = useRef(null);
+
+  const rowLimit = Math.min(maxHeatmapRows, Math.max(2, parseInt(maxRows, 10) || 200));
+  const sampleNames = useMemo(() => getSampleNames(proteins), [proteins]);
+  const heatmap = useMemo(
+    () => buildHeatmap(proteins, sampleNames, { alreadyLog2, imputationMethod, scaling, metric, linkage, maxRows: rowLimit }),
+    [proteins, sampleNames, alreadyLog2, imputationMethod, scaling, metric, linkage, rowLimit],
+  );
+
+  const cellWidth = Math.max(14, Math.min(48, Math.floor(560 / Math.max(1, heatmap.sampleNames.length))));
+  const rowHeight = Math.max(2, Math.min(16, Math.floor(640 / Math.max(1, heatmap.rows.length))));
+  const heatmapWidth = cellWidth * heatmap.sampleNames.length;
+  const heatmapHeight = rowHeight * heatmap.rows.length;
+  const showRowLabels = rowHeight >= minLabelledRowHeight;
+
+  const sampleDendrogram = useMemo(() => getDendrogramPath(heatmap.sampleTree, heatmap.sampleOrder, cellWidth, dendrogramSize, false), [heatmap, cellWidth]);
+  const rowDendrogram = useMemo(() => getDendrogramPath(heatmap.rowTree, heatmap.rowOrder, rowHeight, dendrogramSize, true), [heatmap, rowHeight]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = heatmapWidth * ratio;
+    canvas.height = heatmapHeight * ratio;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    heatmap.rows.forEach((row, rowIndex) => {
+      row.values.forEach((value, sampleIndex) => {
+        context.fillStyle = getHeatmapColor(value, heatmap, scaling);
+        context.fillRect(sampleIndex * cellWidth, rowIndex * rowHeight, cellWidth, rowHeight);
+        if (row.imputed[sampleIndex] && rowHeight >= minMarkedRowHeight) {
+          const size = Math.max(2, Math.floor(rowHeight / 3));
+          context.fillStyle = imputedMarkColor;
+          context.fillRect(sampleIndex * cellWidth + (cellWidth - size) / 2, rowIndex * rowHeight + (rowHeight - size) / 2, size, size);
+        }
+      });
+    });
+  }, [heatmap, scaling, cellWidth, rowHeight, heatmapWidth, heatmapHeight]);
+
+  const cellAt = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - bounds.left;
+    const y = e.clientY - bounds.top;
+    const sampleIndex = Math.floor(x / cellWidth);
+    const rowIndex = Math.floor(y / rowHeight);
+    if (sampleIndex < 0 || sampleIndex >= heatmap.sampleNames.length || rowIndex < 0 || rowIndex >= heatmap.rows.length) return null;
+    return { sampleIndex, rowIndex, x, y };
+  };
+
+  const handleClick = (e) => {
+    const cell = cellAt(e);
+    if (cell) onShowProtein(heatmap.rows[cell.rowIndex].accession);
+  };
+
+  // z-scores are colored symmetrically around zero
+  const legendLimit = Math.max(Math.abs(heatmap.min), Math.abs(heatmap.max));
+  const [legendMin, legendMax] = scaling === 'row' ? [-legendLimit, legendLimit] : [heatmap.min, heatmap.max];
+  const legendStops = [0, 0.25, 0.5, 0.75, 1].map(fraction => ({
+    fraction,
+    color: getHeatmapColor(legendMin + fraction * (legendMax - legendMin), heatmap, scaling),
+  }));
+
+  const hovered = hover && heatmap.rows[hover.rowIndex];
+  const imputedCount = heatmap.rows.reduce((count, row) => count + row.imputed.filter(Boolean).length, 0);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div className="flex flex-col">
+          <label htmlFor="heatmap-scaling" className="text-gray-600 text-sm font-medium mb-1">Values:</label>
+          <select id="heatmap-scaling" value={scaling} onChange={(e) => setScaling(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {Object.entries(HEATMAP_SCALINGS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="heatmap-metric" className="text-gray-600 text-sm font-medium mb-1">Distance:</label>
+          <select id="heatmap-metric" value={metric} onChange={(e) => setMetric(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {Object.entries(DISTANCE_METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="heatmap-linkage" className="text-gray-600 text-sm font-medium mb-1">Linkage:</label>
+          <select id="heatmap-linkage" value={linkage} onChange={(e) => setLinkage(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {Object.entries(LINKAGE_METHODS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="heatmap-rows" className="text-gray-600 text-sm font-medium mb-1">Most variable proteins (max. {maxHeatmapRows}):</label>
+          <input id="heatmap-rows" type="number" min="2" max={maxHeatmapRows} value={maxRows} onChange={(e) => setMaxRows(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-2">
+        {heatmap.rows.length} of {heatmap.totalRows} proteins with an area, from the results that pass the current filters; areas: {areaLabel}, log2-transformed.
+        {imputedCount > 0 && ` ${imputedCount} missing values imputed (marked with a dot).`}
+        {imputationMethod === 'zero' && ' Missing values are not imputed as zero here, as zero has no log2 value.'}
+        {metric !== 'euclidean' && linkage === 'ward' && ' Ward linkage assumes Euclidean distances.'} Click a cell to open the protein in the table.
+      </p>
+
+      {heatmap.sampleNames.length < 2 || heatmap.rows.length < 2 ? (
+        <p className="text-sm text-gray-500">The heatmap needs at least two samples and two proteins with areas.</p>
+      ) : (
+        <div className="overflow-auto rounded-lg border border-gray-200 bg-white" style={{ maxHeight: 800 }}>
+          <div className="relative" style={{ width: dendrogramSize + heatmapWidth + labelWidth, padding: 8, boxSizing: 'content-box' }}>
+            <svg width={dendrogramSize + heatmapWidth} height={dendrogramSize} className="block">
+              <path d={sampleDendrogram} transform={`translate(${dendrogramSize} 0)`} fill="none" stroke="#4b5563" strokeWidth="1" />
+            </svg>
+            <div className="flex">
+              <svg width={dendrogramSize} height={heatmapHeight} className="block flex-none">
+                <path d={rowDendrogram} fill="none" stroke="#4b5563" strokeWidth="1" />
+              </svg>
+              <div className="relative flex-none" style={{ width: heatmapWidth, height: heatmapHeight }}>
+                <canvas
+                  ref={canvasRef}
+                  style={{ width: heatmapWidth, height: heatmapHeight }}
+                  className="block cursor-pointer"
+                  onMouseMove={(e) => setHover(cellAt(e))}
+                  onMouseLeave={() => setHover(null)}
+                  onClick={handleClick}
+                />
+                {hover && (
+                  <div className="absolute pointer-events-none border-2 border-gray-900" style={{ left: hover.sampleIndex * cellWidth - 1, top: hover.rowIndex * rowHeight - 1, width: cellWidth + 2, height: rowHeight + 2 }} />
+                )}
+              </div>
+              {showRowLabels && (
+                <svg width={labelWidth} height={heatmapHeight} className="block flex-none">
+                  {heatmap.rows.map((row, rowIndex) => (
+                    <text key={row.accession} x="4" y={(rowIndex + 0.5) * rowHeight + 3.5} fontSize={Math.min(11, rowHeight - 1)} fill={hover && hover.rowIndex === rowIndex ? '#111827' : '#4b5563'}>
+                      {row.accession}
+                    </text>
+                  ))}
+                </svg>
+              )}
+            </div>
+            <svg width={dendrogramSize + heatmapWidth + labelWidth} height={sampleLabelHeight} className="block">
+              {heatmap.sampleNames.map((sampleName, sampleIndex) => (
+                <text key={sampleName} transform={`translate(${dendrogramSize + (sampleIndex + 0.5) * cellWidth + 4} 6) rotate(60)`} fontSize="11" fill="#374151">
+                  {sampleName.length > 18 ? `${sampleName.substring(0, 17)}…` : sampleName}
+                </text>
+              ))}
+              <defs>
+                <linearGradient id="heatmap-legend">
+                  {legendStops.map(stop => <stop key={stop.fraction} offset={stop.fraction} stopColor={stop.color} />)}
+                </linearGradient>
+              </defs>
+              <rect x={dendrogramSize + heatmapWidth + 10} y="10" width="120" height="10" fill="url(#heatmap-legend)" stroke="#d1d5db" />
+              <text x={dendrogramSize + heatmapWidth + 10} y="34" fontSize="10" fill="#4b5563">{legendMin.toFixed(1)}</text>
+              <text x={dendrogramSize + heatmapWidth + 130} y="34" textAnchor="end" fontSize="10" fill="#4b5563">{legendMax.toFixed(1)}</text>
+              <text x={dendrogramSize + heatmapWidth + 70} y="48" textAnchor="middle" fontSize="10" fill="#4b5563">{HEATMAP_SCALINGS[scaling]}</text>
+              <rect x={dendrogramSize + heatmapWidth + 10} y="56" width="10" height="10" fill={getHeatmapColor(null, heatmap, scaling)} stroke="#d1d5db" />
+              <text x={dendrogramSize + heatmapWidth + 24} y="65" fontSize="10" fill="#4b5563">Missing</text>
+              {imputedCount > 0 && (
+                <>
+                  <rect x={dendrogramSize + heatmapWidth + 10} y="72" width="10" height="10" fill="#ffffff" stroke="#d1d5db" />
+                  <rect x={dendrogramSize + heatmapWidth + 13} y="75" width="4" height="4" fill={imputedMarkColor} />
+                  <text x={dendrogramSize + heatmapWidth + 24} y="81" fontSize="10" fill="#4b5563">Imputed</text>
+                </>
+              )}
+            </svg>
+            {hovered && (
+              <div className="absolute z-10 pointer-events-none bg-gray-900 text-white text-xs rounded-lg shadow-lg p-2 max-w-xs" style={{ left: 8 + dendrogramSize + hover.x + 14, top: 8 + dendrogramSize + hover.y + 14 }}>
+                <div className="font-semibold">{hovered.accession}</div>
+                <div className="text-gray-300 truncate">{hovered.description}</div>
+                <div>Sample: {heatmap.sampleNames[hover.sampleIndex]}</div>
+                <div>log2 area: {hovered.log2Values[hover.sampleIndex] === null ? 'missing' : hovered.log2Values[hover.sampleIndex].toFixed(2)}{hovered.imputed[hover.sampleIndex] && ' (imputed)'}</div>
+                {scaling === 'row' && hovered.values[hover.sampleIndex] !== null && <div>z-score: {hovered.values[hover.sampleIndex].toFixed(2)}</div>}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClusteredHeatmap;
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { SOURCE_SOFTWARE, findFileColumns } from '../adapters';
+import { loadColumnTemplates, saveColumnTemplate, deleteColumnTemplate, checkRequiredColumns } from '../columnMapping';
+
+const selectClass = 'w-full p-1 border border-gray-300 rounded-lg text-gray-700 bg-white text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200';
+
+/**
+ * @typedef {object} ColumnMappingRequest
+ * @property {number} sampleId ID of the sample input.
+ * @property {string} sampleName The sample name.
+ * @property {string} sourceSoftware A key of SOURCE_SOFTWARE.
+ * @property {string} fileType The file type.
+ * @property {string} fileLabel The upload label of the file type.
+ * @property {import('../columnMapping').FilePreview} preview The header and first rows of the file.
+ * @property {Object.<string, string>} mapping The mapping currently applied to the file.
+ */
+
+/**
+ * Column mapping step for one sample file: previews its first rows and lets the user assign the
+ * header of each column the parser reads. Unassigned columns are found by name as usual. The
+ * mapping can be saved as a named template, which is applied automatically to later files of the
+ * same software with the same header.
+ * @param {object} props
+ * @param {ColumnMappingRequest} props.request The file to map.
+ * @param {function(Object.<string, string>, string|null): void} props.onApply Called with the
+ * mapping and the name of the template it was saved as, if any.
+ * @param {function(): void} props.onCancel Closes the wizard without changes.
+ */
+const ColumnMappingWizard = ({ request, onApply, onCancel }) => {
+  const { sampleName, sourceSoftware, fileType, fileLabel, preview } = request;
+  const columnSpec = SOURCE_SOFTWARE[sourceSoftware].columns[fileType];
+  const required = SOURCE_SOFTWARE[sourceSoftware].requiredColumns[fileType];
+  const [mapping, setMapping] = useState(request.mapping);
+  const [templates, setTemplates] = useState(loadColumnTemplates);
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const [templateName, setTemplateName] = useState('');
+
+  const fileTemplates = templates.filter(template => template.sourceSoftware === sourceSoftware && template.fileType === fileType);
+  const automaticIndices = findFileColumns(sourceSoftware, fileType, preview.headers, {});
+  const indices = findFileColumns(sourceSoftware, fileType, preview.headers, mapping);
+  const { missingColumns, message } = checkRequiredColumns({ name: sampleName, sourceSoftware }, fileType, preview, mapping);
+  // Field assigned to each header, shown above the preview
+  const fieldsByIndex = {};
+  Object.entries(indices).forEach(([key, index]) => {
+    if (index !== -1) fieldsByIndex[index] = [...(fieldsByIndex[index] || []), columnSpec[key][0]];
+  });
+
+  const setField = (key, header) => {
+    const { [key]: previous, ...rest } = mapping;
+    setMapping(header ? { ...rest, [key]: header } : rest);
+  };
+
+  const handleLoadTemplate = (name) => {
+    setSelectedTemplate(name);
+    const template = fileTemplates.find(candidate => candidate.name === name);
+    if (!template) return;
+    // Headers the template assigns that this file does not have are left to automatic detection
+    setMapping(Object.fromEntries(Object.entries(template.mapping).filter(([, header]) => preview.headers.includes(header))));
+    setTemplateName(template.name);
+  };
+
+  const handleDeleteTemplate = () => {
+    const template = fileTemplates.find(candidate => candidate.name === selectedTemplate);
+    if (!template || !window.confirm(`Delete the column mapping template "${template.name}"?`)) return;
+    setTemplates(deleteColumnTemplate(template));
+    setSelectedTemplate('');
+  };
+
+  const handleApply = () => {
+    const name = templateName.trim();
+    if (name) setTemplates(saveColumnTemplate({ name, sourceSoftware, fileType, headers: preview.headers, mapping }));
+    onApply(mapping, name || null);
+  };
+
+  return (
+    <div className="mt-6 p-4 border border-blue-300 rounded-lg bg-blue-50">
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-700">Map Columns: {sampleName || 'unnamed sample'}, {fileLabel}</h3>
+          <p className="text-xs text-gray-500">
+            <span className="font-mono">{preview.report.fileName}</span>, {preview.headers.length} columns. Assign the header of each column below; columns left on automatic are found by name. Required columns are marked with *.
+          </p>
+        </div>
+        <button onClick={onCancel} className="text-gray-500 hover:text-gray-700 text-sm font-semibold">Cancel</button>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg border border-gray-200 mb-4">
+        <table className="min-w-full bg-white border-collapse text-xs">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              {preview.headers.map((header, index) => (
+                <th key={index} className="py-1 px-2 text-left whitespace-nowrap align-bottom">
+                  {fieldsByIndex[index] && <span className="block text-blue-700 font-semibold">{fieldsByIndex[index].join(', ')}</span>}
+                  <span className="font-normal">{header}</span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map((cells, rowIndex) => (
+              <tr key={rowIndex} className="border-t border-gray-200">
+                {preview.headers.map((header, index) => (
+                  <td key={index} className={`py-1 px-2 whitespace-nowrap max-w-[12rem] truncate ${fieldsByIndex[index] ? 'bg-blue-50' : 'text-gray-500'}`}>{cells[index]}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3 mb-4">
+        {Object.entries(columnSpec).map(([key, candidates]) => {
+          const isRequired = required.includes(key);
+          const isMissing = missingColumns.includes(key);
+          const automaticHeader = automaticIndices[key] !== -1 ? preview.headers[automaticIndices[key]] : null;
+          return (
+            <div key={key} className="flex flex-col">
+              <label className={`text-xs font-medium mb-1 ${isMissing ? 'text-red-600' : 'text-gray-600'}`} title={`Found automatically under: ${candidates.join(', ')}`}>
+                {candidates[0]}{isRequired && ' *'}
+              </label>
+              <select value={mapping[key] || ''} onChange={(e) => setField(key, e.target.value)} className={`${selectClass} ${isMissing ? 'border-red-400' : ''}`}>
+                <option value="">{automaticHeader ? `Automatic (${automaticHeader})` : 'Automatic (not found)'}</option>
+                {preview.headers.map((header, index) => <option key={index} value={header}>{header}</option>)}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+
+      {message && <p className="text-sm text-red-600 mb-3">{message}</p>}
+
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3">
+        <div className="flex flex-wrap items-end gap-2">
+          {fileTemplates.length > 0 && (
+            <>
+              <select value={selectedTemplate} onChange={(e) => handleLoadTemplate(e.target.value)} className="p-1 border border-gray-300 rounded-lg text-gray-700 bg-white text-sm">
+                <option value="">Load template…</option>
+                {fileTemplates.map(template => <option key={template.name} value={template.name}>{template.name}</option>)}
+              </select>
+              <button onClick={handleDeleteTemplate} disabled={!selectedTemplate} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200 disabled:opacity-50">Delete Template</button>
+            </>
+          )}
+          <input type="text" value={templateName} onChange={(e) => setTemplateName(e.target.value)} placeholder="Save as template, e.g. Peaks 11 export" className="p-1 border border-gray-300 rounded-lg text-gray-700 text-sm w-64" />
+        </div>
+        <button onClick={handleApply} disabled={missingColumns.length > 0} className="bg-blue-600 text-white py-2 px-6 rounded-full font-semibold hover:bg-blue-700 transition duration-200 disabled:bg-blue-300">Apply Mapping</button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
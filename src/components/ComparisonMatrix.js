@@ -0,0 +1,122 @@
+import React, { useState, useMemo } from 'react';
+import { getSampleNames, buildComparisonMatrix, filterComparisonRows } from '../comparison';
+import { downloadTextFile } from '../download';
+import { imputeComparisonRows, describeImputation } from '../imputation';
+import { formatArea } from '../normalization';
+
+/**
+ * Protein × sample pivot of the filtered results, with detection-frequency filters. Missing
+ * values are filled in by the chosen imputation method and shown in italics.
+ * @param {object} props
+ * @param {object[]} props.proteins Flat protein records (one per accession and sample).
+ * @param {boolean} props.alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @param {string} props.imputationMethod A key of IMPUTATION_METHODS.
+ * @param {string} props.areaLabel Description of the normalization applied to the areas.
+ */
+const ComparisonMatrix = ({ proteins, alreadyLog2, imputationMethod, areaLabel }) => {
+  const [minDetected, setMinDetected] = useState('');
+  const [onlyInSample, setOnlyInSample] = useState('');
+
+  const sampleNames = useMemo(() => getSampleNames(proteins), [proteins]);
+  const matrix = useMemo(
+    () => imputeComparisonRows(buildComparisonMatrix(proteins, sampleNames), sampleNames, { method: imputationMethod, alreadyLog2 }),
+    [proteins, sampleNames, imputationMethod, alreadyLog2],
+  );
+  const rows = useMemo(() => filterComparisonRows(matrix, {
+    minDetected: parseInt(minDetected, 10),
+    onlyInSample,
+  }), [matrix, minDetected, onlyInSample]);
+
+  const handleExport = () => {
+    const headers = ['Accession ID', 'Description', 'Association', 'Detected In'];
+    sampleNames.forEach(sampleName => {
+      headers.push(`${sampleName} Status`, `${sampleName} Raw Area`, `${sampleName} Normalized Area (${areaLabel})`, `${sampleName} Total Peptides`, `${sampleName} Unique Peptides`);
+    });
+    const lines = rows.map(row => {
+      const values = [row.accession, row.description, row.diseaseAssociation, `${row.detectedCount}/${sampleNames.length}`];
+      sampleNames.forEach(sampleName => {
+        const cell = row.cells[sampleName];
+        values.push(
+          cell.imputed ? 'Imputed' : (cell.present ? 'Present' : 'Absent'),
+          cell.present ? cell.area.toFixed(2) : '',
+          cell.present || cell.imputed ? formatArea(cell.normalizedArea) : '',
+          cell.present ? cell.totalPeptides : '',
+          cell.present ? cell.uniquePeptidesCount : '',
+        );
+      });
+      return values.join('\t');
+    });
+    downloadTextFile([headers.join('\t'), ...lines].join('\n'), 'comparison_matrix.txt');
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Detected in at least N of {sampleNames.length} samples:</label>
+          <input type="number" min="0" max={sampleNames.length} value={minDetected} onChange={(e) => setMinDetected(e.target.value)} placeholder="N" className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Only in sample:</label>
+          <select value={onlyInSample} onChange={(e) => setOnlyInSample(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            <option value="">Any</option>
+            {sampleNames.map(sampleName => (
+              <option key={sampleName} value={sampleName}>{sampleName}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex items-end">
+          <button onClick={handleExport} disabled={rows.length === 0} className="w-full bg-green-600 text-white font-semibold py-3 px-6 rounded-full shadow-lg hover:bg-green-700 transition duration-200 ease-in-out disabled:bg-green-300">
+            Export Matrix to TXT
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-2">{rows.length} of {matrix.length} proteins. Built from the results that pass the current filters; areas shown: {areaLabel}; missing values: {describeImputation({ method: imputationMethod, alreadyLog2 })}.</p>
+
+      <div className="overflow-x-auto rounded-lg shadow-md">
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal">
+            <tr>
+              <th className="py-3 px-6 text-left">Accession ID</th>
+              <th className="py-3 px-6 text-left">Association</th>
+              <th className="py-3 px-6 text-left">Detected In</th>
+              {sampleNames.map(sampleName => (
+                <th key={sampleName} className="py-3 px-6 text-left">{sampleName}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {rows.map(row => (
+              <tr key={row.accession} className="border-b border-gray-200 hover:bg-gray-100 transition duration-200">
+                <td className="py-3 px-6 whitespace-nowrap" title={row.description}>{row.accession}</td>
+                <td className="py-3 px-6">{row.diseaseAssociation}</td>
+                <td className="py-3 px-6 whitespace-nowrap">{row.detectedCount} / {sampleNames.length}</td>
+                {sampleNames.map(sampleName => {
+                  const cell = row.cells[sampleName];
+                  if (cell.imputed) {
+                    return (
+                      <td key={sampleName} className="py-3 px-6 whitespace-nowrap bg-amber-50">
+                        <div className="italic text-gray-600" title={cell.present ? `Detected without a quantified area (raw area: ${cell.area.toFixed(2)})` : 'Not detected in this sample'}>{formatArea(cell.normalizedArea)}</div>
+                        <div className="text-xs text-amber-700">imputed</div>
+                      </td>
+                    );
+                  }
+                  return cell.present ? (
+                    <td key={sampleName} className="py-3 px-6 whitespace-nowrap bg-green-50">
+                      <div className="font-medium text-gray-700" title={`Raw area: ${cell.area.toFixed(2)}`}>{formatArea(cell.normalizedArea)}</div>
+                      <div className="text-xs text-gray-500">{cell.totalPeptides} total / {cell.uniquePeptidesCount} unique</div>
+                    </td>
+                  ) : (
+                    <td key={sampleName} className="py-3 px-6 text-gray-400 italic">Absent</td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonMatrix;
@@ -0,0 +1,86 @@
+import React from 'react';
+
+// Residues per line and per block in the sequence view
+const lineLength = 50;
+const blockLength = 10;
+
+/**
+ * Protein sequence with the residues covered by observed peptides highlighted, followed by the
+ * start and end position of every peptide match.
+ * @param {object} props
+ * @param {import('../fasta').FastaEntry} props.entry The protein's FASTA entry.
+ * @param {import('../fasta').SequenceCoverage} props.coverage The coverage of the sequence.
+ * @param {import('../annotations').VariantSite|null} [props.variantSite] Variant residue to outline.
+ */
+const CoverageMap = ({ entry, coverage, variantSite }) => {
+  const { sequence } = entry;
+  const lines = [];
+  for (let lineStart = 0; lineStart < sequence.length; lineStart += lineLength) {
+    const blocks = [];
+    for (let blockStart = lineStart; blockStart < Math.min(lineStart + lineLength, sequence.length); blockStart += blockLength) {
+      const residues = sequence.substring(blockStart, blockStart + blockLength).split('');
+      blocks.push(
+        <span key={blockStart} className="mr-2">
+          {residues.map((residue, offset) => (
+            <span
+              key={offset}
+              className={`${coverage.covered[blockStart + offset] ? 'bg-green-200 text-green-900 font-semibold' : ''} ${variantSite && variantSite.position === blockStart + offset + 1 ? 'outline outline-2 outline-red-500' : ''}`}
+            >
+              {residue}
+            </span>
+          ))}
+        </span>
+      );
+    }
+    lines.push(
+      <div key={lineStart} className="whitespace-nowrap">
+        <span className="inline-block w-12 text-right mr-3 text-gray-400 select-none">{lineStart + 1}</span>
+        {blocks}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h4 className="text-sm font-bold text-gray-700 mb-2">
+        Sequence Coverage: {coverage.percent.toFixed(1)}% ({coverage.covered.filter(Boolean).length} of {coverage.length} residues)
+      </h4>
+      <p className="text-xs text-gray-500 mb-2">
+        {[entry.entryName, entry.gene && `Gene: ${entry.gene}`, entry.organism && `Organism: ${entry.organism} (${entry.taxonomyId || 'no taxon ID'})`, entry.proteinExistence && `PE: ${entry.proteinExistence}`, entry.sequenceVersion && `SV: ${entry.sequenceVersion}`].filter(Boolean).join(' · ')}
+      </p>
+      <div className="font-mono text-xs text-gray-600 bg-white border border-gray-200 rounded-lg p-3 overflow-x-auto mb-3">
+        {lines}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="max-h-48 overflow-y-auto">
+          <table className="min-w-full text-xs text-gray-600">
+            <thead className="text-gray-700 uppercase">
+              <tr>
+                <th className="text-left pr-4">Peptide</th>
+                <th className="text-left pr-4">Start</th>
+                <th className="text-left">End</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {coverage.matches.map(match => (
+                <tr key={`${match.peptide}-${match.start}`}>
+                  <td className="pr-4">{match.peptide}</td>
+                  <td className="pr-4">{match.start}</td>
+                  <td>{match.end}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {coverage.unmatched.length > 0 && (
+          <div>
+            <p className="text-xs font-bold text-gray-700 mb-1">Not found in the FASTA sequence:</p>
+            <p className="font-mono text-xs text-gray-600 break-all">{coverage.unmatched.join(', ')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CoverageMap;
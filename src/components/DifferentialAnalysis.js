@@ -0,0 +1,178 @@
+import React, { useState, useMemo } from 'react';
+import { getSampleNames, buildComparisonMatrix } from '../comparison';
+import { differentialAbundance } from '../statistics';
+import { imputeComparisonRows, describeImputation, getLog2Imputation } from '../imputation';
+import VolcanoPlot from './VolcanoPlot';
+import PeptideDetails from './PeptideDetails';
+
+const columns = [
+  { key: 'accession', label: 'Accession ID' },
+  { key: 'diseaseAssociation', label: 'Association' },
+  { key: 'caseCount', label: 'n Case' },
+  { key: 'controlCount', label: 'n Control' },
+  { key: 'imputedCount', label: 'n Imputed' },
+  { key: 'log2FoldChange', label: 'log2 FC' },
+  { key: 'pValue', label: 'p-value' },
+  { key: 'qValue', label: 'q-value (BH)' },
+];
+
+/**
+ * Compares two values for sorting, always placing missing values last.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @param {number} direction 1 for ascending, -1 for descending.
+ * @returns {number} The comparison result.
+ */
+const compareValues = (a, b, direction) => {
+  if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'string') return a.localeCompare(b) * direction;
+  return (a - b) * direction;
+};
+
+const formatNumber = (value, digits = 2) => (value === null ? 'N/A' : value.toFixed(digits));
+const formatP = (value) => (value === null ? 'N/A' : value.toExponential(2));
+
+/**
+ * Case vs. control differential abundance: log2 fold change, Welch t-test, BH q-values and a
+ * volcano plot. Clicking a point or a row shows that protein's peptides in every sample.
+ * @param {object} props
+ * @param {object[]} props.proteins Flat protein records that pass the current filters.
+ * @param {Object.<string, string>} props.conditionBySample Condition assigned to each sample name.
+ * @param {boolean} props.alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @param {string} props.imputationMethod A key of IMPUTATION_METHODS.
+ * @param {string} props.areaLabel Description of the normalization applied to the areas.
+ */
+const DifferentialAnalysis = ({ proteins, conditionBySample, alreadyLog2, imputationMethod, areaLabel }) => {
+  const conditions = useMemo(() => Array.from(new Set(Object.values(conditionBySample).filter(Boolean))), [conditionBySample]);
+  const [caseCondition, setCaseCondition] = useState('');
+  const [controlCondition, setControlCondition] = useState('');
+  const [fcThreshold, setFcThreshold] = useState('1');
+  const [qThreshold, setQThreshold] = useState('0.05');
+  const [sort, setSort] = useState({ key: 'pValue', direction: 1 });
+  const [selectedAccession, setSelectedAccession] = useState(null);
+
+  // Fall back to the first available conditions when the selection was renamed or removed
+  const activeCase = conditions.includes(caseCondition) ? caseCondition : conditions[0] || '';
+  const activeControl = conditions.includes(controlCondition) ? controlCondition : conditions.find(condition => condition !== activeCase) || '';
+
+  const sampleNames = useMemo(() => getSampleNames(proteins), [proteins]);
+  const caseSamples = useMemo(() => sampleNames.filter(sampleName => conditionBySample[sampleName] === activeCase), [sampleNames, conditionBySample, activeCase]);
+  const controlSamples = useMemo(() => sampleNames.filter(sampleName => conditionBySample[sampleName] === activeControl), [sampleNames, conditionBySample, activeControl]);
+
+  const results = useMemo(() => {
+    if (!activeCase || !activeControl || activeCase === activeControl) return [];
+    const matrix = imputeComparisonRows(buildComparisonMatrix(proteins, sampleNames), sampleNames, getLog2Imputation({ method: imputationMethod, alreadyLog2 }));
+    return differentialAbundance(matrix, caseSamples, controlSamples, alreadyLog2);
+  }, [proteins, sampleNames, caseSamples, controlSamples, activeCase, activeControl, alreadyLog2, imputationMethod]);
+
+  const sortedResults = useMemo(() => [...results].sort((a, b) => compareValues(a[sort.key], b[sort.key], sort.direction)), [results, sort]);
+
+  const parsedFc = Math.abs(parseFloat(fcThreshold)) || 0;
+  const parsedQ = parseFloat(qThreshold);
+  const significantCount = results.filter(result => result.qValue !== null && result.qValue <= parsedQ && result.log2FoldChange !== null && Math.abs(result.log2FoldChange) >= parsedFc).length;
+
+  const handleSort = (key) => {
+    setSort(current => ({ key, direction: current.key === key ? -current.direction : 1 }));
+  };
+
+  const selectedProteins = proteins.filter(protein => protein.accession === selectedAccession);
+
+  if (conditions.length < 2) {
+    return (
+      <p className="text-gray-600">
+        Assign at least two different conditions to the samples in Step 2 (for example "case" and "control") to run the differential analysis.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Case condition:</label>
+          <select value={activeCase} onChange={(e) => setCaseCondition(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {conditions.map(condition => <option key={condition} value={condition}>{condition}</option>)}
+          </select>
+          <small className="mt-1 text-xs text-gray-500">{caseSamples.join(', ') || 'No samples'}</small>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Control condition:</label>
+          <select value={activeControl} onChange={(e) => setControlCondition(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {conditions.map(condition => <option key={condition} value={condition}>{condition}</option>)}
+          </select>
+          <small className="mt-1 text-xs text-gray-500">{controlSamples.join(', ') || 'No samples'}</small>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">|log2 FC| threshold:</label>
+          <input type="number" step="0.1" min="0" value={fcThreshold} onChange={(e) => setFcThreshold(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Max. q-value:</label>
+          <input type="number" step="0.01" min="0" max="1" value={qThreshold} onChange={(e) => setQThreshold(e.target.value)} className="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        </div>
+      </div>
+
+      {activeCase === activeControl ? (
+        <p className="text-gray-600">Choose two different conditions to compare.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-4">
+            {results.length} proteins tested, {significantCount} significant. Fold changes use the {areaLabel} areas on a log2 scale; missing values: {describeImputation(getLog2Imputation({ method: imputationMethod, alreadyLog2 }))}.
+            {imputationMethod === 'zero' && !alreadyLog2 && ' Zero imputation only applies to the comparison matrix and exports, as zero has no log2 value.'}
+          </p>
+          <div className="mb-6">
+            <VolcanoPlot results={results} fcThreshold={parsedFc} qThreshold={isNaN(parsedQ) ? 0 : parsedQ} selectedAccession={selectedAccession} onSelect={setSelectedAccession} />
+          </div>
+
+          {selectedAccession && (
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-semibold text-gray-700">{selectedAccession}</h3>
+                <button onClick={() => setSelectedAccession(null)} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200">Close</button>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {selectedProteins.map((protein, index) => (
+                  <div key={`${protein.sampleName}-${index}`}>
+                    <p className="text-sm font-medium text-gray-600 mb-1">{protein.sampleName} ({conditionBySample[protein.sampleName] || 'no condition'})</p>
+                    <PeptideDetails protein={protein} />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="overflow-x-auto rounded-lg shadow-md max-h-[32rem] overflow-y-auto">
+            <table className="min-w-full bg-white border-collapse">
+              <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal sticky top-0">
+                <tr>
+                  {columns.map(column => (
+                    <th key={column.key} onClick={() => handleSort(column.key)} className="py-3 px-6 text-left cursor-pointer select-none whitespace-nowrap">
+                      {column.label}{sort.key === column.key ? (sort.direction === 1 ? ' ▲' : ' ▼') : ''}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="text-gray-600 text-sm font-light">
+                {sortedResults.map(result => (
+                  <tr key={result.accession} onClick={() => setSelectedAccession(result.accession)} className={`border-b border-gray-200 hover:bg-gray-100 transition duration-200 cursor-pointer ${result.accession === selectedAccession ? 'bg-blue-50' : ''}`}>
+                    <td className="py-3 px-6 whitespace-nowrap" title={result.description}>{result.accession}</td>
+                    <td className="py-3 px-6">{result.diseaseAssociation}</td>
+                    <td className="py-3 px-6">{result.caseCount}</td>
+                    <td className="py-3 px-6">{result.controlCount}</td>
+                    <td className={`py-3 px-6 ${result.imputedCount > 0 ? 'italic text-amber-700' : ''}`}>{result.imputedCount}</td>
+                    <td className="py-3 px-6">{formatNumber(result.log2FoldChange)}</td>
+                    <td className="py-3 px-6">{formatP(result.pValue)}</td>
+                    <td className="py-3 px-6">{formatP(result.qValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DifferentialAnalysis;
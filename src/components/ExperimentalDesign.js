@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { SOURCE_SOFTWARE } from '../adapters';
+import { parseSampleSheet, buildSampleSheet, findDuplicateSampleNames } from '../design';
+import { downloadTextFile } from '../download';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200';
+const designFields = [
+  { field: 'condition', label: 'Condition', placeholder: 'e.g. case, control' },
+  { field: 'bioReplicate', label: 'Biological Replicate', placeholder: '1, 2, ...', numeric: true },
+  { field: 'techReplicate', label: 'Technical Replicate', placeholder: '1, 2, ...', numeric: true },
+  { field: 'batch', label: 'Batch', placeholder: 'e.g. run date' },
+];
+
+/**
+ * The experimental design: condition, replicate numbers and batch of every sample. The design
+ * can be imported from or exported to a TSV sample sheet that also names each sample's files;
+ * those files can then be attached in one go by uploading them together.
+ * @param {object} props
+ * @param {object[]} props.samples The sample inputs.
+ * @param {function(object[]): void} props.onChange Called with the updated sample inputs.
+ * @param {function(string): void} props.onError Reports a problem to the user.
+ */
+const ExperimentalDesign = ({ samples, onChange, onError }) => {
+  const [attachMessage, setAttachMessage] = useState('');
+
+  const duplicates = findDuplicateSampleNames(samples.map(sample => sample.name));
+
+  const handleFieldChange = (id, field, value) => {
+    onChange(samples.map(sample => (sample.id === id ? { ...sample, [field]: value } : sample)));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const sheetSamples = parseSampleSheet(await file.text());
+      onChange(sheetSamples.map((sample, index) => ({ ...sample, id: index + 1, files: { peptides: null, proteins: null } })));
+      setAttachMessage('');
+    } catch (err) {
+      console.error('Sample sheet error:', err);
+      onError(err.message);
+    }
+  };
+
+  const handleAttachFiles = (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    const filesByName = new Map(files.map(file => [file.name, file]));
+    let attached = 0;
+    const updated = samples.map(sample => {
+      const sampleFiles = { ...sample.files };
+      Object.keys(SOURCE_SOFTWARE[sample.sourceSoftware].files).forEach(fileType => {
+        const expected = sample.fileNames?.[fileType];
+        if (expected && filesByName.has(expected)) {
+          sampleFiles[fileType] = filesByName.get(expected);
+          attached += 1;
+        }
+      });
+      return { ...sample, files: sampleFiles };
+    });
+    onChange(updated);
+    const missing = updated.flatMap(sample => Object.keys(SOURCE_SOFTWARE[sample.sourceSoftware].files).filter(fileType => !sample.files[fileType]).map(fileType => sample.fileNames?.[fileType] || `${sample.name || `sample ${sample.id}`} ${fileType}`));
+    setAttachMessage(`Attached ${attached} of ${files.length} files.${missing.length > 0 ? ` Still missing: ${missing.join(', ')}.` : ''}`);
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-2 space-y-2 md:space-y-0">
+        <h3 className="text-lg font-semibold text-gray-700">Experimental Design</h3>
+        <div className="flex flex-wrap gap-2">
+          <label className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200 cursor-pointer">
+            Import Sample Sheet
+            <input type="file" accept=".tsv,.txt,.csv" onChange={handleImport} className="hidden" />
+          </label>
+          <label className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200 cursor-pointer">
+            Attach Files by Name
+            <input type="file" multiple accept=".txt,.tsv,.csv" onChange={handleAttachFiles} className="hidden" />
+          </label>
+          <button onClick={() => downloadTextFile(buildSampleSheet(samples), 'sample_sheet.tsv')} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200">
+            Export Sample Sheet
+          </button>
+        </div>
+      </div>
+      <small className="block text-xs text-gray-500 mb-2">
+        Samples of a condition that share a biological replicate number are technical replicates and are averaged before replicates are aggregated. A sample sheet is a tab-, comma- or semicolon-separated file with the columns Sample, Condition, Biological Replicate, Technical Replicate, Batch, Software, Peptide File and Protein File.
+      </small>
+      {duplicates.length > 0 && <p className="text-sm text-red-600 mb-2">Sample names must be unique: {duplicates.join(', ')}.</p>}
+      {attachMessage && <p className="text-sm text-gray-600 mb-2">{attachMessage}</p>}
+      <div className="overflow-x-auto rounded-lg border border-gray-200">
+        <table className="min-w-full bg-white border-collapse text-sm">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="py-2 px-3 text-left">Sample</th>
+              {designFields.map(({ field, label }) => <th key={field} className="py-2 px-3 text-left whitespace-nowrap">{label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {samples.map(sample => (
+              <tr key={sample.id} className="border-t border-gray-200">
+                <td className={`py-2 px-3 whitespace-nowrap ${duplicates.includes(sample.name.trim()) ? 'text-red-600 font-semibold' : 'text-gray-700'}`}>{sample.name || <span className="text-gray-400 italic">Sample {sample.id}</span>}</td>
+                {designFields.map(({ field, placeholder, numeric }) => (
+                  <td key={field} className="py-1 px-3">
+                    <input
+                      type={numeric ? 'number' : 'text'}
+                      min={numeric ? '1' : undefined}
+                      value={sample[field] || ''}
+                      onChange={(e) => handleFieldChange(sample.id, field, e.target.value)}
+                      placeholder={placeholder}
+                      className={inputClass}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExperimentalDesign;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, buildExportFiles } from '../exporters';
+import { downloadBlob } from '../download';
+
+/**
+ * Export options for the results: file format, the columns to include and the peptide-level
+ * rows. Every file starts with a header block listing the active filters.
+ * @param {object} props
+ * @param {object[]} props.proteins The records to export.
+ * @param {import('../exporters').ExportColumn[]} props.columns Every exportable column.
+ * @param {string[]} props.filterDescriptions The active filters, one per line.
+ * @param {string} props.areaLabel Description of the normalization applied to the areas.
+ * @param {import('../imputation').ImputationOptions} props.imputation Missing-value policy of the comparison table.
+ * @param {function(string): void} props.onError Reports a problem to the user.
+ */
+const ExportPanel = ({ proteins, columns, filterDescriptions, areaLabel, imputation, onError }) => {
+  const [format, setFormat] = useState('csv');
+  // Columns are remembered by ID, so new annotation columns are included until unchecked
+  const [excludedColumnIds, setExcludedColumnIds] = useState([]);
+  const [includePeptides, setIncludePeptides] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const selectedColumns = columns.filter(column => !excludedColumnIds.includes(column.id));
+
+  const toggleColumn = (columnId) => {
+    setExcludedColumnIds(current => (current.includes(columnId) ? current.filter(id => id !== columnId) : [...current, columnId]));
+  };
+
+  const handleExport = async () => {
+    if (proteins.length === 0) {
+      onError('No data to export. Please ensure the table contains results.');
+      return;
+    }
+    if (selectedColumns.length === 0) {
+      onError('Choose at least one column to export.');
+      return;
+    }
+    setExporting(true);
+    try {
+      const files = await buildExportFiles({ proteins, columns: selectedColumns, filterDescriptions, areaLabel, imputation, format, includePeptides });
+      files.forEach(file => downloadBlob(file.blob, file.fileName));
+    } catch (err) {
+      console.error('Export error:', err);
+      onError(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const peptideOptionLabel = {
+    csv: 'Also export peptide-level rows (second file)',
+    tsv: 'Also export peptide-level rows (second file)',
+    xlsx: 'Add a peptide sheet',
+    json: 'Include peptide-level rows',
+  }[format];
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex flex-col md:flex-row md:items-center md:space-x-6 space-y-3 md:space-y-0 mb-3">
+        <label htmlFor="export-format" className="text-gray-600 font-medium">Export format:</label>
+        <select id="export-format" value={format} onChange={(e) => setFormat(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+          {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <div className="flex items-center">
+          <input id="export-peptides" type="checkbox" checked={includePeptides} onChange={(e) => setIncludePeptides(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+          <label htmlFor="export-peptides" className="ml-2 text-gray-600 font-medium cursor-pointer">{peptideOptionLabel}</label>
+        </div>
+        <button onClick={handleExport} disabled={exporting} className="bg-green-600 text-white font-semibold py-2 px-6 rounded-full shadow-lg hover:bg-green-700 transition duration-200 ease-in-out disabled:bg-green-300">
+          {exporting ? 'Exporting...' : `Export ${proteins.length} rows`}
+        </button>
+      </div>
+      {format === 'xlsx' && <p className="text-xs text-gray-500 mb-2">The workbook has one sheet per sample and a protein x sample comparison sheet.</p>}
+      <div className="flex items-center space-x-3 mb-2">
+        <span className="text-gray-600 text-sm font-medium">Columns ({selectedColumns.length} of {columns.length}):</span>
+        <button onClick={() => setExcludedColumnIds([])} className="text-xs text-blue-600 hover:text-blue-800">All</button>
+        <button onClick={() => setExcludedColumnIds(columns.map(column => column.id))} className="text-xs text-blue-600 hover:text-blue-800">None</button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-x-4 gap-y-1 text-sm text-gray-600 max-h-48 overflow-y-auto">
+        {columns.map(column => (
+          <label key={column.id} className="flex items-center cursor-pointer truncate" title={column.label}>
+            <input type="checkbox" checked={!excludedColumnIds.includes(column.id)} onChange={() => toggleColumn(column.id)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+            <span className="ml-2 truncate">{column.label}</span>
+          </label>
+        ))}
+      </div>
+      <small className="mt-2 block text-xs text-gray-500">
+        Every file starts with a header block listing the active filters ({filterDescriptions.length === 0 ? 'none' : filterDescriptions.length}).
+      </small>
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,164 @@
+import React, { useState, useRef } from 'react';
+import { getFilterSuggestions, quoteFieldName } from '../filterExpression';
+
+const PRESETS_STORAGE_KEY = 'filterExpressionPresets';
+// Suggestions listed at once; typing narrows the list further
+const maxSuggestions = 8;
+
+const readPresets = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(PRESETS_STORAGE_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+const writePresets = (presets) => {
+  try {
+    window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (err) {
+    console.error('Could not save filter presets:', err);
+  }
+};
+
+/**
+ * Advanced filter box: an expression over the result columns with live syntax errors, column
+ * name autocomplete and named presets kept in the browser.
+ * @param {object} props
+ * @param {string} props.value The expression.
+ * @param {function(string): void} props.onChange Called with the edited expression.
+ * @param {import('../filterExpression').FilterField[]} props.fields The columns that may be used.
+ * @param {Error|null} props.error The syntax error of the current expression, with its `position`.
+ */
+const FilterExpressionInput = ({ value, onChange, fields, error }) => {
+  const inputRef = useRef(null);
+  const [cursor, setCursor] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const [presets, setPresets] = useState(readPresets);
+  const [presetName, setPresetName] = useState('');
+  const [showFields, setShowFields] = useState(false);
+
+  const suggestions = cursor === null ? null : getFilterSuggestions(value, cursor, fields);
+  const suggestedFields = suggestions ? suggestions.fields.slice(0, maxSuggestions) : [];
+
+  const updateCursor = (e) => {
+    setCursor(e.target.selectionStart);
+    setHighlighted(0);
+  };
+
+  const acceptSuggestion = (field) => {
+    const inserted = quoteFieldName(field.name);
+    const nextValue = value.substring(0, suggestions.start) + inserted + value.substring(suggestions.end);
+    const nextCursor = suggestions.start + inserted.length;
+    onChange(nextValue);
+    setCursor(null);
+    // The input is controlled, so the caret is placed after React has rendered the new value
+    window.requestAnimationFrame(() => {
+      if (inputRef.current) inputRef.current.setSelectionRange(nextCursor, nextCursor);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestedFields.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted(current => (current + step + suggestedFields.length) % suggestedFields.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      acceptSuggestion(suggestedFields[Math.min(highlighted, suggestedFields.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setCursor(null);
+    }
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name || !value.trim()) return;
+    const nextPresets = { ...presets, [name]: value };
+    setPresets(nextPresets);
+    writePresets(nextPresets);
+    setPresetName('');
+  };
+
+  const deletePreset = (name) => {
+    const { [name]: removed, ...nextPresets } = presets;
+    setPresets(nextPresets);
+    writePresets(nextPresets);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex justify-between items-center mb-2">
+        <label htmlFor="filter-expression" className="text-gray-600 font-medium">Advanced filter:</label>
+        <button onClick={() => setShowFields(!showFields)} className="text-sm text-blue-600 hover:text-blue-800">
+          {showFields ? 'Hide columns' : 'Show columns'}
+        </button>
+      </div>
+      <div className="relative">
+        <input
+          id="filter-expression"
+          ref={inputRef}
+          type="text"
+          value={value}
+          onChange={(e) => { onChange(e.target.value); updateCursor(e); }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={(e) => { if (!['ArrowDown', 'ArrowUp', 'Tab', 'Enter', 'Escape'].includes(e.key)) updateCursor(e); }}
+          onClick={updateCursor}
+          onBlur={() => setCursor(null)}
+          placeholder="e.g. area > 1e6 AND (uniquePeptidesCount >= 2 OR description ~ /kinase/i) AND sampleName in (S1, S2)"
+          spellCheck="false"
+          autoComplete="off"
+          className={`w-full p-3 border rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200 ${error ? 'border-red-400' : 'border-gray-300'}`}
+        />
+        {suggestedFields.length > 0 && (
+          <ul className="absolute z-10 left-0 mt-1 w-full md:w-96 bg-white border border-gray-300 rounded-lg shadow-lg text-sm">
+            {suggestedFields.map((field, index) => (
+              <li
+                key={field.name}
+                // Selecting on mouse down keeps the input from losing focus first
+                onMouseDown={(e) => { e.preventDefault(); acceptSuggestion(field); }}
+                className={`flex justify-between px-3 py-1 cursor-pointer ${index === highlighted ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+              >
+                <span className="font-mono text-gray-800">{field.name}</span>
+                <span className="text-gray-500 ml-4 truncate">{field.type} - {field.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error ? (
+        <div className="mt-2 text-sm text-red-600">
+          <pre className="font-mono text-xs text-gray-600 overflow-x-auto">{value}{'\n'}{' '.repeat(error.position)}^</pre>
+          {error.message}
+        </div>
+      ) : (
+        <small className="mt-1 block text-xs text-gray-500">
+          Operators: = != &gt; &gt;= &lt; &lt;=, ~ and !~ for regular expressions (/pattern/flags or a quoted, case-insensitive pattern), IN (...), NOT IN (...). Combine with AND, OR, NOT and parentheses. Quote column names with spaces in backticks.
+        </small>
+      )}
+      {showFields && (
+        <div className="mt-2 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-x-4 text-xs text-gray-600">
+          {fields.map(field => (
+            <div key={field.name} className="truncate" title={field.description}>
+              <span className="font-mono text-gray-800">{quoteFieldName(field.name)}</span> <span className="text-gray-400">({field.type})</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <input type="text" value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder="Preset name" className="p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        <button onClick={savePreset} disabled={!presetName.trim() || !value.trim() || Boolean(error)} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200 disabled:opacity-50">Save preset</button>
+        {value && <button onClick={() => onChange('')} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs hover:bg-gray-300 transition duration-200">Clear</button>}
+        {Object.entries(presets).map(([name, expression]) => (
+          <span key={name} className="inline-flex items-center bg-white border border-gray-300 rounded-full text-xs">
+            <button onClick={() => onChange(expression)} title={expression} className="py-1 pl-3 pr-2 text-gray-700 hover:text-blue-600">{name}</button>
+            <button onClick={() => deletePreset(name)} title={`Delete preset "${name}"`} className="pr-2 text-gray-400 hover:text-red-600">x</button>
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default FilterExpressionInput;
@@ -0,0 +1,249 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { getSampleNames } from '../comparison';
+import { getAccessionsBySample, computeIntersections, describeIntersection } from '../overlap';
+import { downloadTextFile } from '../download';
+import { getTicks } from '../chartUtils';
+
+const setColors = ['#2563eb', '#dc2626', '#16a34a'];
+// Circle layouts and the label position of each region (by intersection key) for 2 and 3 sets
+const vennLayouts = {
+  2: {
+    width: 420,
+    height: 300,
+    circles: [{ cx: 160, cy: 150, r: 105 }, { cx: 260, cy: 150, r: 105 }],
+    labels: { '10': [105, 150], '01': [315, 150], '11': [210, 150] },
+  },
+  3: {
+    width: 420,
+    height: 380,
+    circles: [{ cx: 165, cy: 140, r: 100 }, { cx: 255, cy: 140, r: 100 }, { cx: 210, cy: 220, r: 100 }],
+    labels: { '100': [120, 110], '010': [300, 110], '001': [210, 290], '110': [210, 95], '101': [150, 205], '011': [270, 205], '111': [210, 170] },
+  },
+};
+// UpSet columns drawn at most; the remaining intersections are the smallest ones
+const maxUpSetColumns = 40;
+
+/**
+ * Venn diagram of 2 or 3 samples. Each region shows its count and can be clicked.
+ * @param {object} props
+ * @param {string[]} props.sampleNames The compared samples.
+ * @param {import('../overlap').Intersection[]} props.intersections The exclusive intersections.
+ * @param {string|null} props.selectedKey The selected region.
+ * @param {function(import('../overlap').Intersection): void} props.onSelect Called with the clicked region.
+ */
+const VennDiagram = ({ sampleNames, intersections, selectedKey, onSelect }) => {
+  const layout = vennLayouts[sampleNames.length];
+  const byKey = new Map(intersections.map(intersection => [intersection.key, intersection]));
+  return (
+    <svg width={layout.width} height={layout.height} className="bg-white border border-gray-200 rounded-lg">
+      {layout.circles.map((circle, index) => (
+        <circle key={sampleNames[index]} {...circle} fill={setColors[index]} fillOpacity="0.15" stroke={setColors[index]} strokeWidth="2" />
+      ))}
+      {layout.circles.map((circle, index) => {
+        // Sample names sit outside their circle, away from the diagram's center
+        const above = index < 2;
+        return (
+          <text key={sampleNames[index]} x={circle.cx + (index === 0 ? -60 : index === 1 ? 60 : 0)} y={above ? circle.cy - circle.r - 8 : circle.cy + circle.r + 18} textAnchor="middle" fontSize="13" fontWeight="600" fill={setColors[index]}>
+            {sampleNames[index]}
+          </text>
+        );
+      })}
+      {Object.entries(layout.labels).map(([key, [x, y]]) => {
+        const intersection = byKey.get(key);
+        const count = intersection ? intersection.accessions.length : 0;
+        const selected = selectedKey === key;
+        return (
+          <g key={key} onClick={() => intersection && onSelect(intersection)} className={intersection ? 'cursor-pointer' : ''}>
+            <rect x={x - 22} y={y - 13} width="44" height="24" rx="12" fill={selected ? '#1f2937' : 'white'} fillOpacity={selected ? 1 : 0.85} stroke={selected ? '#1f2937' : '#9ca3af'} />
+            <text x={x} y={y + 4} textAnchor="middle" fontSize="12" fontWeight="600" fill={selected ? 'white' : '#374151'}>{count}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * UpSet plot: one column per intersection with its size as a bar, the member samples as
+ * connected dots, and the size of each sample on the left.
+ * @param {object} props
+ * @param {string[]} props.sampleNames The compared samples.
+ * @param {Object.<string, Set<string>>} props.accessionsBySample Accessions per sample.
+ * @param {import('../overlap').Intersection[]} props.intersections The exclusive intersections, largest first.
+ * @param {string|null} props.selectedKey The selected intersection.
+ * @param {function(import('../overlap').Intersection): void} props.onSelect Called with the clicked intersection.
+ */
+const UpSetPlot = ({ sampleNames, accessionsBySample, intersections, selectedKey, onSelect }) => {
+  const columns = intersections.slice(0, maxUpSetColumns);
+  const columnWidth = 22;
+  const rowHeight = 22;
+  const setBarWidth = 110;
+  const labelWidth = 110;
+  const barAreaHeight = 170;
+  const left = setBarWidth + labelWidth;
+  const top = 20;
+  const matrixTop = top + barAreaHeight + 10;
+  const width = left + columns.length * columnWidth + 20;
+  const height = matrixTop + sampleNames.length * rowHeight + 10;
+
+  const maxIntersection = Math.max(1, ...columns.map(column => column.accessions.length));
+  const barTicks = getTicks(0, maxIntersection, 4).filter(tick => tick <= maxIntersection);
+  const maxSet = Math.max(1, ...sampleNames.map(sampleName => accessionsBySample[sampleName].size));
+  const barY = (value) => top + barAreaHeight - (value / maxIntersection) * barAreaHeight;
+  const rowY = (index) => matrixTop + index * rowHeight + rowHeight / 2;
+
+  return (
+    <svg width={width} height={height} className="bg-white border border-gray-200 rounded-lg">
+      {barTicks.map(tick => (
+        <g key={tick}>
+          <line x1={left - 4} x2={width - 20} y1={barY(tick)} y2={barY(tick)} stroke="#f3f4f6" />
+          <text x={left - 8} y={barY(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+      {sampleNames.map((sampleName, index) => {
+        const size = accessionsBySample[sampleName].size;
+        const barWidth = (size / maxSet) * (setBarWidth - 40);
+        return (
+          <g key={sampleName}>
+            {index % 2 === 0 && <rect x={left} y={rowY(index) - rowHeight / 2} width={columns.length * columnWidth} height={rowHeight} fill="#f9fafb" />}
+            <rect x={setBarWidth - 10 - barWidth} y={rowY(index) - 6} width={barWidth} height="12" fill="#9ca3af" />
+            <text x={setBarWidth - 14 - barWidth} y={rowY(index) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{size}</text>
+            <text x={left - 8} y={rowY(index) + 4} textAnchor="end" fontSize="12" fill="#374151">{sampleName.length > 16 ? `${sampleName.substring(0, 15)}…` : sampleName}</text>
+          </g>
+        );
+      })}
+      {columns.map((column, columnIndex) => {
+        const x = left + columnIndex * columnWidth + columnWidth / 2;
+        const selected = column.key === selectedKey;
+        const color = selected ? '#dc2626' : '#1f2937';
+        const memberRows = sampleNames.map((sampleName, index) => index).filter(index => column.key[index] === '1');
+        return (
+          <g key={column.key} onClick={() => onSelect(column)} className="cursor-pointer">
+            <title>{`${describeIntersection(column, sampleNames.length)}: ${column.accessions.length}`}</title>
+            <rect x={x - columnWidth / 2} y={top} width={columnWidth} height={height - top} fill={selected ? '#fee2e2' : 'transparent'} />
+            <rect x={x - 7} y={barY(column.accessions.length)} width="14" height={top + barAreaHeight - barY(column.accessions.length)} fill={color} />
+            <text x={x} y={barY(column.accessions.length) - 4} textAnchor="middle" fontSize="9" fill="#374151">{column.accessions.length}</text>
+            {sampleNames.map((sampleName, index) => (
+              <circle key={sampleName} cx={x} cy={rowY(index)} r="5" fill={column.key[index] === '1' ? color : '#e5e7eb'} />
+            ))}
+            {memberRows.length > 1 && <line x1={x} x2={x} y1={rowY(memberRows[0])} y2={rowY(memberRows[memberRows.length - 1])} stroke={color} strokeWidth="2" />}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+/**
+ * Overlap of the accessions identified in each sample: a Venn diagram for 2-3 samples and an
+ * UpSet plot for any number. Selecting an intersection lists its accessions, which can be
+ * copied, exported or used to filter the results table.
+ * @param {object} props
+ * @param {object[]} props.proteins Every protein record.
+ * @param {object[]} props.filteredProteins The records that pass the current filters.
+ * @param {function(string[], string): void} props.onShowInTable Called with the accessions and a label to filter the table.
+ */
+const OverlapAnalysis = ({ proteins, filteredProteins, onShowInTable }) => {
+  const [useFiltered, setUseFiltered] = useState(true);
+  const [excludedSamples, setExcludedSamples] = useState([]);
+  const [plotType, setPlotType] = useState('auto');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const source = useFiltered ? filteredProteins : proteins;
+  const allSampleNames = useMemo(() => getSampleNames(proteins), [proteins]);
+  const sampleNames = useMemo(() => allSampleNames.filter(sampleName => !excludedSamples.includes(sampleName)), [allSampleNames, excludedSamples]);
+  const accessionsBySample = useMemo(() => getAccessionsBySample(source, sampleNames), [source, sampleNames]);
+  const intersections = useMemo(() => computeIntersections(source, sampleNames), [source, sampleNames]);
+  const selected = intersections.find(intersection => intersection.key === selectedKey) || null;
+  const showVenn = plotType === 'venn' || (plotType === 'auto' && sampleNames.length <= 3);
+
+  // A different sample selection gives the keys a different meaning
+  useEffect(() => setSelectedKey(null), [sampleNames]);
+
+  const toggleSample = (sampleName) => {
+    setExcludedSamples(current => (current.includes(sampleName) ? current.filter(name => name !== sampleName) : [...current, sampleName]));
+  };
+
+  const label = selected ? describeIntersection(selected, sampleNames.length) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(selected.accessions.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const handleExport = () => {
+    const header = [`# Intersection: ${label}`, `# Samples compared: ${sampleNames.join(', ')}`, `# Records: ${useFiltered ? 'passing the current filters' : 'all parsed records'}`];
+    downloadTextFile([...header, ...selected.accessions].join('\n'), `overlap_${selected.sampleNames.join('_').replace(/[^\w.-]+/g, '_')}.txt`);
+  };
+
+  if (allSampleNames.length < 2) {
+    return <p className="text-sm text-gray-500">Overlap analysis needs at least two samples.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center md:space-x-6 space-y-3 md:space-y-0 mb-4">
+        <div className="flex items-center">
+          <input id="overlap-filtered" type="checkbox" checked={useFiltered} onChange={(e) => setUseFiltered(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+          <label htmlFor="overlap-filtered" className="ml-2 text-gray-600 font-medium cursor-pointer">Only records passing the current filters</label>
+        </div>
+        <div className="flex items-center space-x-2">
+          <label htmlFor="overlap-plot" className="text-gray-600 font-medium">Plot:</label>
+          <select id="overlap-plot" value={plotType} onChange={(e) => setPlotType(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            <option value="auto">Automatic</option>
+            <option value="venn" disabled={sampleNames.length < 2 || sampleNames.length > 3}>Venn (2-3 samples)</option>
+            <option value="upset">UpSet</option>
+          </select>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 mb-4 text-sm text-gray-600">
+        <span className="font-medium">Samples:</span>
+        {allSampleNames.map(sampleName => (
+          <label key={sampleName} className="flex items-center cursor-pointer">
+            <input type="checkbox" checked={!excludedSamples.includes(sampleName)} onChange={() => toggleSample(sampleName)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+            <span className="ml-1">{sampleName}</span>
+          </label>
+        ))}
+      </div>
+
+      {sampleNames.length < 2 ? (
+        <p className="text-sm text-gray-500">Select at least two samples.</p>
+      ) : (
+        <div className="flex flex-col lg:flex-row lg:space-x-6 space-y-4 lg:space-y-0">
+          <div className="overflow-x-auto">
+            {showVenn && sampleNames.length <= 3
+              ? <VennDiagram sampleNames={sampleNames} intersections={intersections} selectedKey={selectedKey} onSelect={(intersection) => setSelectedKey(intersection.key)} />
+              : <UpSetPlot sampleNames={sampleNames} accessionsBySample={accessionsBySample} intersections={intersections} selectedKey={selectedKey} onSelect={(intersection) => setSelectedKey(intersection.key)} />}
+            {!showVenn && intersections.length > maxUpSetColumns && (
+              <p className="text-xs text-gray-500 mt-1">Showing the {maxUpSetColumns} largest of {intersections.length} intersections.</p>
+            )}
+          </div>
+          <div className="flex-1 min-w-0">
+            {selected ? (
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <h3 className="font-semibold text-gray-700 mb-1">{label}</h3>
+                <p className="text-sm text-gray-500 mb-3">{selected.accessions.length} accessions</p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  <button onClick={() => onShowInTable(selected.accessions, label)} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200">Show in table</button>
+                  <button onClick={handleCopy} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs hover:bg-gray-300 transition duration-200">{copied ? 'Copied' : 'Copy accessions'}</button>
+                  <button onClick={handleExport} className="bg-green-600 text-white py-1 px-3 rounded-full text-xs hover:bg-green-700 transition duration-200">Export list</button>
+                </div>
+                <div className="font-mono text-xs text-gray-600 max-h-72 overflow-y-auto break-all">{selected.accessions.join(', ')}</div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Click an intersection to list its accessions.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OverlapAnalysis;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+/**
+ * Overall parsing progress across every file of every sample.
+ * @param {object[]} progress Per-sample progress entries.
+ * @returns {number} The percentage of bytes read, rounded down.
+ */
+export const getOverallProgress = (progress) => {
+  let bytesRead = 0;
+  let totalBytes = 0;
+  progress.forEach(sample => sample.files.forEach(file => {
+    bytesRead += file.bytesRead;
+    totalBytes += file.totalBytes;
+  }));
+  return totalBytes > 0 ? Math.floor((bytesRead / totalBytes) * 100) : 0;
+};
+
+/**
+ * Per-sample and per-file progress bars shown while the files are parsed.
+ * @param {object} props
+ * @param {object[]} props.progress Entries of { sampleName, files: [{ fileType, fileName, bytesRead, totalBytes }] }.
+ */
+const ParseProgress = ({ progress }) => (
+  <div className="mt-6 space-y-3">
+    {progress.map((sample, sampleIndex) => (
+      <div key={sampleIndex} className="p-3 border border-gray-200 rounded-lg bg-gray-50">
+        <p className="text-sm font-semibold text-gray-700 mb-2">{sample.sampleName}</p>
+        {sample.files.map(file => {
+          const percent = file.totalBytes > 0 ? Math.floor((file.bytesRead / file.totalBytes) * 100) : 100;
+          return (
+            <div key={file.fileType} className="mb-1">
+              <div className="flex justify-between text-xs text-gray-500">
+                <span className="truncate">{file.fileName}</span>
+                <span>{percent}%</span>
+              </div>
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-2 bg-blue-500 transition-all duration-200" style={{ width: `${percent}%` }} />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    ))}
+  </div>
+);
+
+export default ParseProgress;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { DELIMITERS } from '../tabular';
+
+/**
+ * How the sample files were read: detected format, rows read and skipped (with line numbers and
+ * reasons), columns assigned in the column mapping step, and columns found under a similar
+ * rather than identical header.
+ * @param {object} props
+ * @param {import('../parserClient').FileReport[]} props.reports One entry per parsed file.
+ */
+const ParsingReport = ({ reports }) => {
+  const skippedCount = reports.reduce((sum, { report }) => sum + report.skippedCount, 0);
+  const matchCount = reports.reduce((sum, { report }) => sum + report.headerMatches.length, 0);
+  const hasIssues = skippedCount > 0 || matchCount > 0;
+
+  return (
+    <details className="mt-6 p-3 border border-gray-200 rounded-lg bg-gray-50">
+      <summary className={`text-sm font-semibold cursor-pointer ${hasIssues ? 'text-amber-700' : 'text-gray-700'}`}>
+        Parsing report: {reports.length} file{reports.length === 1 ? '' : 's'}, {skippedCount} row{skippedCount === 1 ? '' : 's'} skipped
+        {matchCount > 0 && `, ${matchCount} column${matchCount === 1 ? '' : 's'} matched by a similar header`}
+      </summary>
+      <div className="mt-3 space-y-3">
+        {reports.map(({ sampleName, fileLabel, report, mappingSource }) => (
+          <div key={`${sampleName}-${fileLabel}`} className="text-sm">
+            <p className="text-gray-700">
+              <span className="font-semibold">{sampleName}</span>, {fileLabel}: <span className="font-mono text-xs">{report.fileName}</span>
+            </p>
+            <p className="text-xs text-gray-500">
+              {DELIMITERS[report.delimiter] || 'Unknown'}-separated{report.decimalComma ? ', decimal commas' : ''}; {report.rowCount} rows read, {report.skippedCount} skipped.
+            </p>
+            {mappingSource && (
+              <p className="text-xs text-gray-500">Columns assigned {mappingSource === 'manual' ? 'manually' : `by the template "${mappingSource}"`}.</p>
+            )}
+            {report.headerMatches.map(({ column, header }) => (
+              <p key={column} className="text-xs text-amber-700">Column "{column}" read from "{header}".</p>
+            ))}
+            {report.skippedRows.length > 0 && (
+              <ul className="mt-1 max-h-40 overflow-y-auto text-xs text-gray-600 list-disc list-inside">
+                {report.skippedRows.map(({ line, reason }) => <li key={line}>Line {line}: {reason}</li>)}
+                {report.skippedCount > report.skippedRows.length && <li>… and {report.skippedCount - report.skippedRows.length} more</li>}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+export default ParsingReport;
@@ -0,0 +1,91 @@
+import React from 'react';
+import CoverageMap from './CoverageMap';
+import { VARIANT_EVIDENCE_STATUS } from '../variants';
+import { formatModification } from '../peptides';
+
+/**
+ * One titled list of bare peptide sequences, each followed by its modified forms.
+ * @param {object} props
+ * @param {string} props.title The list heading.
+ * @param {string[]} props.peptides The bare peptide sequences.
+ * @param {Object.<string, import('../peptides').ParsedPeptide[]>} props.forms Observed forms per sequence.
+ * @param {string} props.emptyText Text shown when the list is empty.
+ */
+const PeptideList = ({ title, peptides, forms, emptyText }) => (
+  <div>
+    <h4 className="text-sm font-bold text-gray-700 mb-2">{title}:</h4>
+    <ul className="list-disc list-inside space-y-1 text-sm text-gray-600">
+      {peptides.length > 0 ? (
+        peptides.map((peptide, pIndex) => (
+          <li key={pIndex}>
+            {peptide}
+            {(forms[peptide] || []).some(form => form.modifications.length > 0) && (
+              <ul className="ml-5 text-xs text-gray-500 font-mono">
+                {forms[peptide].map(form => (
+                  <li key={form.modifiedSequence} title={form.raw}>
+                    {form.modifiedSequence}{form.modifications.length > 0 && ` - ${form.modifications.map(formatModification).join(', ')}`}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))
+      ) : (
+        <li>{emptyText}</li>
+      )}
+    </ul>
+  </div>
+);
+
+/**
+ * Peptide lists shown when a protein row is expanded: unique peptides, shared peptides assigned
+ * to this protein (razor), and the remaining shared peptides. When the protein was found in the
+ * FASTA database, its sequence coverage map is shown below the lists; for variant proteins, the
+ * peptides that span the substituted residue are listed above them, together with the protein's
+ * annotations and where each one came from.
+ * @param {object} props
+ * @param {object} props.protein The protein record.
+ */
+const PeptideDetails = ({ protein }) => {
+  const razor = new Set(protein.razorPeptides);
+  return (
+    <div>
+      {protein.variant && (
+        <div className={`mb-4 p-3 rounded-lg border text-sm ${protein.variantEvidence.status === 'confirmed' ? 'bg-green-50 border-green-200 text-green-800' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+          <span className="font-bold">Variant {protein.variant.label}</span> (position {protein.variant.position}, read from the {protein.variant.source}): {VARIANT_EVIDENCE_STATUS[protein.variantEvidence.status]}
+          {protein.variantEvidence.confirmingPeptides.length > 0 && (
+            <span> - <span className="font-mono">{protein.variantEvidence.confirmingPeptides.join(', ')}</span></span>
+          )}
+        </div>
+      )}
+      {Object.keys(protein.annotations).length > 0 && (
+        <div className="mb-4">
+          <h4 className="text-sm font-bold text-gray-700 mb-2">Annotations:</h4>
+          <table className="text-sm text-gray-600">
+            <tbody>
+              {Object.entries(protein.annotations).map(([key, value]) => (
+                <tr key={key}>
+                  <td className="pr-4 font-medium align-top">{key}</td>
+                  <td className="pr-4 align-top">{value}</td>
+                  <td className="text-xs text-gray-400 align-top whitespace-nowrap">{(protein.annotationSources[key] || []).join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <PeptideList title="Unique Peptides" peptides={protein.uniquePeptides} forms={protein.peptideForms} emptyText="No unique peptides associated." />
+        <PeptideList title="Razor Peptides" peptides={protein.razorPeptides} forms={protein.peptideForms} emptyText="No razor peptides assigned." />
+        <PeptideList title="Other Shared Peptides" peptides={protein.sharedPeptides.filter(peptide => !razor.has(peptide))} forms={protein.peptideForms} emptyText="No other shared peptides." />
+      </div>
+      {protein.coverage && (
+        <div className="mt-4">
+          <CoverageMap entry={protein.fastaEntry} coverage={protein.coverage} variantSite={protein.variant} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeptideDetails;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listProjects, saveProject, loadProject, deleteProject, exportProjectFile, readProjectFile } from '../projects';
+import { downloadBlob } from '../download';
+
+const buttonClass = 'py-2 px-4 rounded-full text-sm font-semibold shadow-md transition duration-200 disabled:opacity-50';
+
+/**
+ * Saves the current analysis as a named project in the browser, reopens saved projects, and
+ * exports or imports them as a portable project file.
+ * @param {object} props
+ * @param {function(string): import('../projects').Project} props.getProject Builds a project from the current analysis.
+ * @param {function(import('../projects').Project): void} props.onOpen Restores an opened or imported project.
+ * @param {function(string): void} props.onError Reports a problem to the user.
+ * @param {boolean} props.hasResults Whether there is an analysis to save.
+ * @param {string} props.projectName The current project name.
+ * @param {function(string): void} props.onProjectNameChange Called with the edited or opened project's name.
+ */
+const ProjectManager = ({ getProject, onOpen, onError, hasResults, projectName, onProjectNameChange: setProjectName }) => {
+  const [projects, setProjects] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const refreshProjects = useCallback(() => listProjects().then(setProjects).catch(err => onError(err.message)), [onError]);
+
+  useEffect(() => {
+    refreshProjects();
+  }, [refreshProjects]);
+
+  // Every action shares the busy flag and reports failures the same way
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      console.error('Project error:', err);
+      onError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const name = projectName.trim();
+    if (!name) throw new Error('Enter a project name before saving.');
+    if (projects.some(project => project.name === name) && !window.confirm(`Replace the saved project "${name}"?`)) return;
+    await saveProject(getProject(name));
+    await refreshProjects();
+  });
+
+  const handleOpen = (name) => run(async () => {
+    onOpen(await loadProject(name));
+    setProjectName(name);
+  });
+
+  const handleDelete = (name) => run(async () => {
+    if (!window.confirm(`Delete the saved project "${name}"?`)) return;
+    await deleteProject(name);
+    await refreshProjects();
+  });
+
+  const handleExport = () => run(async () => {
+    const name = projectName.trim() || 'analysis';
+    downloadBlob(await exportProjectFile({ ...getProject(name), savedAt: new Date().toISOString() }), `${name.replace(/[^\w.-]+/g, '_')}.project.zip`);
+  });
+
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const project = await readProjectFile(file);
+      onOpen(project);
+      setProjectName(project.name || '');
+    });
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg mb-8 border border-gray-200">
+      <h2 className="text-2xl font-semibold text-gray-700 mb-4">Projects</h2>
+      <div className="flex flex-col md:flex-row md:items-center md:space-x-4 space-y-3 md:space-y-0 mb-4">
+        <input type="text" value={projectName} onChange={(e) => setProjectName(e.target.value)} placeholder="Project name" className="flex-1 p-2 border border-gray-300 rounded-lg text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        <button onClick={handleSave} disabled={busy || !hasResults} className={`${buttonClass} bg-blue-600 text-white hover:bg-blue-700`}>Save in Browser</button>
+        <button onClick={handleExport} disabled={busy || !hasResults} className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300`}>Export Project File</button>
+        <label className={`${buttonClass} bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+          Import Project File
+          <input type="file" accept=".zip,.json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+      <small className="block text-xs text-gray-500 mb-3">
+        Projects hold the sample definitions, parsed records, FASTA database, reference annotations and filter settings. The original files are not included; re-upload them only to re-analyze.
+      </small>
+      {projects.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+          {projects.map(project => (
+            <li key={project.name} className="flex items-center justify-between p-3 text-sm">
+              <div>
+                <p className="font-semibold text-gray-700">{project.name}</p>
+                <p className="text-gray-500">
+                  {new Date(project.savedAt).toLocaleString()} - {project.sampleNames.length} sample{project.sampleNames.length === 1 ? '' : 's'} ({project.sampleNames.join(', ')}), {project.proteinCount} records
+                </p>
+              </div>
+              <div className="flex space-x-2">
+                <button onClick={() => handleOpen(project.name)} disabled={busy} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200 disabled:opacity-50">Open</button>
+                <button onClick={() => handleDelete(project.name)} disabled={busy} className="bg-red-100 text-red-700 py-1 px-3 rounded-full text-xs hover:bg-red-200 transition duration-200 disabled:opacity-50">Delete</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ProjectManager;
@@ -0,0 +1,179 @@
+import React, { useState, useMemo } from 'react';
+import { getSampleNames } from '../comparison';
+import {
+  LEADING_PROTEIN_CRITERIA,
+  buildProteinGroups,
+  compareGroupsAcrossSamples,
+  findReusedGroupIds,
+  findSplitVariants,
+} from '../proteinGroups';
+
+const peptideListClass = 'font-mono text-xs text-gray-600 break-all';
+
+/**
+ * Group-level view: every protein group with its members, leading protein and distinguishing
+ * peptides; the same member sets matched across samples; and variants that were not grouped
+ * with their canonical protein.
+ * @param {object} props
+ * @param {object[]} props.proteins Every protein record, so groups are shown with all their members.
+ * @param {object[]} props.filteredProteins Records that pass the current filters; groups without any are hidden.
+ * @param {string} props.leadingBy A key of LEADING_PROTEIN_CRITERIA.
+ * @param {function(string): void} props.onLeadingByChange Called with the new criterion.
+ */
+const ProteinGroupExplorer = ({ proteins, filteredProteins, leadingBy, onLeadingByChange }) => {
+  const [sampleFilter, setSampleFilter] = useState('');
+  const [multiMemberOnly, setMultiMemberOnly] = useState(true);
+  const [expandedGroup, setExpandedGroup] = useState(null);
+
+  const sampleNames = useMemo(() => getSampleNames(proteins), [proteins]);
+  const visibleKeys = useMemo(() => new Set(filteredProteins.map(protein => `${protein.sampleName}::${protein.proteinGroup}`)), [filteredProteins]);
+  const groups = useMemo(() => buildProteinGroups(proteins, leadingBy).filter(group => visibleKeys.has(group.key)), [proteins, leadingBy, visibleKeys]);
+  const shownGroups = groups.filter(group => (!sampleFilter || group.sampleName === sampleFilter) && (!multiMemberOnly || group.members.length > 1));
+  const crossSample = useMemo(() => compareGroupsAcrossSamples(groups, sampleNames).filter(row => row.members.length > 1 || !multiMemberOnly), [groups, sampleNames, multiMemberOnly]);
+  const reusedIds = useMemo(() => findReusedGroupIds(groups), [groups]);
+  const splitVariants = useMemo(() => findSplitVariants(proteins).filter(split => visibleKeys.has(`${split.sampleName}::${split.variant.proteinGroup}`)), [proteins, visibleKeys]);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Leading protein:</label>
+          <select value={leadingBy} onChange={(e) => onLeadingByChange(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {Object.entries(LEADING_PROTEIN_CRITERIA).map(([criterion, label]) => (
+              <option key={criterion} value={criterion}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-600 text-sm font-medium mb-1">Sample:</label>
+          <select value={sampleFilter} onChange={(e) => setSampleFilter(e.target.value)} className="p-3 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            <option value="">All samples</option>
+            {sampleNames.map(sampleName => <option key={sampleName} value={sampleName}>{sampleName}</option>)}
+          </select>
+        </div>
+        <div className="flex items-end pb-3">
+          <input id="multi-member-groups" type="checkbox" checked={multiMemberOnly} onChange={(e) => setMultiMemberOnly(e.target.checked)} className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500" />
+          <label htmlFor="multi-member-groups" className="ml-2 text-gray-600 font-medium cursor-pointer">Only groups with several members</label>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-500 mb-2">{shownGroups.length} of {groups.length} groups. Click a group to see each member's peptides.</p>
+      <div className="overflow-x-auto rounded-lg shadow-md max-h-[32rem] overflow-y-auto mb-8">
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal sticky top-0">
+            <tr>
+              <th className="py-3 px-6 text-left">Sample</th>
+              <th className="py-3 px-6 text-left">Group</th>
+              <th className="py-3 px-6 text-left">Leading Protein</th>
+              <th className="py-3 px-6 text-left">Members</th>
+              <th className="py-3 px-6 text-left">Common Peptides</th>
+              <th className="py-3 px-6 text-left">Members with Distinguishing Peptides</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {shownGroups.map(group => (
+              <React.Fragment key={group.key}>
+                <tr onClick={() => setExpandedGroup(expandedGroup === group.key ? null : group.key)} className={`border-b border-gray-200 hover:bg-gray-100 transition duration-200 cursor-pointer ${expandedGroup === group.key ? 'bg-blue-50' : ''}`}>
+                  <td className="py-3 px-6">{group.sampleName}</td>
+                  <td className="py-3 px-6">{group.proteinGroup}</td>
+                  <td className="py-3 px-6 whitespace-nowrap" title={group.leading.description}>{group.leading.accession}</td>
+                  <td className="py-3 px-6">{group.members.map(member => member.accession).join(', ')}</td>
+                  <td className="py-3 px-6">{group.commonPeptides.length}</td>
+                  <td className="py-3 px-6">{group.members.filter(member => group.distinguishingPeptides[member.accession].length > 0).length} of {group.members.length}</td>
+                </tr>
+                {expandedGroup === group.key && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="6" className="p-4">
+                      <table className="min-w-full text-sm">
+                        <thead className="text-gray-700">
+                          <tr>
+                            <th className="text-left pr-4 pb-1">Member</th>
+                            <th className="text-left pr-4 pb-1">Peptides</th>
+                            <th className="text-left pr-4 pb-1">Area</th>
+                            <th className="text-left pb-1">Distinguishing Peptides</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {group.members.map(member => (
+                            <tr key={member.accession} className="align-top">
+                              <td className="pr-4 py-1 whitespace-nowrap" title={member.description}>
+                                {member.accession}{member === group.leading && <span className="ml-2 text-xs text-blue-600">leading</span>}
+                              </td>
+                              <td className="pr-4 py-1">{member.uniquePeptidesCount + member.sharedPeptidesCount}</td>
+                              <td className="pr-4 py-1">{member.area.toFixed(2)}</td>
+                              <td className={`py-1 ${peptideListClass}`}>{group.distinguishingPeptides[member.accession].join(', ') || 'None - indistinguishable by the observed peptides'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Groups Across Samples</h3>
+      <p className="text-sm text-gray-500 mb-2">Groups are matched by their member accessions; group IDs are only meaningful within one search.</p>
+      {reusedIds.length > 0 && (
+        <div className="mb-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          {reusedIds.length} group ID{reusedIds.length === 1 ? ' is' : 's are'} used for different proteins in different samples: {reusedIds.slice(0, 10).map(reused => reused.proteinGroup).join(', ')}{reusedIds.length > 10 ? ', ...' : ''}
+        </div>
+      )}
+      <div className="overflow-x-auto rounded-lg shadow-md max-h-96 overflow-y-auto mb-8">
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal sticky top-0">
+            <tr>
+              <th className="py-3 px-6 text-left">Members</th>
+              {sampleNames.map(sampleName => <th key={sampleName} className="py-3 px-6 text-left">{sampleName}</th>)}
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {crossSample.map(row => (
+              <tr key={row.signature} className="border-b border-gray-200">
+                <td className="py-3 px-6">{row.members.join(', ')}</td>
+                {sampleNames.map(sampleName => (
+                  <td key={sampleName} className="py-3 px-6">{row.groupIdBySample[sampleName] ? `Group ${row.groupIdBySample[sampleName]}` : '-'}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Variants Not Grouped With Their Canonical Protein</h3>
+      {splitVariants.length === 0 ? (
+        <p className="text-sm text-gray-500">Every variant in the results shares its group with its canonical protein, or the canonical protein was not identified.</p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg shadow-md">
+          <table className="min-w-full bg-white border-collapse">
+            <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal">
+              <tr>
+                <th className="py-3 px-6 text-left">Sample</th>
+                <th className="py-3 px-6 text-left">Variant (Group)</th>
+                <th className="py-3 px-6 text-left">Canonical (Group)</th>
+                <th className="py-3 px-6 text-left">Only in Variant</th>
+                <th className="py-3 px-6 text-left">Only in Canonical</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-600 text-sm font-light">
+              {splitVariants.map(split => (
+                <tr key={`${split.sampleName}-${split.variant.accession}`} className="border-b border-gray-200 align-top">
+                  <td className="py-3 px-6">{split.sampleName}</td>
+                  <td className="py-3 px-6 whitespace-nowrap">{split.variant.accession} ({split.variant.proteinGroup})</td>
+                  <td className="py-3 px-6 whitespace-nowrap">{split.canonical.accession} ({split.canonical.proteinGroup})</td>
+                  <td className={`py-3 px-6 ${peptideListClass}`}>{split.variantOnlyPeptides.join(', ') || 'None'}</td>
+                  <td className={`py-3 px-6 ${peptideListClass}`}>{split.canonicalOnlyPeptides.join(', ') || 'None'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProteinGroupExplorer;
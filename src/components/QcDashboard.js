@@ -0,0 +1,281 @@
+import React, { useState, useMemo } from 'react';
+import { computeQcReport } from '../qc';
+import { getTicks } from '../chartUtils';
+
+const chartHeight = 220;
+const margin = { top: 12, right: 12, bottom: 60, left: 50 };
+const areaBinCount = 30;
+// Proteins with more peptides than this share the last histogram bar
+const maxPeptideBin = 20;
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+const truncate = (text, length) => (text.length > length ? `${text.substring(0, length - 1)}…` : text);
+
+/**
+ * Vertical bar chart, used for the histograms.
+ * @param {object} props
+ * @param {{label: string, value: number}[]} props.bars The bars, left to right.
+ * @param {string} props.xLabel X-axis title.
+ * @param {string} props.yLabel Y-axis title.
+ * @param {number} [props.labelEvery] Label only every n-th bar.
+ */
+const BarChart = ({ bars, xLabel, yLabel, labelEvery = 1 }) => {
+  const barWidth = Math.max(8, Math.min(40, Math.floor(480 / Math.max(1, bars.length))));
+  const width = margin.left + bars.length * barWidth + margin.right;
+  const plotHeight = chartHeight - margin.top - margin.bottom;
+  const maxValue = Math.max(1, ...bars.map(bar => bar.value));
+  const y = (value) => margin.top + plotHeight - (value / maxValue) * plotHeight;
+  return (
+    <svg width={width} height={chartHeight} className="bg-white border border-gray-200 rounded-lg">
+      {getTicks(0, maxValue, 4).filter(tick => tick <= maxValue).map(tick => (
+        <g key={tick}>
+          <line x1={margin.left} x2={width - margin.right} y1={y(tick)} y2={y(tick)} stroke="#f3f4f6" />
+          <text x={margin.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+      {bars.map((bar, index) => (
+        <g key={index}>
+          <rect x={margin.left + index * barWidth + 1} y={y(bar.value)} width={barWidth - 2} height={margin.top + plotHeight - y(bar.value)} fill="#3b82f6">
+            <title>{`${bar.label}: ${bar.value}`}</title>
+          </rect>
+          {index % labelEvery === 0 && (
+            <text x={margin.left + (index + 0.5) * barWidth} y={margin.top + plotHeight + 14} textAnchor="middle" fontSize="10" fill="#4b5563">{bar.label}</text>
+          )}
+        </g>
+      ))}
+      <line x1={margin.left} x2={width - margin.right} y1={margin.top + plotHeight} y2={margin.top + plotHeight} stroke="#6b7280" />
+      <text x={margin.left + (bars.length * barWidth) / 2} y={chartHeight - 12} textAnchor="middle" fontSize="11" fill="#374151">{xLabel}</text>
+      <text transform={`translate(14 ${margin.top + plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="11" fill="#374151">{yLabel}</text>
+    </svg>
+  );
+};
+
+/**
+ * One box plot per sample, with whiskers at 1.5 IQR. Flagged samples are drawn in red.
+ * @param {object} props
+ * @param {import('../qc').SampleQc[]} props.samples The samples.
+ * @param {function(import('../qc').SampleQc): (import('../qc').BoxStats|null)} props.getStats Selects the plotted distribution.
+ * @param {string} props.yLabel Y-axis title.
+ */
+const BoxPlots = ({ samples, getStats, yLabel }) => {
+  const boxWidth = Math.max(24, Math.min(60, Math.floor(560 / Math.max(1, samples.length))));
+  const width = margin.left + samples.length * boxWidth + margin.right;
+  const plotHeight = chartHeight - margin.top - margin.bottom;
+  const stats = samples.map(getStats);
+  const present = stats.filter(Boolean);
+  if (present.length === 0) return <p className="text-sm text-gray-500">No values to plot.</p>;
+  const min = Math.min(...present.map(stat => stat.min));
+  const max = Math.max(...present.map(stat => stat.max));
+  const span = max - min || 1;
+  const y = (value) => margin.top + plotHeight - ((value - min) / span) * plotHeight;
+  return (
+    <svg width={width} height={chartHeight} className="bg-white border border-gray-200 rounded-lg">
+      {getTicks(min, max, 4).filter(tick => tick >= min && tick <= max).map(tick => (
+        <g key={tick}>
+          <line x1={margin.left} x2={width - margin.right} y1={y(tick)} y2={y(tick)} stroke="#f3f4f6" />
+          <text x={margin.left - 6} y={y(tick) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{tick}</text>
+        </g>
+      ))}
+      {samples.map((sample, index) => {
+        const stat = stats[index];
+        const center = margin.left + (index + 0.5) * boxWidth;
+        const color = sample.outlierReasons.length > 0 ? '#dc2626' : '#2563eb';
+        return (
+          <g key={sample.sampleName}>
+            {stat && (
+              <g stroke={color}>
+                <title>{`${sample.sampleName}: median ${stat.median.toFixed(2)}, IQR ${stat.q1.toFixed(2)}–${stat.q3.toFixed(2)}, n = ${stat.count}`}</title>
+                <line x1={center} x2={center} y1={y(stat.lowerWhisker)} y2={y(stat.upperWhisker)} />
+                <rect x={center - boxWidth * 0.3} y={y(stat.q3)} width={boxWidth * 0.6} height={Math.max(1, y(stat.q1) - y(stat.q3))} fill={color} fillOpacity="0.15" />
+                <line x1={center - boxWidth * 0.3} x2={center + boxWidth * 0.3} y1={y(stat.median)} y2={y(stat.median)} strokeWidth="2" />
+              </g>
+            )}
+            <text transform={`translate(${center - 3} ${margin.top + plotHeight + 8}) rotate(45)`} fontSize="10" fill={color}>{truncate(sample.sampleName, 12)}</text>
+          </g>
+        );
+      })}
+      <line x1={margin.left} x2={width - margin.right} y1={margin.top + plotHeight} y2={margin.top + plotHeight} stroke="#6b7280" />
+      <text transform={`translate(14 ${margin.top + plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="11" fill="#374151">{yLabel}</text>
+    </svg>
+  );
+};
+
+/**
+ * Sample-to-sample correlation matrix, colored from the lowest correlation (white) to 1 (dark blue).
+ * @param {object} props
+ * @param {string[]} props.sampleNames The samples.
+ * @param {(number|null)[][]} props.correlations The correlations.
+ */
+const CorrelationMatrix = ({ sampleNames, correlations }) => {
+  const cellSize = Math.max(18, Math.min(48, Math.floor(480 / Math.max(1, sampleNames.length))));
+  const labelSize = 100;
+  const size = labelSize + sampleNames.length * cellSize;
+  const values = correlations.flat().filter(r => r !== null);
+  const low = Math.min(1, ...values);
+  const showValues = cellSize >= 34;
+  const colorFor = (r) => {
+    if (r === null) return '#f3f4f6';
+    const scaled = low < 1 ? (r - low) / (1 - low) : 1;
+    return `hsl(215, 75%, ${95 - scaled * 55}%)`;
+  };
+  return (
+    <svg width={size + 10} height={size + 10} className="bg-white border border-gray-200 rounded-lg">
+      {sampleNames.map((sampleName, i) => (
+        <g key={sampleName}>
+          <text x={labelSize - 6} y={labelSize + (i + 0.5) * cellSize + 4} textAnchor="end" fontSize="10" fill="#374151">{truncate(sampleName, 14)}</text>
+          <text transform={`translate(${labelSize + (i + 0.5) * cellSize + 4} ${labelSize - 6}) rotate(-60)`} fontSize="10" fill="#374151">{truncate(sampleName, 14)}</text>
+          {sampleNames.map((other, j) => {
+            const r = correlations[i][j];
+            return (
+              <g key={other}>
+                <rect x={labelSize + j * cellSize} y={labelSize + i * cellSize} width={cellSize} height={cellSize} fill={colorFor(r)} stroke="white">
+                  <title>{`${sampleName} vs ${other}: ${r === null ? 'too few shared proteins' : `r = ${r.toFixed(3)}`}`}</title>
+                </rect>
+                {showValues && r !== null && (
+                  <text x={labelSize + (j + 0.5) * cellSize} y={labelSize + (i + 0.5) * cellSize + 4} textAnchor="middle" fontSize="10" fill={r > low + (1 - low) / 2 ? 'white' : '#1f2937'} pointerEvents="none">{r.toFixed(2)}</text>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Quality control of the parsed samples: counts, area and peptides-per-protein distributions,
+ * missing values, sample-to-sample correlation and automatically flagged outlier samples.
+ * @param {object} props
+ * @param {object[]} props.proteins Protein records as parsed from the sample files.
+ * @param {Object.<string, import('../peptides').PeptideObservation[]>} props.peptidesBySample Peptide observations per sample name.
+ */
+const QcDashboard = ({ proteins, peptidesBySample }) => {
+  const [outlierThreshold, setOutlierThreshold] = useState('3');
+  const [histogramSample, setHistogramSample] = useState('');
+
+  const threshold = parseFloat(outlierThreshold) > 0 ? parseFloat(outlierThreshold) : 3;
+  const report = useMemo(() => computeQcReport(proteins, peptidesBySample, threshold), [proteins, peptidesBySample, threshold]);
+  const { samples } = report;
+  const selected = samples.find(sample => sample.sampleName === histogramSample) || samples[0];
+  const flagged = samples.filter(sample => sample.outlierReasons.length > 0);
+
+  const areaBars = useMemo(() => {
+    if (!selected || !selected.areaStats) return [];
+    const { min, max } = selected.areaStats;
+    const binWidth = (max - min) / areaBinCount || 1;
+    const counts = new Array(areaBinCount).fill(0);
+    selected.log10Areas.forEach(value => {
+      counts[Math.min(areaBinCount - 1, Math.floor((value - min) / binWidth))] += 1;
+    });
+    return counts.map((value, index) => ({ label: (min + index * binWidth).toFixed(1), value }));
+  }, [selected]);
+
+  const peptideBars = useMemo(() => {
+    if (!selected) return [];
+    const counts = new Array(maxPeptideBin + 1).fill(0);
+    selected.peptidesPerProtein.forEach(count => {
+      counts[Math.min(maxPeptideBin, count)] += 1;
+    });
+    return counts.map((value, index) => ({ label: index === maxPeptideBin ? `${maxPeptideBin}+` : String(index), value }));
+  }, [selected]);
+
+  if (samples.length === 0) {
+    return <p className="text-sm text-gray-500">No parsed samples.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-center md:space-x-4 space-y-2 md:space-y-0">
+        <label htmlFor="qc-outlier-threshold" className="text-gray-600 font-medium">Flag samples beyond robust z of:</label>
+        <input id="qc-outlier-threshold" type="number" min="0.5" step="0.5" value={outlierThreshold} onChange={(e) => setOutlierThreshold(e.target.value)} className="w-24 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+        <small className="text-xs text-gray-500">Computed from all parsed records, before any filter. Outliers need at least three samples.</small>
+      </div>
+
+      {flagged.length > 0 ? (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          <p className="font-semibold mb-1">{flagged.length} sample{flagged.length === 1 ? '' : 's'} flagged as possible outlier{flagged.length === 1 ? '' : 's'}:</p>
+          <ul className="list-disc list-inside">
+            {flagged.map(sample => <li key={sample.sampleName}><span className="font-medium">{sample.sampleName}</span>: {sample.outlierReasons.join('; ')}</li>)}
+          </ul>
+        </div>
+      ) : (
+        <p className="text-sm text-green-700">No outlier samples flagged.</p>
+      )}
+
+      <div className="overflow-x-auto rounded-lg shadow-md">
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal">
+            <tr>
+              {['Sample', 'Proteins', 'Groups', 'Peptides', 'Unitary Groups', 'Missing', 'Median log10 Area', 'Median Peptides/Protein', 'Median r'].map(header => (
+                <th key={header} className="py-3 px-4 text-left whitespace-nowrap">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {samples.map(sample => (
+              <tr key={sample.sampleName} className={`border-b border-gray-200 ${sample.outlierReasons.length > 0 ? 'bg-red-50' : 'bg-white'}`} title={sample.outlierReasons.join('; ') || undefined}>
+                <td className="py-2 px-4 whitespace-nowrap font-medium">{sample.sampleName}{sample.outlierReasons.length > 0 && <span className="ml-2 text-xs text-red-700">outlier</span>}</td>
+                <td className="py-2 px-4">{sample.proteinCount}</td>
+                <td className="py-2 px-4">{sample.groupCount}</td>
+                <td className="py-2 px-4">{sample.peptideCount === null ? 'N/A' : sample.peptideCount}</td>
+                <td className="py-2 px-4">{formatPercent(sample.unitaryGroupFraction)}</td>
+                <td className="py-2 px-4">{formatPercent(sample.missingRate)}</td>
+                <td className="py-2 px-4">{sample.areaStats ? sample.areaStats.median.toFixed(2) : 'N/A'}</td>
+                <td className="py-2 px-4">{sample.peptideStats ? sample.peptideStats.median.toFixed(1) : 'N/A'}</td>
+                <td className="py-2 px-4">{sample.medianCorrelation === null ? 'N/A' : sample.medianCorrelation.toFixed(3)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+        <div className="overflow-x-auto">
+          <h3 className="font-semibold text-gray-700 mb-2">Protein area per sample</h3>
+          <BoxPlots samples={samples} getStats={sample => sample.areaStats} yLabel="log10 raw area" />
+        </div>
+        <div className="overflow-x-auto">
+          <h3 className="font-semibold text-gray-700 mb-2">Peptides per protein</h3>
+          <BoxPlots samples={samples} getStats={sample => sample.peptideStats} yLabel="Peptides" />
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center space-x-2 mb-2">
+          <h3 className="font-semibold text-gray-700">Distributions for</h3>
+          <select value={selected.sampleName} onChange={(e) => setHistogramSample(e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200">
+            {samples.map(sample => <option key={sample.sampleName} value={sample.sampleName}>{sample.sampleName}</option>)}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            {areaBars.length > 0 ? <BarChart bars={areaBars} xLabel="log10 raw area" yLabel="Proteins" labelEvery={5} /> : <p className="text-sm text-gray-500">No positive areas.</p>}
+          </div>
+          <div className="overflow-x-auto">
+            <BarChart bars={peptideBars} xLabel="Peptides per protein" yLabel="Proteins" labelEvery={2} />
+          </div>
+        </div>
+      </div>
+
+      {samples.length > 1 && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <h3 className="font-semibold text-gray-700 mb-2">Missing values</h3>
+            <BarChart
+              bars={report.detectionCounts.map((value, index) => ({ label: String(index + 1), value }))}
+              xLabel={`Detected in k of ${samples.length} samples`}
+              yLabel="Proteins"
+            />
+          </div>
+          <div className="overflow-x-auto">
+            <h3 className="font-semibold text-gray-700 mb-2">Sample correlation (log2 area, shared proteins)</h3>
+            <CorrelationMatrix sampleNames={samples.map(sample => sample.sampleName)} correlations={report.correlations} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QcDashboard;
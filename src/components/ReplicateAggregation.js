@@ -0,0 +1,122 @@
+import React, { useMemo } from 'react';
+import { downloadTextFile } from '../download';
+import { formatArea } from '../normalization';
+
+const formatCv = (cv) => (cv === null ? 'N/A' : `${cv.toFixed(1)}%`);
+
+/**
+ * Replicate aggregates per condition (detected in k of n replicates, mean and median area, CV),
+ * with per-condition filters that apply to every results view.
+ * @param {object} props
+ * @param {object[]} props.proteins Flat protein records that pass the current filters.
+ * @param {import('../design').ReplicateAggregates} props.aggregates The aggregates of every protein.
+ * @param {Object.<string, import('../design').ReplicateFilter>} props.filters Filters per condition.
+ * @param {function(Object.<string, import('../design').ReplicateFilter>): void} props.onFiltersChange Called with the new filters.
+ * @param {string} props.areaLabel Description of the normalization applied to the areas.
+ */
+const ReplicateAggregation = ({ proteins, aggregates, filters, onFiltersChange, areaLabel }) => {
+  const { conditions, replicateCounts } = aggregates;
+  const rows = useMemo(() => {
+    const accessions = new Set(proteins.map(protein => protein.accession));
+    return aggregates.rows.filter(row => accessions.has(row.accession));
+  }, [proteins, aggregates]);
+
+  const setFilter = (condition, key, value) => {
+    onFiltersChange({ ...filters, [condition]: { minDetected: '', maxCv: '', ...filters[condition], [key]: value } });
+  };
+
+  const handleExport = () => {
+    const headers = ['Accession ID', 'Description', 'Association'];
+    conditions.forEach(condition => {
+      headers.push(`${condition} Detected`, `${condition} Replicates`, `${condition} Mean Area (${areaLabel})`, `${condition} Median Area (${areaLabel})`, `${condition} CV %`);
+    });
+    const lines = rows.map(row => {
+      const values = [row.accession, row.description, row.diseaseAssociation];
+      conditions.forEach(condition => {
+        const aggregate = row.conditions[condition];
+        values.push(
+          aggregate.detected,
+          aggregate.replicates,
+          aggregate.mean === null ? '' : formatArea(aggregate.mean),
+          aggregate.median === null ? '' : formatArea(aggregate.median),
+          aggregate.cv === null ? '' : aggregate.cv.toFixed(1),
+        );
+      });
+      return values.join('\t');
+    });
+    downloadTextFile([headers.join('\t'), ...lines].join('\n'), 'replicate_aggregates.txt');
+  };
+
+  if (conditions.length === 0) {
+    return <p className="text-sm text-gray-500">Assign conditions to the samples in the experimental design to aggregate their replicates.</p>;
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-4">
+        {conditions.map(condition => (
+          <div key={condition} className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+            <p className="font-semibold text-gray-700 mb-2">{condition} <span className="font-normal text-sm text-gray-500">({replicateCounts[condition]} replicate{replicateCounts[condition] === 1 ? '' : 's'})</span></p>
+            <div className="flex space-x-2">
+              <div className="flex flex-col flex-1">
+                <label className="text-gray-600 text-xs font-medium mb-1">Detected in at least:</label>
+                <input type="number" min="0" max={replicateCounts[condition]} value={filters[condition]?.minDetected || ''} onChange={(e) => setFilter(condition, 'minDetected', e.target.value)} placeholder={`k of ${replicateCounts[condition]}`} className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              </div>
+              <div className="flex flex-col flex-1">
+                <label className="text-gray-600 text-xs font-medium mb-1">Max. CV %:</label>
+                <input type="number" min="0" value={filters[condition]?.maxCv || ''} onChange={(e) => setFilter(condition, 'maxCv', e.target.value)} placeholder="e.g. 20" className="p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition duration-200" />
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-sm text-gray-500">{rows.length} proteins pass the current filters, including the replicate filters above. Areas: {areaLabel}; CVs on the linear scale.</p>
+        <button onClick={handleExport} disabled={rows.length === 0} className="bg-green-600 text-white py-1 px-3 rounded-full text-xs font-semibold hover:bg-green-700 transition duration-200 disabled:bg-green-300">Export to TXT</button>
+      </div>
+
+      <div className="overflow-x-auto rounded-lg shadow-md max-h-[640px] overflow-y-auto">
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal sticky top-0">
+            <tr>
+              <th rowSpan="2" className="py-3 px-4 text-left">Accession ID</th>
+              <th rowSpan="2" className="py-3 px-4 text-left">Association</th>
+              {conditions.map(condition => <th key={condition} colSpan="4" className="py-2 px-4 text-center border-l border-gray-300 normal-case">{condition}</th>)}
+            </tr>
+            <tr>
+              {conditions.map(condition => (
+                <React.Fragment key={condition}>
+                  <th className="py-2 px-4 text-left border-l border-gray-300">k / n</th>
+                  <th className="py-2 px-4 text-left">Mean</th>
+                  <th className="py-2 px-4 text-left">Median</th>
+                  <th className="py-2 px-4 text-left">CV</th>
+                </React.Fragment>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {rows.map(row => (
+              <tr key={row.accession} className="border-b border-gray-200 hover:bg-gray-100 transition duration-200">
+                <td className="py-2 px-4 whitespace-nowrap" title={row.description}>{row.accession}</td>
+                <td className="py-2 px-4">{row.diseaseAssociation}</td>
+                {conditions.map(condition => {
+                  const aggregate = row.conditions[condition];
+                  return (
+                    <React.Fragment key={condition}>
+                      <td className={`py-2 px-4 whitespace-nowrap border-l border-gray-200 ${aggregate.detected === 0 ? 'text-gray-400' : ''}`}>{aggregate.detected} / {aggregate.replicates}</td>
+                      <td className="py-2 px-4 whitespace-nowrap">{formatArea(aggregate.mean)}</td>
+                      <td className="py-2 px-4 whitespace-nowrap">{formatArea(aggregate.median)}</td>
+                      <td className="py-2 px-4 whitespace-nowrap">{formatCv(aggregate.cv)}</td>
+                    </React.Fragment>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ReplicateAggregation;
@@ -0,0 +1,255 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { VARIANT_EVIDENCE_STATUS } from '../variants';
+import { RESULT_COLUMNS, normalizeColumnLayout, getVisibleColumns, getProteinRowId, sortProteins, toggleSortKey } from '../resultsTable';
+import PeptideDetails from './PeptideDetails';
+
+// Rows have a fixed height so only the rows in view need to be rendered
+const rowHeight = 44;
+const viewportHeight = 640;
+const overscanRows = 10;
+// Used for an expanded row until its details have been measured
+const estimatedDetailsHeight = 400;
+
+const columnLabels = Object.fromEntries(RESULT_COLUMNS.map(column => [column.id, column.label]));
+
+/**
+ * Expanded row content that reports its rendered height, so the rows below it can be placed.
+ * @param {object} props
+ * @param {object} props.protein The protein record.
+ * @param {number} props.colSpan Number of table columns.
+ * @param {function(number): void} props.onHeightChange Called with the measured row height.
+ */
+const DetailsRow = ({ protein, colSpan, onHeightChange }) => {
+  const rowRef = useRef(null);
+  useEffect(() => {
+    const row = rowRef.current;
+    onHeightChange(row.getBoundingClientRect().height);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(() => onHeightChange(row.getBoundingClientRect().height));
+    observer.observe(row);
+    return () => observer.disconnect();
+  }, [onHeightChange]);
+  return (
+    <tr ref={rowRef} className="bg-gray-50 border-b border-gray-200">
+      <td colSpan={colSpan} className="p-4">
+        <PeptideDetails protein={protein} />
+      </td>
+    </tr>
+  );
+};
+
+/**
+ * Panel listing every column with a visibility checkbox and buttons to move it.
+ * @param {object} props
+ * @param {{id: string, visible: boolean}[]} props.layout The column layout.
+ * @param {function({id: string, visible: boolean}[]): void} props.onChange Called with the new layout.
+ * @param {function(): void} props.onReset Restores the default layout.
+ */
+const ColumnChooser = ({ layout, onChange, onReset }) => {
+  const move = (index, step) => {
+    const target = index + step;
+    // The accession column stays first
+    if (target < 1 || target >= layout.length) return;
+    const next = [...layout];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+  return (
+    <div className="absolute right-0 z-30 mt-2 w-72 bg-white border border-gray-300 rounded-lg shadow-lg p-3">
+      <ul className="space-y-1 text-sm text-gray-700 max-h-80 overflow-y-auto">
+        {layout.map((entry, index) => (
+          <li key={entry.id} className="flex items-center justify-between">
+            <label className="flex items-center cursor-pointer">
+              <input
+                type="checkbox"
+                checked={entry.visible}
+                disabled={entry.id === 'accession'}
+                onChange={() => onChange(layout.map(other => (other.id === entry.id ? { ...other, visible: !other.visible } : other)))}
+                className="h-4 w-4 text-blue-600 bg-gray-100 rounded border-gray-300 focus:ring-blue-500"
+              />
+              <span className="ml-2">{columnLabels[entry.id]}</span>
+            </label>
+            {entry.id !== 'accession' && (
+              <span className="space-x-1">
+                <button onClick={() => move(index, -1)} disabled={index <= 1} className="px-1 text-gray-500 hover:text-blue-600 disabled:opacity-30" title="Move up">&uarr;</button>
+                <button onClick={() => move(index, 1)} disabled={index === layout.length - 1} className="px-1 text-gray-500 hover:text-blue-600 disabled:opacity-30" title="Move down">&darr;</button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+      <button onClick={onReset} className="mt-2 text-xs text-blue-600 hover:text-blue-800">Reset columns</button>
+    </div>
+  );
+};
+
+/**
+ * The protein results table. Only the rows in view are rendered; the header row and the
+ * accession column stay in place while scrolling. Columns can be sorted (shift-click adds a
+ * secondary sort), hidden and reordered, and expanded rows are tracked by row identity.
+ * @param {object} props
+ * @param {object[]} props.proteins The records to show.
+ * @param {{id: string, visible: boolean}[]} props.columnLayout Column order and visibility.
+ * @param {function({id: string, visible: boolean}[]): void} props.onColumnLayoutChange Called with the new layout.
+ * @param {{columnId: string, direction: string}[]} props.sortKeys Sort keys, most significant first.
+ * @param {function({columnId: string, direction: string}[]): void} props.onSortKeysChange Called with the new sort keys.
+ * @param {function(): void} props.onResetColumns Restores the default layout.
+ * @param {{accession: string}|null} [props.focus] A protein to scroll to and highlight; pass a new object to scroll again.
+ */
+const ResultsTable = ({ proteins, columnLayout, onColumnLayoutChange, sortKeys, onSortKeysChange, onResetColumns, focus = null }) => {
+  const [expandedRows, setExpandedRows] = useState(() => new Set());
+  const [detailsHeights, setDetailsHeights] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [showColumnChooser, setShowColumnChooser] = useState(false);
+  const scrollRef = useRef(null);
+  const scrolledFocus = useRef(null);
+
+  const layout = useMemo(() => normalizeColumnLayout(columnLayout), [columnLayout]);
+  const columns = useMemo(() => getVisibleColumns(layout), [layout]);
+  const rows = useMemo(() => sortProteins(proteins, sortKeys), [proteins, sortKeys]);
+
+  // Expanded rows that are in the current result, in row order, with the height they add
+  const expandedOffsets = useMemo(() => {
+    const offsets = [];
+    rows.forEach((protein, index) => {
+      const rowId = getProteinRowId(protein);
+      if (expandedRows.has(rowId)) offsets.push({ index, height: detailsHeights[rowId] || estimatedDetailsHeight });
+    });
+    return offsets;
+  }, [rows, expandedRows, detailsHeights]);
+
+  const getRowTop = (index) => expandedOffsets.reduce((top, expanded) => (expanded.index < index ? top + expanded.height : top), index * rowHeight);
+  const totalHeight = getRowTop(rows.length);
+
+  // Binary search for the first row whose bottom edge is below the top of the viewport
+  let low = 0;
+  let high = rows.length;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (getRowTop(middle + 1) <= scrollTop) low = middle + 1;
+    else high = middle;
+  }
+  const start = Math.max(0, low - overscanRows);
+  let end = low;
+  while (end < rows.length && getRowTop(end) < scrollTop + viewportHeight) end += 1;
+  end = Math.min(rows.length, end + overscanRows);
+
+  const toggleRow = (rowId) => {
+    setExpandedRows(current => {
+      const next = new Set(current);
+      if (next.has(rowId)) next.delete(rowId);
+      else next.add(rowId);
+      return next;
+    });
+  };
+
+  const updateDetailsHeight = useCallback((rowId, height) => {
+    setDetailsHeights(current => (current[rowId] === height ? current : { ...current, [rowId]: height }));
+  }, []);
+  const heightCallbacks = useRef({});
+  const getHeightCallback = (rowId) => {
+    if (!heightCallbacks.current[rowId]) heightCallbacks.current[rowId] = (height) => updateDetailsHeight(rowId, height);
+    return heightCallbacks.current[rowId];
+  };
+
+  // A shorter result could leave the viewport scrolled past its end
+  useEffect(() => {
+    if (scrollRef.current && scrollRef.current.scrollTop > totalHeight) {
+      scrollRef.current.scrollTop = 0;
+      setScrollTop(0);
+    }
+  }, [totalHeight]);
+
+  // Scroll once per focus request, to the first row of the focused accession
+  const focusIndex = useMemo(() => (focus ? rows.findIndex(protein => protein.accession === focus.accession) : -1), [rows, focus]);
+  const focusTop = focusIndex === -1 ? null : getRowTop(focusIndex);
+  useEffect(() => {
+    if (!focus || focusTop === null || scrolledFocus.current === focus || !scrollRef.current) return;
+    scrolledFocus.current = focus;
+    scrollRef.current.scrollTop = focusTop;
+    setScrollTop(focusTop);
+  }, [focus, focusTop]);
+
+  const sortIndicator = (columnId) => {
+    const keyIndex = sortKeys.findIndex(key => key.columnId === columnId);
+    if (keyIndex === -1) return null;
+    return (
+      <span className="ml-1 normal-case text-blue-600">
+        {sortKeys[keyIndex].direction === 'asc' ? '▲' : '▼'}
+        {sortKeys.length > 1 && <sup>{keyIndex + 1}</sup>}
+      </span>
+    );
+  };
+
+  const renderCell = (column, protein) => {
+    const pinned = column.id === 'accession';
+    const className = `py-2 px-6 whitespace-nowrap overflow-hidden text-ellipsis ${pinned ? 'sticky left-0 z-10 bg-inherit font-medium' : ''} ${column.id === 'description' ? 'max-w-xs' : ''}`;
+    if (pinned) {
+      return (
+        <td key={column.id} className={className} title={protein.groupMemberAccessions ? protein.groupMemberAccessions.join(', ') : undefined}>
+          {protein.accession}
+          {protein.groupMemberAccessions && protein.groupMemberAccessions.length > 1 && <span className="ml-1 text-xs text-gray-400">+{protein.groupMemberAccessions.length - 1}</span>}
+        </td>
+      );
+    }
+    const title = column.id === 'variantPeptides' && protein.variantEvidence ? VARIANT_EVIDENCE_STATUS[protein.variantEvidence.status] : column.format(protein);
+    return <td key={column.id} className={className} title={title}>{column.format(protein)}</td>;
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2 text-sm text-gray-500">
+        <span>{rows.length} rows{sortKeys.length > 0 ? `, sorted by ${sortKeys.map(key => `${columnLabels[key.columnId]} (${key.direction})`).join(', ')}` : ''}. Shift-click a header to add a secondary sort.</span>
+        <div className="relative">
+          <button onClick={() => setShowColumnChooser(!showColumnChooser)} className="bg-gray-200 text-gray-700 py-1 px-3 rounded-full text-xs font-semibold hover:bg-gray-300 transition duration-200">
+            Columns
+          </button>
+          {showColumnChooser && <ColumnChooser layout={layout} onChange={onColumnLayoutChange} onReset={onResetColumns} />}
+        </div>
+      </div>
+      <div ref={scrollRef} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)} className="overflow-auto rounded-lg shadow-md" style={{ maxHeight: viewportHeight }}>
+        <table className="min-w-full bg-white border-collapse">
+          <thead className="bg-gray-200 text-gray-700 uppercase text-sm leading-normal sticky top-0 z-20">
+            <tr>
+              {columns.map(column => (
+                <th
+                  key={column.id}
+                  onClick={(e) => onSortKeysChange(toggleSortKey(sortKeys, column.id, e.shiftKey))}
+                  className={`py-3 px-6 text-left whitespace-nowrap cursor-pointer select-none hover:bg-gray-300 ${column.id === 'accession' ? 'sticky left-0 z-30 bg-gray-200' : ''}`}
+                >
+                  {column.label}
+                  {sortIndicator(column.id)}
+                </th>
+              ))}
+              <th className="py-3 px-6 text-left">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-600 text-sm font-light">
+            {start > 0 && <tr style={{ height: getRowTop(start) }} />}
+            {rows.slice(start, end).map(protein => {
+              const rowId = getProteinRowId(protein);
+              const expanded = expandedRows.has(rowId);
+              const focused = focus !== null && protein.accession === focus.accession;
+              return (
+                <React.Fragment key={rowId}>
+                  <tr style={{ height: rowHeight }} className={`border-b border-gray-200 hover:bg-gray-100 transition duration-200 ${expanded ? 'bg-blue-50' : focused ? 'bg-yellow-50' : 'bg-white'}`}>
+                    {columns.map(column => renderCell(column, protein))}
+                    <td className="py-2 px-6 whitespace-nowrap">
+                      <button onClick={() => toggleRow(rowId)} className="bg-blue-500 text-white py-1 px-3 rounded-full text-xs hover:bg-blue-600 transition duration-200">
+                        {expanded ? 'Close' : 'View Peptides'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expanded && <DetailsRow protein={protein} colSpan={columns.length + 1} onHeightChange={getHeightCallback(rowId)} />}
+                </React.Fragment>
+              );
+            })}
+            {end < rows.length && <tr style={{ height: totalHeight - getRowTop(end) }} />}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ResultsTable;
@@ -0,0 +1,84 @@
+import React, { useMemo } from 'react';
+import { getTicks } from '../chartUtils';
+
+const width = 640;
+const height = 420;
+const margin = { top: 20, right: 20, bottom: 50, left: 60 };
+const plotWidth = width - margin.left - margin.right;
+const plotHeight = height - margin.top - margin.bottom;
+
+/**
+ * Volcano plot (log2 fold change vs. -log10 p-value) rendered as SVG.
+ * @param {object} props
+ * @param {object[]} props.results Differential results with log2FoldChange, pValue and qValue.
+ * @param {number} props.fcThreshold Absolute log2 fold-change threshold.
+ * @param {number} props.qThreshold Maximum q-value considered significant.
+ * @param {string|null} props.selectedAccession The highlighted accession.
+ * @param {function(string): void} props.onSelect Called with the accession of a clicked point.
+ */
+const VolcanoPlot = ({ results, fcThreshold, qThreshold, selectedAccession, onSelect }) => {
+  const points = useMemo(() => results
+    .filter(result => result.log2FoldChange !== null && result.pValue !== null)
+    .map(result => ({
+      ...result,
+      negLog10P: -Math.log10(Math.max(result.pValue, Number.MIN_VALUE)),
+      significant: result.qValue !== null && result.qValue <= qThreshold && Math.abs(result.log2FoldChange) >= fcThreshold,
+    })), [results, fcThreshold, qThreshold]);
+
+  if (points.length === 0) {
+    return <p className="text-sm text-gray-500">No proteins have enough values in both conditions to plot (at least two per condition).</p>;
+  }
+
+  // At least one log2 unit each way, so equal groups and a zero threshold still give a range
+  const xExtent = Math.max(fcThreshold, ...points.map(point => Math.abs(point.log2FoldChange)), 1) * 1.1;
+  const yMax = Math.max(...points.map(point => point.negLog10P), 1) * 1.05;
+  const x = (value) => margin.left + ((value + xExtent) / (2 * xExtent)) * plotWidth;
+  const y = (value) => margin.top + plotHeight - (value / yMax) * plotHeight;
+  const colorFor = (point) => {
+    if (!point.significant) return '#9ca3af';
+    return point.log2FoldChange > 0 ? '#dc2626' : '#2563eb';
+  };
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-3xl bg-white border border-gray-200 rounded-lg">
+      {getTicks(-xExtent, xExtent).map(tick => (
+        <g key={`x${tick}`}>
+          <line x1={x(tick)} x2={x(tick)} y1={margin.top + plotHeight} y2={margin.top + plotHeight + 5} stroke="#6b7280" />
+          <text x={x(tick)} y={margin.top + plotHeight + 18} textAnchor="middle" fontSize="11" fill="#4b5563">{tick}</text>
+        </g>
+      ))}
+      {getTicks(0, yMax).map(tick => (
+        <g key={`y${tick}`}>
+          <line x1={margin.left - 5} x2={margin.left} y1={y(tick)} y2={y(tick)} stroke="#6b7280" />
+          <text x={margin.left - 8} y={y(tick) + 4} textAnchor="end" fontSize="11" fill="#4b5563">{tick}</text>
+        </g>
+      ))}
+      <line x1={margin.left} x2={margin.left + plotWidth} y1={margin.top + plotHeight} y2={margin.top + plotHeight} stroke="#6b7280" />
+      <line x1={margin.left} x2={margin.left} y1={margin.top} y2={margin.top + plotHeight} stroke="#6b7280" />
+      <text x={margin.left + plotWidth / 2} y={height - 8} textAnchor="middle" fontSize="12" fill="#374151">log2 fold change (case / control)</text>
+      <text transform={`translate(16 ${margin.top + plotHeight / 2}) rotate(-90)`} textAnchor="middle" fontSize="12" fill="#374151">-log10 p-value</text>
+
+      {(fcThreshold > 0 ? [-fcThreshold, fcThreshold] : [0]).map((threshold, index) => (
+        <line key={index} x1={x(threshold)} x2={x(threshold)} y1={margin.top} y2={margin.top + plotHeight} stroke="#d1d5db" strokeDasharray="4 4" />
+      ))}
+
+      {points.map(point => (
+        <circle
+          key={point.accession}
+          cx={x(point.log2FoldChange)}
+          cy={y(point.negLog10P)}
+          r={point.accession === selectedAccession ? 6 : 3.5}
+          fill={colorFor(point)}
+          fillOpacity={0.75}
+          stroke={point.accession === selectedAccession ? '#111827' : 'none'}
+          className="cursor-pointer"
+          onClick={() => onSelect(point.accession)}
+        >
+          <title>{`${point.accession}\nlog2 FC: ${point.log2FoldChange.toFixed(2)}\np: ${point.pValue.toExponential(2)}\nq: ${point.qValue.toExponential(2)}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default VolcanoPlot;
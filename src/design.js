@@ -0,0 +1,236 @@
+import { SOURCE_SOFTWARE } from './adapters';
+import { getColumnIndices, assertRequiredColumns } from './parsing';
+import { mean, median } from './statistics';
+import { parseTable } from './tabular';
+
+/**
+ * Header names accepted in a sample sheet, per field. File columns are named after the file
+ * types of SOURCE_SOFTWARE.
+ */
+export const SAMPLE_SHEET_COLUMNS = {
+  name: ['Sample', 'Sample Name', 'Name'],
+  condition: ['Condition', 'Group'],
+  bioReplicate: ['Biological Replicate', 'BioReplicate', 'Bio Replicate', 'Replicate'],
+  techReplicate: ['Technical Replicate', 'TechReplicate', 'Tech Replicate'],
+  batch: ['Batch'],
+  sourceSoftware: ['Software', 'Source Software'],
+  peptides: ['Peptide File', 'Peptides File', 'Report File'],
+  proteins: ['Protein File', 'Proteins File'],
+};
+
+/**
+ * @typedef {object} SampleDesign
+ * @property {string} condition Condition label, or ''.
+ * @property {string} bioReplicate Biological replicate number, or '' when each sample is its own replicate.
+ * @property {string} techReplicate Technical replicate number, or ''.
+ * @property {string} batch Batch label, or ''.
+ */
+
+/**
+ * Lists the sample names used more than once. Names are compared after trimming.
+ * @param {string[]} names The sample names.
+ * @returns {string[]} The duplicated names.
+ */
+export const findDuplicateSampleNames = (names) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  names.map(name => name.trim()).filter(Boolean).forEach(name => {
+    if (seen.has(name)) duplicates.add(name);
+    seen.add(name);
+  });
+  return Array.from(duplicates);
+};
+
+/**
+ * Reads a sample sheet (tab, comma or semicolon separated): one row per sample with its name,
+ * design and the names of its files. Lines starting with '#' are ignored.
+ * @param {string} text The sheet contents.
+ * @returns {{name: string, sourceSoftware: string, condition: string, bioReplicate: string, techReplicate: string, batch: string, fileNames: Object.<string, string>}[]} The samples.
+ */
+export const parseSampleSheet = (text) => {
+  const { headers, rows } = parseTable(text, { commentPrefix: '#' });
+  if (rows.length === 0) throw new Error('The sample sheet needs a header row and at least one sample.');
+  const indices = getColumnIndices(headers, SAMPLE_SHEET_COLUMNS);
+  assertRequiredColumns(indices, ['name'], 'The sample sheet', SAMPLE_SHEET_COLUMNS);
+  const softwareByName = new Map(Object.keys(SOURCE_SOFTWARE).map(software => [software.toLowerCase(), software]));
+
+  const samples = rows.map(({ cells, line }) => {
+    const value = (key) => (indices[key] === -1 ? '' : cells[indices[key]] || '');
+    const name = value('name');
+    if (!name) throw new Error(`Line ${line} of the sample sheet has no sample name.`);
+    const softwareValue = value('sourceSoftware');
+    const sourceSoftware = softwareValue ? softwareByName.get(softwareValue.toLowerCase()) : 'Peaks Studio';
+    if (!sourceSoftware) {
+      throw new Error(`Line ${line} of the sample sheet names unknown software "${softwareValue}". Use one of: ${Object.keys(SOURCE_SOFTWARE).join(', ')}.`);
+    }
+    ['bioReplicate', 'techReplicate'].forEach(key => {
+      if (value(key) && !/^\d+$/.test(value(key))) {
+        throw new Error(`Line ${line} of the sample sheet has a replicate that is not a whole number: "${value(key)}".`);
+      }
+    });
+    const fileNames = {};
+    Object.keys(SOURCE_SOFTWARE[sourceSoftware].files).forEach(fileType => {
+      if (value(fileType)) fileNames[fileType] = value(fileType);
+    });
+    return {
+      name,
+      sourceSoftware,
+      condition: value('condition'),
+      bioReplicate: value('bioReplicate'),
+      techReplicate: value('techReplicate'),
+      batch: value('batch'),
+      fileNames,
+    };
+  });
+
+  const duplicates = findDuplicateSampleNames(samples.map(sample => sample.name));
+  if (duplicates.length > 0) throw new Error(`Sample names must be unique; the sheet repeats: ${duplicates.join(', ')}.`);
+  return samples;
+};
+
+/**
+ * Writes the sample definitions as a sample sheet readable by parseSampleSheet.
+ * @param {object[]} samples The sample inputs.
+ * @returns {string} The tab-separated sheet.
+ */
+export const buildSampleSheet = (samples) => {
+  const header = ['Sample', 'Condition', 'Biological Replicate', 'Technical Replicate', 'Batch', 'Software', 'Peptide File', 'Protein File'];
+  const rows = samples.map(sample => {
+    const fileName = (fileType) => (SOURCE_SOFTWARE[sample.sourceSoftware].files[fileType] ? sample.files[fileType]?.name || sample.fileNames?.[fileType] || '' : '');
+    return [sample.name, sample.condition, sample.bioReplicate, sample.techReplicate, sample.batch, sample.sourceSoftware, fileName('peptides'), fileName('proteins')]
+      .map(value => String(value || '').replace(/[\t\r\n]+/g, ' '));
+  });
+  return [header, ...rows].map(row => row.join('\t')).join('\n');
+};
+
+/**
+ * @typedef {object} ConditionAggregate
+ * @property {number} replicates Biological replicates in the condition (n).
+ * @property {number} detected Biological replicates in which the protein was detected (k).
+ * @property {number|null} mean Mean area over the detected replicates.
+ * @property {number|null} median Median area over the detected replicates.
+ * @property {number|null} cv Coefficient of variation in percent, on the linear scale; null below two replicates.
+ */
+
+/**
+ * @typedef {object} ReplicateRow
+ * @property {string} accession The protein accession.
+ * @property {string} description The protein description.
+ * @property {string} diseaseAssociation The disease association.
+ * @property {Object.<string, ConditionAggregate>} conditions Aggregates per condition.
+ */
+
+/**
+ * @typedef {object} ReplicateAggregates
+ * @property {string[]} conditions The conditions, in sample order.
+ * @property {Object.<string, number>} replicateCounts Biological replicates per condition.
+ * @property {ReplicateRow[]} rows One row per accession.
+ */
+
+/**
+ * Aggregates the replicates of each condition per accession. Samples of a condition that share
+ * a biological replicate number are technical replicates: their areas are averaged first.
+ * Samples without a biological replicate number count as separate replicates.
+ * @param {object[]} proteins Flat protein records.
+ * @param {Object.<string, SampleDesign>} designBySample Design of each sample name.
+ * @param {boolean} alreadyLog2 Whether the normalized areas are log2-transformed; CVs are then
+ * computed on the back-transformed values.
+ * @returns {ReplicateAggregates} The aggregates.
+ */
+export const aggregateReplicates = (proteins, designBySample, alreadyLog2) => {
+  // Biological replicate key of every sample that has a condition
+  const replicateBySample = {};
+  const replicatesByCondition = new Map();
+  Object.entries(designBySample).forEach(([sampleName, { condition, bioReplicate }]) => {
+    if (!condition) return;
+    const replicate = bioReplicate ? `replicate ${bioReplicate}` : `sample ${sampleName}`;
+    replicateBySample[sampleName] = replicate;
+    if (!replicatesByCondition.has(condition)) replicatesByCondition.set(condition, new Set());
+    replicatesByCondition.get(condition).add(replicate);
+  });
+  const conditions = Array.from(replicatesByCondition.keys());
+  const replicateCounts = Object.fromEntries(conditions.map(condition => [condition, replicatesByCondition.get(condition).size]));
+
+  const rowsByAccession = new Map();
+  proteins.forEach(protein => {
+    const design = designBySample[protein.sampleName];
+    if (!design || !design.condition || protein.normalizedArea === null || protein.normalizedArea === undefined) return;
+    // Zero areas were not quantified
+    if (!alreadyLog2 && protein.normalizedArea <= 0) return;
+    if (!rowsByAccession.has(protein.accession)) {
+      rowsByAccession.set(protein.accession, { protein, values: new Map() });
+    }
+    // condition -> replicate -> sample -> area; a sample listing the accession twice keeps its largest area
+    const { values } = rowsByAccession.get(protein.accession);
+    if (!values.has(design.condition)) values.set(design.condition, new Map());
+    const byReplicate = values.get(design.condition);
+    const replicate = replicateBySample[protein.sampleName];
+    if (!byReplicate.has(replicate)) byReplicate.set(replicate, new Map());
+    const bySample = byReplicate.get(replicate);
+    bySample.set(protein.sampleName, Math.max(bySample.get(protein.sampleName) ?? -Infinity, protein.normalizedArea));
+  });
+
+  const rows = Array.from(rowsByAccession.values()).map(({ protein, values }) => {
+    const aggregates = {};
+    conditions.forEach(condition => {
+      const replicateValues = Array.from((values.get(condition) || new Map()).values()).map(bySample => mean(Array.from(bySample.values())));
+      const linear = alreadyLog2 ? replicateValues.map(value => 2 ** value) : replicateValues;
+      let cv = null;
+      if (linear.length > 1) {
+        const center = mean(linear);
+        const sd = Math.sqrt(linear.reduce((sum, value) => sum + (value - center) ** 2, 0) / (linear.length - 1));
+        cv = center > 0 ? (sd / center) * 100 : null;
+      }
+      aggregates[condition] = {
+        replicates: replicateCounts[condition],
+        detected: replicateValues.length,
+        mean: replicateValues.length > 0 ? mean(replicateValues) : null,
+        median: replicateValues.length > 0 ? median(replicateValues) : null,
+        cv,
+      };
+    });
+    return {
+      accession: protein.accession,
+      description: protein.description,
+      diseaseAssociation: protein.diseaseAssociation,
+      conditions: aggregates,
+    };
+  });
+  return { conditions, replicateCounts, rows };
+};
+
+/**
+ * @typedef {object} ReplicateFilter
+ * @property {string} minDetected Minimum number of replicates with the protein, as typed ('' for none).
+ * @property {string} maxCv Maximum CV in percent, as typed ('' for none).
+ */
+
+/**
+ * Whether a replicate row passes the per-condition filters. A CV limit also rejects rows whose
+ * CV cannot be computed.
+ * @param {ReplicateRow|undefined} row The row, or undefined for a protein not found in any condition.
+ * @param {Object.<string, ReplicateFilter>} filters Filters per condition.
+ * @returns {boolean} True if the row passes every filter.
+ */
+export const passesReplicateFilters = (row, filters) => Object.entries(filters).every(([condition, { minDetected, maxCv }]) => {
+  const aggregate = (row && row.conditions[condition]) || { detected: 0, cv: null };
+  const minimum = parseInt(minDetected, 10);
+  if (!isNaN(minimum) && aggregate.detected < minimum) return false;
+  const maximum = parseFloat(maxCv);
+  if (!isNaN(maximum) && (aggregate.cv === null || aggregate.cv > maximum)) return false;
+  return true;
+});
+
+/**
+ * Describes the active replicate filters, e.g. "case: detected in ≥ 2 of 3 replicates".
+ * @param {Object.<string, ReplicateFilter>} filters Filters per condition.
+ * @param {ReplicateAggregates} aggregates The aggregates, for the replicate counts.
+ * @returns {string[]} One description per filtered condition.
+ */
+export const describeReplicateFilters = (filters, aggregates) => Object.entries(filters).flatMap(([condition, { minDetected, maxCv }]) => {
+  if (!aggregates.conditions.includes(condition)) return [];
+  const parts = [];
+  if (!isNaN(parseInt(minDetected, 10))) parts.push(`detected in ≥ ${parseInt(minDetected, 10)} of ${aggregates.replicateCounts[condition]} replicates`);
+  if (!isNaN(parseFloat(maxCv))) parts.push(`CV ≤ ${parseFloat(maxCv)}%`);
+  return parts.length > 0 ? [`${condition}: ${parts.join(', ')}`] : [];
+});
@@ -0,0 +1,25 @@
+/**
+ * Triggers a browser download of a Blob.
+ * @param {Blob} blob The file contents.
+ * @param {string} fileName The name of the downloaded file.
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Triggers a browser download of a text file.
+ * @param {string} fileContent The file contents.
+ * @param {string} fileName The name of the downloaded file.
+ * @param {string} [mimeType] The MIME type of the file.
+ */
+export const downloadTextFile = (fileContent, fileName, mimeType = 'text/plain;charset=utf-8') => {
+  downloadBlob(new Blob([fileContent], { type: mimeType }), fileName);
+};
@@ -0,0 +1,236 @@
+import { VARIANT_EVIDENCE_STATUS } from './variants';
+import { getSampleNames, buildComparisonMatrix } from './comparison';
+import { imputeComparisonRows } from './imputation';
+import { formatModification } from './peptides';
+import { createWorkbook } from './xlsx';
+
+/**
+ * Export formats offered for the results.
+ */
+export const EXPORT_FORMATS = {
+  csv: 'CSV (comma-separated)',
+  tsv: 'TXT (tab-separated)',
+  xlsx: 'Excel workbook (XLSX)',
+  json: 'JSON',
+};
+
+/**
+ * @typedef {object} ExportColumn
+ * @property {string} id Column ID.
+ * @property {string} label Header text.
+ * @property {function(object): (string|number|null)} getValue Cell value; numbers stay numeric in XLSX and JSON.
+ */
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+const joinList = (values) => (values || []).join(';');
+
+/**
+ * Lists every column that can be exported for the protein records.
+ * @param {string[]} annotationKeys Annotation keys present in the records; each gets a column.
+ * @param {string} areaLabel Description of the normalization applied to the areas.
+ * @returns {ExportColumn[]} The columns, in export order.
+ */
+export const getExportColumns = (annotationKeys, areaLabel) => [
+  { id: 'accession', label: 'Accession ID', getValue: protein => protein.accession },
+  { id: 'description', label: 'Description', getValue: protein => protein.description },
+  { id: 'sampleName', label: 'Sample', getValue: protein => protein.sampleName },
+  { id: 'diseaseAssociation', label: 'Association', getValue: protein => protein.diseaseAssociation },
+  { id: 'proteinGroup', label: 'Protein Group', getValue: protein => protein.proteinGroup },
+  { id: 'isUnitaryGroup', label: 'Unitary Group', getValue: protein => yesNo(protein.isUnitaryGroup) },
+  { id: 'groupMembers', label: 'Group Members', getValue: protein => joinList(protein.groupMemberAccessions || [protein.accession]) },
+  { id: 'area', label: 'Raw Area', getValue: protein => protein.area },
+  { id: 'normalizedArea', label: `Normalized Area (${areaLabel})`, getValue: protein => protein.normalizedArea },
+  { id: 'totalPeptides', label: 'Total Peptides', getValue: protein => protein.totalPeptides },
+  { id: 'uniquePeptidesCount', label: 'Unique Peptides', getValue: protein => protein.uniquePeptidesCount },
+  { id: 'razorPeptidesCount', label: 'Razor Peptides', getValue: protein => protein.razorPeptidesCount },
+  { id: 'sharedPeptidesCount', label: 'Shared Peptides', getValue: protein => protein.sharedPeptidesCount },
+  { id: 'uniquePeptides', label: 'Unique Peptide Sequences', getValue: protein => joinList(protein.uniquePeptides) },
+  { id: 'razorPeptides', label: 'Razor Peptide Sequences', getValue: protein => joinList(protein.razorPeptides) },
+  { id: 'sharedPeptides', label: 'Shared Peptide Sequences', getValue: protein => joinList(protein.sharedPeptides) },
+  { id: 'hasPhosphoEvidence', label: 'Phospho Evidence', getValue: protein => yesNo(protein.hasPhosphoEvidence) },
+  { id: 'coverage', label: 'Sequence Coverage (%)', getValue: protein => (protein.coverage ? protein.coverage.percent : null) },
+  { id: 'variantSite', label: 'Variant Site', getValue: protein => (protein.variant ? protein.variant.label : null) },
+  { id: 'variantEvidence', label: 'Variant Evidence', getValue: protein => (protein.variantEvidence ? VARIANT_EVIDENCE_STATUS[protein.variantEvidence.status] : null) },
+  { id: 'variantConfirmingPeptides', label: 'Variant-Confirming Peptides', getValue: protein => (protein.variantEvidence ? joinList(protein.variantEvidence.confirmingPeptides) : '') },
+  ...annotationKeys.map(key => ({ id: `annotation:${key}`, label: key, getValue: protein => protein.annotations[key] || '' })),
+  { id: 'annotationSources', label: 'Annotation Sources', getValue: protein => Object.entries(protein.annotationSources).map(([key, sources]) => `${key}: ${sources.join(', ')}`).join('; ') },
+];
+
+const peptideColumns = ['Peptide', 'Modified Forms', 'Modifications', 'Evidence', 'Protein Accession', 'Protein Description', 'Sample', 'Protein Group'];
+
+/**
+ * Lists one row per peptide and protein, linking each peptide to the protein it was counted for.
+ * @param {object[]} proteins Rolled-up protein records.
+ * @returns {(string|number)[][]} Rows matching the peptide columns.
+ */
+const getPeptideRows = (proteins) => {
+  const rows = [];
+  proteins.forEach(protein => {
+    const razor = new Set(protein.razorPeptides);
+    const addPeptide = (sequence, evidence) => {
+      const forms = protein.peptideForms[sequence] || [];
+      rows.push([
+        sequence,
+        forms.map(form => form.modifiedSequence).join(';'),
+        Array.from(new Set(forms.flatMap(form => form.modifications.map(formatModification)))).join(';'),
+        evidence,
+        protein.accession,
+        protein.description,
+        protein.sampleName,
+        protein.proteinGroup,
+      ]);
+    };
+    protein.uniquePeptides.forEach(sequence => addPeptide(sequence, 'Unique'));
+    protein.sharedPeptides.forEach(sequence => addPeptide(sequence, razor.has(sequence) ? 'Razor' : 'Shared'));
+  });
+  return rows;
+};
+
+/**
+ * Builds the protein x sample comparison table of the exported records. Imputed cells get the
+ * status "Imputed" and their imputed normalized area.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string} areaLabel Description of the normalization applied to the areas.
+ * @param {import('./imputation').ImputationOptions} imputation The missing-value policy.
+ * @returns {{headers: string[], rows: (string|number|null)[][]}} The table.
+ */
+const getComparisonTable = (proteins, areaLabel, imputation) => {
+  const sampleNames = getSampleNames(proteins);
+  const headers = ['Accession ID', 'Description', 'Association', 'Detected In'];
+  sampleNames.forEach(sampleName => {
+    headers.push(`${sampleName} Status`, `${sampleName} Raw Area`, `${sampleName} Normalized Area (${areaLabel})`, `${sampleName} Total Peptides`, `${sampleName} Unique Peptides`);
+  });
+  const rows = imputeComparisonRows(buildComparisonMatrix(proteins, sampleNames), sampleNames, imputation).map(row => {
+    const values = [row.accession, row.description, row.diseaseAssociation, `${row.detectedCount}/${sampleNames.length}`];
+    sampleNames.forEach(sampleName => {
+      const cell = row.cells[sampleName];
+      values.push(
+        cell.imputed ? 'Imputed' : (cell.present ? 'Present' : 'Absent'),
+        cell.present ? cell.area : null,
+        cell.present || cell.imputed ? cell.normalizedArea : null,
+        cell.present ? cell.totalPeptides : null,
+        cell.present ? cell.uniquePeptidesCount : null,
+      );
+    });
+    return values;
+  });
+  return { headers, rows };
+};
+
+/**
+ * Formats a value for a text file; missing values are written as empty cells.
+ * @param {string|number|null} value The value.
+ * @returns {string} The text.
+ */
+const toText = (value) => (value === null || value === undefined || (typeof value === 'number' && isNaN(value)) ? '' : String(value));
+
+/**
+ * Quotes a CSV field as RFC 4180 requires: fields with commas, quotes or line breaks are
+ * wrapped in double quotes, and quotes inside are doubled.
+ * @param {string|number|null} value The value.
+ * @returns {string} The field.
+ */
+const toCsvField = (value) => {
+  const text = toText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Tab-separated files have no quoting, so tabs and line breaks inside values become spaces
+const toTsvField = (value) => toText(value).replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * Writes a delimited text file: the header block as "#" lines, then the column headers and rows.
+ * @param {string[]} headerLines The header block.
+ * @param {string[]} headers The column headers.
+ * @param {(string|number|null)[][]} rows The rows.
+ * @param {('csv'|'tsv')} format The file format.
+ * @returns {string} The file content, with CRLF line breaks for CSV as RFC 4180 specifies.
+ */
+const buildDelimitedText = (headerLines, headers, rows, format) => {
+  const toField = format === 'csv' ? toCsvField : toTsvField;
+  const separator = format === 'csv' ? ',' : '\t';
+  const lines = [
+    ...headerLines.map(line => toField(`# ${line}`)),
+    headers.map(toField).join(separator),
+    ...rows.map(row => row.map(toField).join(separator)),
+  ];
+  return lines.join(format === 'csv' ? '\r\n' : '\n') + (format === 'csv' ? '\r\n' : '\n');
+};
+
+/**
+ * Builds the header block that describes an export.
+ * @param {string[]} filterDescriptions The active filters, one per line.
+ * @param {number} proteinCount Number of exported protein rows.
+ * @returns {string[]} The header lines.
+ */
+export const buildExportHeader = (filterDescriptions, proteinCount) => [
+  `Exported: ${new Date().toISOString()}`,
+  `Protein rows: ${proteinCount}`,
+  ...(filterDescriptions.length > 0 ? filterDescriptions.map(description => `Filter: ${description}`) : ['Filter: none']),
+];
+
+/**
+ * @typedef {object} ExportFile
+ * @property {Blob} blob The file contents.
+ * @property {string} fileName The suggested file name.
+ */
+
+/**
+ * Builds the export files of the results in the chosen format.
+ * @param {object} options
+ * @param {object[]} options.proteins The records to export.
+ * @param {ExportColumn[]} options.columns The chosen columns, in order.
+ * @param {string[]} options.filterDescriptions The active filters.
+ * @param {string} options.areaLabel Description of the normalization applied to the areas.
+ * @param {import('./imputation').ImputationOptions} [options.imputation] Missing-value policy of the comparison table.
+ * @param {string} options.format A key of EXPORT_FORMATS.
+ * @param {boolean} options.includePeptides Whether to add the peptide-level rows: a sheet in XLSX,
+ * a `peptides` array in JSON and a second file for CSV and TXT.
+ * @param {string} [options.baseName] File name without extension.
+ * @returns {Promise<ExportFile[]>} The files to download.
+ */
+export const buildExportFiles = async ({ proteins, columns, filterDescriptions, areaLabel, imputation = { method: 'none', alreadyLog2: false }, format, includePeptides, baseName = 'filtered_proteins' }) => {
+  const headerLines = buildExportHeader(filterDescriptions, proteins.length);
+  const headers = columns.map(column => column.label);
+  const rows = proteins.map(protein => columns.map(column => column.getValue(protein)));
+
+  if (format === 'csv' || format === 'tsv') {
+    const extension = format === 'csv' ? 'csv' : 'txt';
+    const mimeType = format === 'csv' ? 'text/csv;charset=utf-8' : 'text/plain;charset=utf-8';
+    const files = [{ blob: new Blob([buildDelimitedText(headerLines, headers, rows, format)], { type: mimeType }), fileName: `${baseName}.${extension}` }];
+    if (includePeptides) {
+      files.push({ blob: new Blob([buildDelimitedText(headerLines, peptideColumns, getPeptideRows(proteins), format)], { type: mimeType }), fileName: `${baseName}_peptides.${extension}` });
+    }
+    return files;
+  }
+
+  if (format === 'json') {
+    const toObjects = (objectHeaders, objectRows) => objectRows.map(row => Object.fromEntries(row.map((value, index) => [objectHeaders[index], value ?? null])));
+    const comparison = getComparisonTable(proteins, areaLabel, imputation);
+    const content = {
+      exportedAt: new Date().toISOString(),
+      filters: filterDescriptions,
+      normalization: areaLabel,
+      proteins: toObjects(headers, rows),
+      comparison: toObjects(comparison.headers, comparison.rows),
+      ...(includePeptides ? { peptides: toObjects(peptideColumns, getPeptideRows(proteins)) } : {}),
+    };
+    return [{ blob: new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' }), fileName: `${baseName}.json` }];
+  }
+
+  // XLSX: the header block, a blank row and the table on every sheet
+  const sheet = (name, sheetHeaders, sheetRows) => ({
+    name,
+    rows: [...headerLines.map(line => [line]), [], sheetHeaders, ...sheetRows],
+    boldRows: [headerLines.length + 1],
+  });
+  const sheets = getSampleNames(proteins).map(sampleName => sheet(
+    sampleName,
+    headers,
+    rows.filter((row, index) => proteins[index].sampleName === sampleName),
+  ));
+  const comparison = getComparisonTable(proteins, areaLabel, imputation);
+  sheets.push(sheet('Comparison', comparison.headers, comparison.rows));
+  if (includePeptides) sheets.push(sheet('Peptides', peptideColumns, getPeptideRows(proteins)));
+  return [{ blob: await createWorkbook(sheets), fileName: `${baseName}.xlsx` }];
+};
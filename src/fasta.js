@@ -0,0 +1,149 @@
+import { getBareSequence } from './peptides';
+
+/**
+ * @typedef {object} FastaEntry
+ * @property {string} accession Bare accession (e.g. "P04637" or the isoform "P04637-2").
+ * @property {string} database Source database ("sp", "tr"), or '' for non-UniProt headers.
+ * @property {string} entryName UniProt entry name (e.g. "P53_HUMAN"), or ''.
+ * @property {string} description Protein name, without the OS/OX/GN/PE/SV fields.
+ * @property {string} organism Organism name (OS), or ''.
+ * @property {string} taxonomyId NCBI taxonomy ID (OX), or ''.
+ * @property {string} gene Gene name (GN), or ''.
+ * @property {string} proteinExistence Protein existence level (PE), or ''.
+ * @property {string} sequenceVersion Sequence version (SV), or ''.
+ * @property {string} header The full header line, without the leading '>'.
+ * @property {string} sequence The amino acid sequence (upper case).
+ */
+
+// UniProt header fields; OS may contain spaces, the others are single tokens
+const headerFieldPattern = /\s(OS|OX|GN|PE|SV)=/g;
+const headerFieldNames = { OS: 'organism', OX: 'taxonomyId', GN: 'gene', PE: 'proteinExistence', SV: 'sequenceVersion' };
+
+/**
+ * Parses a FASTA header line ("sp|P04637|P53_HUMAN Cellular tumor antigen p53 OS=Homo sapiens
+ * OX=9606 GN=TP53 PE=1 SV=4"). Headers that are not in UniProt format use their first word as
+ * the accession and the rest as the description.
+ * @param {string} line The header line, with or without the leading '>'.
+ * @returns {FastaEntry} The entry, with an empty sequence.
+ */
+export const parseFastaHeader = (line) => {
+  const header = line.replace(/^>/, '').trim();
+  const spaceIndex = header.search(/\s/);
+  const identifier = spaceIndex === -1 ? header : header.substring(0, spaceIndex);
+  const rest = spaceIndex === -1 ? '' : header.substring(spaceIndex);
+
+  const parts = identifier.split('|');
+  const entry = {
+    accession: (parts.length > 1 ? parts[1] : parts[0]).trim(),
+    database: parts.length > 1 ? parts[0] : '',
+    entryName: parts.length > 2 ? parts[2] : '',
+    description: '',
+    organism: '',
+    taxonomyId: '',
+    gene: '',
+    proteinExistence: '',
+    sequenceVersion: '',
+    header,
+    sequence: '',
+  };
+
+  const matches = Array.from(rest.matchAll(headerFieldPattern));
+  entry.description = (matches.length ? rest.substring(0, matches[0].index) : rest).trim();
+  matches.forEach((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : rest.length;
+    const value = rest.substring(match.index + match[0].length, end).trim();
+    entry[headerFieldNames[match[1]]] = match[1] === 'OS' ? value : value.split(/\s/)[0];
+  });
+  return entry;
+};
+
+/**
+ * Parses a protein FASTA database. Later entries with an accession seen before are ignored.
+ * @param {string} text The FASTA file content.
+ * @returns {Map<string, FastaEntry>} Accession to entry, in file order.
+ */
+export const parseFasta = (text) => {
+  const entries = new Map();
+  let current = null;
+  let sequenceLines = [];
+  const flush = () => {
+    if (current && !entries.has(current.accession)) {
+      current.sequence = sequenceLines.join('').replace(/[^A-Za-z]/g, '').toUpperCase();
+      entries.set(current.accession, current);
+    }
+    sequenceLines = [];
+  };
+
+  text.split('\n').forEach(line => {
+    if (line.startsWith('>')) {
+      flush();
+      current = parseFastaHeader(line);
+    } else if (current) {
+      sequenceLines.push(line.trim());
+    }
+  });
+  flush();
+  return entries;
+};
+
+/**
+ * @typedef {object} SequenceCoverage
+ * @property {number} percent Percentage of residues covered by at least one peptide.
+ * @property {number} length Sequence length.
+ * @property {boolean[]} covered Per-residue coverage flags.
+ * @property {{peptide: string, start: number, end: number}[]} matches Every peptide match, with
+ * 1-based inclusive positions, ordered by start.
+ * @property {string[]} unmatched Peptides not found in the sequence.
+ */
+
+/**
+ * Maps peptides onto a protein sequence. A peptide found at several positions covers all of them.
+ * @param {string} sequence The protein sequence.
+ * @param {string[]} peptides The observed peptides, as reported by the search engine.
+ * @returns {SequenceCoverage} The coverage.
+ */
+export const computeSequenceCoverage = (sequence, peptides) => {
+  const covered = new Array(sequence.length).fill(false);
+  const matches = [];
+  const unmatched = [];
+  new Set(peptides.map(getBareSequence)).forEach(peptide => {
+    if (!peptide) return;
+    let start = sequence.indexOf(peptide);
+    if (start === -1) {
+      unmatched.push(peptide);
+      return;
+    }
+    while (start !== -1) {
+      matches.push({ peptide, start: start + 1, end: start + peptide.length });
+      covered.fill(true, start, start + peptide.length);
+      start = sequence.indexOf(peptide, start + 1);
+    }
+  });
+  matches.sort((a, b) => a.start - b.start || a.end - b.end);
+  const coveredCount = covered.filter(Boolean).length;
+  return {
+    percent: sequence.length ? (coveredCount / sequence.length) * 100 : 0,
+    length: sequence.length,
+    covered,
+    matches,
+    unmatched,
+  };
+};
+
+/**
+ * Adds the FASTA entry and sequence coverage of each protein record. Records whose accession is
+ * not in the database get a null `coverage`.
+ * @param {object[]} proteins Flat protein records.
+ * @param {Map<string, FastaEntry>|null} fastaEntries The parsed database.
+ * @returns {object[]} New records with `fastaEntry` and `coverage` set.
+ */
+export const addSequenceCoverage = (proteins, fastaEntries) => proteins.map(protein => {
+  const fastaEntry = fastaEntries ? fastaEntries.get(protein.accession) || null : null;
+  return {
+    ...protein,
+    fastaEntry,
+    coverage: fastaEntry && fastaEntry.sequence
+      ? computeSequenceCoverage(fastaEntry.sequence, [...protein.uniquePeptides, ...protein.sharedPeptides])
+      : null,
+  };
+});
@@ -0,0 +1,345 @@
+// A small boolean query language over the result columns, e.g.
+//   area > 1e6 AND (uniquePeptidesCount >= 2 OR NOT isUnitaryGroup) AND description ~ /kinase/i
+//   sampleName in (S1, S2) AND `Clinical Significance` = 'Pathogenic'
+
+/**
+ * @typedef {object} FilterField
+ * @property {string} name Name used in expressions.
+ * @property {('number'|'text'|'boolean')} type Value type; decides which operators are allowed.
+ * @property {function(object): *} get Reads the value from a protein record.
+ * @property {string} description Shown next to the name in the autocomplete list.
+ */
+
+/**
+ * Columns of the protein records that can be used in filter expressions.
+ * @type {FilterField[]}
+ */
+export const FILTER_FIELDS = [
+  { name: 'accession', type: 'text', get: protein => protein.accession, description: 'Accession ID' },
+  { name: 'description', type: 'text', get: protein => protein.description, description: 'Protein description' },
+  { name: 'sampleName', type: 'text', get: protein => protein.sampleName, description: 'Sample' },
+  { name: 'diseaseAssociation', type: 'text', get: protein => protein.diseaseAssociation, description: 'Association' },
+  { name: 'proteinGroup', type: 'text', get: protein => protein.proteinGroup, description: 'Protein group ID' },
+  { name: 'area', type: 'number', get: protein => protein.area, description: 'Raw area' },
+  { name: 'normalizedArea', type: 'number', get: protein => protein.normalizedArea, description: 'Normalized area' },
+  { name: 'totalPeptides', type: 'number', get: protein => protein.totalPeptides, description: 'Total peptides' },
+  { name: 'uniquePeptidesCount', type: 'number', get: protein => protein.uniquePeptidesCount, description: 'Unique peptides' },
+  { name: 'razorPeptidesCount', type: 'number', get: protein => protein.razorPeptidesCount, description: 'Razor peptides' },
+  { name: 'sharedPeptidesCount', type: 'number', get: protein => protein.sharedPeptidesCount, description: 'Shared peptides' },
+  { name: 'coverage', type: 'number', get: protein => (protein.coverage ? protein.coverage.percent : null), description: 'Sequence coverage (%)' },
+  { name: 'variantConfirmingPeptidesCount', type: 'number', get: protein => protein.variantConfirmingPeptidesCount, description: 'Variant-confirming peptides' },
+  { name: 'variantSite', type: 'text', get: protein => (protein.variant ? protein.variant.label : ''), description: 'Variant site (e.g. R175H)' },
+  { name: 'variantEvidence', type: 'text', get: protein => (protein.variantEvidence ? protein.variantEvidence.status : ''), description: 'confirmed, notCovered, noSequence or mismatch' },
+  { name: 'isUnitaryGroup', type: 'boolean', get: protein => protein.isUnitaryGroup, description: 'Only protein of its group' },
+  { name: 'hasPhosphoEvidence', type: 'boolean', get: protein => protein.hasPhosphoEvidence, description: 'Phospho evidence' },
+];
+
+/**
+ * Builds the field list for a data set: the fixed columns plus one text field per annotation key.
+ * @param {string[]} annotationKeys The "| Key:Value" annotation keys present in the records.
+ * @returns {FilterField[]} The fields.
+ */
+export const getFilterFields = (annotationKeys) => [
+  ...FILTER_FIELDS,
+  ...annotationKeys
+    .filter(key => !FILTER_FIELDS.some(field => field.name === key))
+    .map(key => ({ name: key, type: 'text', get: protein => protein.annotations[key] || '', description: 'Annotation' })),
+];
+
+/**
+ * Creates an error for an invalid expression; `position` is the offset of the problem.
+ * @param {string} message What is wrong.
+ * @param {number} position Character offset in the expression.
+ * @returns {Error} An error named 'FilterSyntaxError'.
+ */
+const syntaxError = (message, position) => {
+  const error = new Error(message);
+  error.name = 'FilterSyntaxError';
+  error.position = position;
+  return error;
+};
+
+const keywords = { AND: 'and', OR: 'or', NOT: 'not', IN: 'in', TRUE: 'true', FALSE: 'false' };
+const symbolTokens = [
+  ['&&', 'and'], ['||', 'or'], ['>=', 'op'], ['<=', 'op'], ['!=', 'op'], ['==', 'op'], ['!~', 'op'],
+  ['>', 'op'], ['<', 'op'], ['=', 'op'], ['~', 'op'], ['!', 'not'], ['(', '('], [')', ')'], [',', ','],
+];
+const numberPattern = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i;
+const identifierPattern = /^[A-Za-z_][\w.-]*/;
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} text The expression.
+ * @returns {{type: string, value: *, start: number, end: number}[]} The tokens, ending with an 'end' token.
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  const push = (type, value, length) => {
+    tokens.push({ type, value, start: index, end: index + length });
+    index += length;
+  };
+
+  while (index < text.length) {
+    const rest = text.substring(index);
+    const char = text[index];
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') {
+      // Strings in quotes; backticks quote field names that contain spaces
+      let end = index + 1;
+      let value = '';
+      while (end < text.length && text[end] !== char) {
+        if (text[end] === '\\' && end + 1 < text.length) end += 1;
+        value += text[end];
+        end += 1;
+      }
+      if (end >= text.length) throw syntaxError(`Unclosed ${char} quote.`, index);
+      push(char === '`' ? 'identifier' : 'string', value, end + 1 - index);
+      continue;
+    }
+    if (char === '/') {
+      const match = rest.match(/^\/((?:\\.|[^/\\])*)\/([a-z]*)/);
+      if (!match) throw syntaxError('Unclosed regular expression.', index);
+      let regex;
+      try {
+        regex = new RegExp(match[1], match[2]);
+      } catch (err) {
+        throw syntaxError(err.message, index);
+      }
+      push('regex', regex, match[0].length);
+      continue;
+    }
+    const number = rest.match(numberPattern);
+    if (number) {
+      push('number', parseFloat(number[0]), number[0].length);
+      continue;
+    }
+    const symbol = symbolTokens.find(([token]) => rest.startsWith(token));
+    if (symbol) {
+      push(symbol[1], symbol[0], symbol[0].length);
+      continue;
+    }
+    const identifier = rest.match(identifierPattern);
+    if (identifier) {
+      const keyword = keywords[identifier[0].toUpperCase()];
+      if (keyword === 'true' || keyword === 'false') push('boolean', keyword === 'true', identifier[0].length);
+      else if (keyword) push(keyword, identifier[0], identifier[0].length);
+      else push('identifier', identifier[0], identifier[0].length);
+      continue;
+    }
+    throw syntaxError(`Unexpected character "${char}".`, index);
+  }
+  tokens.push({ type: 'end', value: '', start: text.length, end: text.length });
+  return tokens;
+};
+
+const describeToken = (token) => (token.type === 'end' ? 'the end of the expression' : `"${token.type === 'regex' ? token.value.toString() : token.value}"`);
+
+/**
+ * Parses the tokens into a syntax tree with a recursive descent parser. Precedence, lowest
+ * first: OR, AND, NOT, comparisons.
+ * @param {object[]} tokens The tokens from tokenize.
+ * @param {Map<string, FilterField>} fields Fields by name.
+ * @returns {object} The root node.
+ */
+const parseTokens = (tokens, fields) => {
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type, what) => {
+    const token = next();
+    if (token.type !== type) throw syntaxError(`Expected ${what} but found ${describeToken(token)}.`, token.start);
+    return token;
+  };
+
+  const parseValue = (field) => {
+    const token = next();
+    if (token.type === 'identifier') return { ...token, type: 'string' };
+    if (!['number', 'string', 'regex', 'boolean'].includes(token.type)) {
+      throw syntaxError(`Expected a value after ${field.name} but found ${describeToken(token)}.`, token.start);
+    }
+    return token;
+  };
+
+  // Returns the value the node compares with; patterns are compiled here, once per expression
+  const checkValue = (field, operator, value) => {
+    const regexOperator = operator === '~' || operator === '!~';
+    if (regexOperator && field.type !== 'text') throw syntaxError(`${field.name} is not a text column; "${operator}" needs text.`, value.start);
+    if (regexOperator) {
+      if (value.type === 'regex') return value.value;
+      // Quoted patterns are case-insensitive; /.../ literals keep their own flags
+      try {
+        return new RegExp(String(value.value), 'i');
+      } catch (err) {
+        throw syntaxError(err.message, value.start);
+      }
+    }
+    if (value.type === 'regex') throw syntaxError('Regular expressions can only be used with "~" and "!~".', value.start);
+    if (field.type === 'number' && value.type !== 'number') throw syntaxError(`${field.name} is a number column; compare it with a number.`, value.start);
+    if (field.type === 'boolean' && value.type !== 'boolean') throw syntaxError(`${field.name} is true or false.`, value.start);
+    if (field.type !== 'number' && !['=', '==', '!='].includes(operator)) {
+      throw syntaxError(`"${operator}" only applies to number columns.`, value.start);
+    }
+    return value.value;
+  };
+
+  const parseComparison = () => {
+    const token = next();
+    if (token.type !== 'identifier') throw syntaxError(`Expected a column name but found ${describeToken(token)}.`, token.start);
+    const field = fields.get(token.value);
+    if (!field) throw syntaxError(`Unknown column "${token.value}".`, token.start);
+
+    let negated = false;
+    if (peek().type === 'not' && tokens[position + 1].type === 'in') {
+      next();
+      negated = true;
+    }
+    if (peek().type === 'in') {
+      next();
+      expect('(', '"(" after IN');
+      const values = [parseValue(field)];
+      while (peek().type === ',') {
+        next();
+        values.push(parseValue(field));
+      }
+      expect(')', '"," or ")"');
+      values.forEach(value => checkValue(field, '=', value));
+      return { type: 'in', field, values: values.map(value => value.value), negated };
+    }
+    if (negated) throw syntaxError('Expected IN after NOT.', peek().start);
+    if (peek().type !== 'op') {
+      // A boolean column on its own is a test for true
+      if (field.type === 'boolean') return { type: 'compare', field, operator: '=', value: true };
+      throw syntaxError(`Expected an operator after ${field.name} but found ${describeToken(peek())}.`, peek().start);
+    }
+    const operator = next().value;
+    const value = parseValue(field);
+    return { type: 'compare', field, operator, value: checkValue(field, operator, value) };
+  };
+
+  let parseOr;
+  const parseUnary = () => {
+    if (peek().type === 'not') {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (peek().type === '(') {
+      next();
+      const node = parseOr();
+      expect(')', '")"');
+      return node;
+    }
+    return parseComparison();
+  };
+  const parseAnd = () => {
+    let node = parseUnary();
+    while (peek().type === 'and') {
+      next();
+      node = { type: 'and', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  parseOr = () => {
+    let node = parseAnd();
+    while (peek().type === 'or') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const root = parseOr();
+  if (peek().type !== 'end') throw syntaxError(`Expected AND, OR or the end of the expression but found ${describeToken(peek())}.`, peek().start);
+  return root;
+};
+
+const equalsText = (actual, expected) => String(actual ?? '').toLowerCase() === String(expected).toLowerCase();
+
+/**
+ * Tests one record against a syntax tree node.
+ * @param {object} node The node.
+ * @param {object} protein The record.
+ * @returns {boolean} Whether the record matches.
+ */
+const evaluate = (node, protein) => {
+  switch (node.type) {
+    case 'and': return evaluate(node.left, protein) && evaluate(node.right, protein);
+    case 'or': return evaluate(node.left, protein) || evaluate(node.right, protein);
+    case 'not': return !evaluate(node.operand, protein);
+    case 'in': {
+      const actual = node.field.get(protein);
+      const found = node.values.some(value => (node.field.type === 'text' ? equalsText(actual, value) : actual === value));
+      return node.negated ? !found : found;
+    }
+    default: {
+      const actual = node.field.get(protein);
+      const { operator, value } = node;
+      if (operator === '~' || operator === '!~') {
+        value.lastIndex = 0;
+        return value.test(String(actual ?? '')) === (operator === '~');
+      }
+      if (node.field.type === 'text') return equalsText(actual, value) === (operator !== '!=');
+      if (node.field.type === 'boolean') return (Boolean(actual) === value) === (operator !== '!=');
+      // Missing numbers never match a comparison
+      if (actual === null || actual === undefined || isNaN(actual)) return false;
+      switch (operator) {
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '!=': return actual !== value;
+        default: return actual === value;
+      }
+    }
+  }
+};
+
+/**
+ * Compiles a filter expression into a record predicate.
+ * @param {string} text The expression; blank text matches every record.
+ * @param {FilterField[]} fields The columns that may be used.
+ * @returns {{predicate: (function(object): boolean)|null, error: Error|null}} The predicate, or
+ * null for a blank expression; `error` is a 'FilterSyntaxError' with a `position` when the expression is invalid.
+ */
+export const compileFilterExpression = (text, fields) => {
+  if (!text.trim()) return { predicate: null, error: null };
+  try {
+    const root = parseTokens(tokenize(text), new Map(fields.map(field => [field.name, field])));
+    return { predicate: (protein) => evaluate(root, protein), error: null };
+  } catch (err) {
+    if (err.name !== 'FilterSyntaxError') throw err;
+    return { predicate: null, error: err };
+  }
+};
+
+/**
+ * Finds the column names that complete the word at the cursor.
+ * @param {string} text The expression.
+ * @param {number} cursor The cursor offset.
+ * @param {FilterField[]} fields The columns that may be used.
+ * @returns {{start: number, end: number, fields: FilterField[]}} The word's span and the matching fields.
+ */
+export const getFilterSuggestions = (text, cursor, fields) => {
+  const before = text.substring(0, cursor).match(/`?[\w.-]*$/)[0];
+  const after = text.substring(cursor).match(/^[\w.-]*`?/)[0];
+  const start = cursor - before.length;
+  const prefix = before.replace(/^`/, '').toLowerCase();
+  // Suggestions only make sense where a column name can start
+  const previous = text.substring(0, start).trimEnd();
+  const expectsField = previous === '' || /(\(|&&|\|\||!|\b(and|or|not))$/i.test(previous);
+  return {
+    start,
+    end: cursor + after.length,
+    fields: expectsField ? fields.filter(field => field.name.toLowerCase().startsWith(prefix) && field.name.toLowerCase() !== prefix) : [],
+  };
+};
+
+/**
+ * Writes a field name so the tokenizer reads it back; names with spaces or symbols get backticks.
+ * @param {string} name The field name.
+ * @returns {string} The name as it appears in an expression.
+ */
+export const quoteFieldName = (name) => (/^[A-Za-z_][\w.-]*$/.test(name) ? name : `\`${name}\``);
@@ -0,0 +1,82 @@
+import { FILTER_FIELDS, getFilterFields, compileFilterExpression, getFilterSuggestions, quoteFieldName } from './filterExpression';
+
+const proteins = [
+  { accession: 'P04637', description: 'Cellular tumor antigen p53', sampleName: 'S1', area: 2e6, uniquePeptidesCount: 3, isUnitaryGroup: true, annotations: {} },
+  { accession: 'P00533', description: 'Receptor tyrosine-protein kinase', sampleName: 'S2', area: 5e5, uniquePeptidesCount: 1, isUnitaryGroup: false, annotations: { 'Clinical Significance': 'Pathogenic' } },
+  { accession: 'Q9Y243', description: 'RAC-gamma serine/threonine-protein kinase', sampleName: 'S3', area: null, uniquePeptidesCount: 2, isUnitaryGroup: true, annotations: {} },
+];
+
+const matching = (text, fields = FILTER_FIELDS) => {
+  const { predicate, error } = compileFilterExpression(text, fields);
+  if (error) throw error;
+  return proteins.filter(predicate).map(protein => protein.accession);
+};
+
+const errorOf = (text) => compileFilterExpression(text, FILTER_FIELDS).error;
+
+describe('compileFilterExpression', () => {
+  it('matches every record for a blank expression', () => {
+    expect(compileFilterExpression('  ', FILTER_FIELDS)).toEqual({ predicate: null, error: null });
+  });
+
+  it('compares numbers, and never matches a missing number', () => {
+    expect(matching('area > 1e6')).toEqual(['P04637']);
+    expect(matching('area <= 2e6')).toEqual(['P04637', 'P00533']);
+    expect(matching('uniquePeptidesCount != 1')).toEqual(['P04637', 'Q9Y243']);
+  });
+
+  it('binds AND tighter than OR, and NOT tighter than AND', () => {
+    expect(matching('area > 1e6 OR uniquePeptidesCount = 1 AND isUnitaryGroup')).toEqual(['P04637']);
+    expect(matching('(area > 1e6 OR uniquePeptidesCount = 1) AND NOT isUnitaryGroup')).toEqual(['P00533']);
+    expect(matching('NOT isUnitaryGroup || area > 1e6')).toEqual(['P04637', 'P00533']);
+  });
+
+  it('supports IN and NOT IN with case-insensitive text', () => {
+    expect(matching('sampleName in (s1, "S3")')).toEqual(['P04637', 'Q9Y243']);
+    expect(matching('sampleName NOT IN (S1, S3)')).toEqual(['P00533']);
+  });
+
+  it('matches quoted patterns case-insensitively and regex literals with their own flags', () => {
+    expect(matching("description ~ 'KINASE'")).toEqual(['P00533', 'Q9Y243']);
+    expect(matching('description !~ /kinase/')).toEqual(['P04637']);
+    expect(matching('description ~ /^rac/i')).toEqual(['Q9Y243']);
+  });
+
+  it('reads annotation columns named in backticks', () => {
+    const fields = getFilterFields(['Clinical Significance']);
+    expect(matching("`Clinical Significance` = 'pathogenic'", fields)).toEqual(['P00533']);
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(errorOf('area >')).toMatchObject({ name: 'FilterSyntaxError', position: 6 });
+    expect(errorOf('mass > 5')).toMatchObject({ message: 'Unknown column "mass".', position: 0 });
+    expect(errorOf('area > 1 AND (isUnitaryGroup')).toMatchObject({ position: 28 });
+    expect(errorOf("description = 'open")).toMatchObject({ message: 'Unclosed \' quote.', position: 14 });
+    expect(errorOf('area ~ 5')).toMatchObject({ position: 7 });
+    expect(errorOf('sampleName > S1')).toMatchObject({ position: 13 });
+    expect(errorOf('sampleName NOT S1')).toMatchObject({ position: 11 });
+    expect(errorOf('sampleName NOT S1').message).toMatch(/^Expected an operator after sampleName/);
+  });
+
+  it('reports an invalid quoted pattern as a syntax error instead of throwing', () => {
+    const error = errorOf("description ~ 'kin[ase'");
+    expect(error).toMatchObject({ name: 'FilterSyntaxError', position: 14 });
+    expect(error.message).toMatch(/Unterminated character class/);
+  });
+});
+
+describe('getFilterSuggestions', () => {
+  it('suggests columns where a column name can start', () => {
+    const { start, end, fields } = getFilterSuggestions('area > 1 AND uni', 16, FILTER_FIELDS);
+    expect([start, end]).toEqual([13, 16]);
+    expect(fields.map(field => field.name)).toEqual(['uniquePeptidesCount']);
+    expect(getFilterSuggestions('area > un', 9, FILTER_FIELDS).fields).toEqual([]);
+  });
+});
+
+describe('quoteFieldName', () => {
+  it('adds backticks only when needed', () => {
+    expect(quoteFieldName('area')).toBe('area');
+    expect(quoteFieldName('Clinical Significance')).toBe('`Clinical Significance`');
+  });
+});
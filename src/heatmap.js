@@ -0,0 +1,141 @@
+import { buildComparisonMatrix } from './comparison';
+import { hierarchicalCluster } from './clustering';
+import { imputeComparisonRows, getLog2Imputation } from './imputation';
+import { mean, variance } from './statistics';
+
+export const HEATMAP_SCALINGS = {
+  none: 'log2 area',
+  row: 'Row z-score',
+};
+
+/**
+ * @typedef {object} HeatmapRow
+ * @property {string} accession The protein accession.
+ * @property {string} description The protein description.
+ * @property {(number|null)[]} log2Values log2 area per sample, or null where the protein is missing.
+ * @property {boolean[]} imputed Whether each log2 value was imputed.
+ * @property {(number|null)[]} values The plotted values: log2Values, z-scored by row if requested.
+ */
+
+/**
+ * @typedef {object} Heatmap
+ * @property {string[]} sampleNames The samples, in clustered order.
+ * @property {HeatmapRow[]} rows The proteins, in clustered order.
+ * @property {import('./clustering').ClusterNode|null} sampleTree The sample dendrogram.
+ * @property {number[]} sampleOrder Original sample indices in display order.
+ * @property {import('./clustering').ClusterNode|null} rowTree The protein dendrogram.
+ * @property {number[]} rowOrder Original row indices in display order.
+ * @property {number} totalRows Number of proteins with a value before the row limit.
+ * @property {number} min Smallest plotted value.
+ * @property {number} max Largest plotted value.
+ */
+
+/**
+ * Z-scores a row over its present values; a row without spread becomes all zeros.
+ * @param {(number|null)[]} values The row.
+ * @returns {(number|null)[]} The z-scores.
+ */
+const zScoreRow = (values) => {
+  const present = values.filter(value => value !== null);
+  const center = mean(present);
+  const sd = present.length > 1 ? Math.sqrt(variance(present)) : 0;
+  return values.map(value => {
+    if (value === null) return null;
+    return sd > 0 ? (value - center) / sd : 0;
+  });
+};
+
+/**
+ * Builds a clustered protein × sample heatmap of log2 areas. Proteins are ranked by their
+ * variance across samples and only the most variable ones are kept when there are more than
+ * `maxRows`; missing values are imputed after that cut, from the kept proteins. Proteins and
+ * samples are then clustered independently.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string[]} sampleNames The samples.
+ * @param {object} options Heatmap options.
+ * @param {boolean} options.alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @param {string} [options.imputationMethod] A key of IMPUTATION_METHODS; missing values are left out by default, and
+ * by 'zero', which has no log2 value.
+ * @param {string} options.scaling A key of HEATMAP_SCALINGS.
+ * @param {string} options.metric A key of DISTANCE_METRICS.
+ * @param {string} options.linkage A key of LINKAGE_METHODS.
+ * @param {number} options.maxRows The largest number of proteins to show.
+ * @returns {Heatmap} The heatmap.
+ */
+export const buildHeatmap = (proteins, sampleNames, { alreadyLog2, imputationMethod = 'none', scaling, metric, linkage, maxRows }) => {
+  const toLog2 = (cell) => {
+    if (cell.normalizedArea === null || cell.normalizedArea === undefined) return null;
+    if (alreadyLog2) return cell.normalizedArea;
+    return cell.normalizedArea > 0 ? Math.log2(cell.normalizedArea) : null;
+  };
+
+  // Rows are ranked on their measured values, so only the plotted ones need imputing
+  const candidates = buildComparisonMatrix(proteins, sampleNames)
+    .map(row => {
+      const present = sampleNames.map(sampleName => toLog2(row.cells[sampleName])).filter(value => value !== null);
+      return { row, present, spread: present.length > 1 ? variance(present) : 0 };
+    })
+    .filter(candidate => candidate.present.length > 0);
+  const kept = [...candidates].sort((a, b) => b.spread - a.spread).slice(0, maxRows).map(candidate => candidate.row);
+  const rows = imputeComparisonRows(kept, sampleNames, getLog2Imputation({ method: imputationMethod, alreadyLog2 })).map(row => {
+    const log2Values = sampleNames.map(sampleName => toLog2(row.cells[sampleName]));
+    return {
+      accession: row.accession,
+      description: row.description,
+      log2Values,
+      imputed: sampleNames.map((sampleName, index) => Boolean(row.cells[sampleName].imputed) && log2Values[index] !== null),
+      values: scaling === 'row' ? zScoreRow(log2Values) : log2Values,
+    };
+  });
+
+  const rowClusters = hierarchicalCluster(rows.map(row => row.values), { metric, linkage });
+  const sampleClusters = hierarchicalCluster(sampleNames.map((sampleName, index) => rows.map(row => row.values[index])), { metric, linkage });
+
+  let min = Infinity;
+  let max = -Infinity;
+  rows.forEach(row => row.values.forEach(value => {
+    if (value === null) return;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }));
+
+  return {
+    sampleNames: sampleClusters.order.map(index => sampleNames[index]),
+    rows: rowClusters.order.map(rowIndex => {
+      const row = rows[rowIndex];
+      return {
+        ...row,
+        log2Values: sampleClusters.order.map(index => row.log2Values[index]),
+        imputed: sampleClusters.order.map(index => row.imputed[index]),
+        values: sampleClusters.order.map(index => row.values[index]),
+      };
+    }),
+    sampleTree: sampleClusters.root,
+    sampleOrder: sampleClusters.order,
+    rowTree: rowClusters.root,
+    rowOrder: rowClusters.order,
+    totalRows: candidates.length,
+    min: Number.isFinite(min) ? min : 0,
+    max: Number.isFinite(max) ? max : 0,
+  };
+};
+
+/**
+ * Color of a heatmap cell. Row z-scores use a blue–white–red scale centered on zero; log2 areas
+ * use a light-to-dark blue scale over the plotted range.
+ * @param {number|null} value The plotted value.
+ * @param {Heatmap} heatmap The heatmap, for its value range.
+ * @param {string} scaling A key of HEATMAP_SCALINGS.
+ * @returns {string} A CSS color.
+ */
+export const getHeatmapColor = (value, heatmap, scaling) => {
+  if (value === null) return 'rgb(240, 240, 240)';
+  if (scaling === 'row') {
+    const limit = Math.max(Math.abs(heatmap.min), Math.abs(heatmap.max)) || 1;
+    const scaled = Math.max(-1, Math.min(1, value / limit));
+    const lightness = 97 - Math.abs(scaled) * 52;
+    return `hsl(${scaled < 0 ? 215 : 0}, 75%, ${lightness}%)`;
+  }
+  const scaled = heatmap.max > heatmap.min ? (value - heatmap.min) / (heatmap.max - heatmap.min) : 0.5;
+  return `hsl(210, 80%, ${95 - scaled * 65}%)`;
+};
@@ -0,0 +1,214 @@
+import { mean, variance } from './statistics';
+
+/**
+ * Missing-value policies for cross-sample comparisons. A protein absent from a sample, or
+ * present without a quantified area, is missing there; every method except 'none' fills it in.
+ */
+export const IMPUTATION_METHODS = {
+  none: 'Leave missing (NA)',
+  zero: 'Zero',
+  min: 'Sample minimum',
+  halfMin: 'Half of the sample minimum',
+  normal: 'Down-shifted normal distribution (Perseus)',
+  knn: 'k-nearest neighbours',
+};
+
+// Perseus defaults: draws centered 1.8 standard deviations below the sample mean, 0.3 SD wide
+const normalDownshift = 1.8;
+const normalWidth = 0.3;
+const neighbourCount = 5;
+// Rows each incomplete row is compared with in kNN imputation; bounds the cost for large tables
+const maxNeighbourCandidates = 200;
+// Fixed seed, so the same data always gets the same random draws
+const randomSeed = 20240229;
+
+/**
+ * @typedef {object} ImputationOptions
+ * @property {string} method A key of IMPUTATION_METHODS.
+ * @property {boolean} alreadyLog2 Whether the normalized areas are already log2-transformed.
+ */
+
+/**
+ * Describes a missing-value policy, e.g. "Half of the sample minimum".
+ * @param {ImputationOptions} imputation The policy.
+ * @returns {string} The description.
+ */
+export const describeImputation = ({ method, alreadyLog2 }) => {
+  if (method === 'zero' && alreadyLog2) return `${IMPUTATION_METHODS.none} (zero is undefined on a log2 scale)`;
+  if (method === 'zero') return `${IMPUTATION_METHODS.zero} in the comparison matrix and exports; left missing in the heatmap and statistics (no log2 value)`;
+  if (method === 'normal') return `${IMPUTATION_METHODS.normal}, downshift ${normalDownshift} SD, width ${normalWidth} SD`;
+  if (method === 'knn') return `${IMPUTATION_METHODS.knn}, k = ${neighbourCount}, neighbours among up to ${maxNeighbourCandidates} reference proteins`;
+  return IMPUTATION_METHODS[method];
+};
+
+/**
+ * The policy for views that work on log2 values (heatmap, differential abundance). Zero has no
+ * log2 value, so there missing values stay missing instead.
+ * @param {ImputationOptions} imputation The policy.
+ * @returns {ImputationOptions} The policy to apply on the log2 scale.
+ */
+export const getLog2Imputation = ({ method, alreadyLog2 }) => ({ method: method === 'zero' ? 'none' : method, alreadyLog2 });
+
+/**
+ * Seeded pseudo-random numbers between 0 and 1 (mulberry32).
+ * @param {number} seed The seed.
+ * @returns {function(): number} The generator.
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal draws from a uniform generator (Box–Muller).
+ * @param {function(): number} random Uniform numbers between 0 and 1.
+ * @returns {function(): number} The generator.
+ */
+const createNormalRandom = (random) => () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+/**
+ * Imputed log2 values of the missing cells of one sample's column, by a per-sample rule.
+ * @param {(number|null)[]} column log2 values of the sample, null where missing.
+ * @param {string} method 'min', 'halfMin' or 'normal'.
+ * @param {function(): number} normalRandom Standard normal draws.
+ * @returns {(number|null)[]} The column with its missing values filled in where possible.
+ */
+const imputeColumn = (column, method, normalRandom) => {
+  const observed = column.filter(value => value !== null);
+  if (observed.length === 0) return column;
+  if (method === 'normal') {
+    if (observed.length < 2) return column;
+    const sd = Math.sqrt(variance(observed));
+    const center = mean(observed) - normalDownshift * sd;
+    return column.map(value => (value === null ? center + normalWidth * sd * normalRandom() : value));
+  }
+  const minimum = Math.min(...observed);
+  // Half of the linear minimum is one unit below it on the log2 scale
+  const fill = method === 'halfMin' ? minimum - 1 : minimum;
+  return column.map(value => (value === null ? fill : value));
+};
+
+/**
+ * The rows an incomplete row is compared with in kNN imputation: rows without missing values
+ * first, then the most complete others. Past `maxNeighbourCandidates` the complete rows are
+ * taken at even steps, so the cost stays linear in the number of proteins.
+ * @param {(number|null)[][]} matrix log2 values, one row per protein and one column per sample.
+ * @returns {number[]} Indices of the candidate rows.
+ */
+const pickNeighbourCandidates = (matrix) => {
+  const missingCounts = matrix.map(row => row.filter(value => value === null).length);
+  const complete = matrix.map((row, index) => index).filter(index => missingCounts[index] === 0);
+  if (complete.length >= maxNeighbourCandidates) {
+    const step = complete.length / maxNeighbourCandidates;
+    return Array.from({ length: maxNeighbourCandidates }, (_, i) => complete[Math.floor(i * step)]);
+  }
+  const incomplete = matrix.map((row, index) => index)
+    .filter(index => missingCounts[index] > 0 && missingCounts[index] < matrix[index].length)
+    .sort((a, b) => missingCounts[a] - missingCounts[b]);
+  return complete.concat(incomplete.slice(0, maxNeighbourCandidates - complete.length));
+};
+
+/**
+ * kNN imputation across proteins: a missing value is the mean of the same sample's values in the
+ * `neighbourCount` candidate proteins closest to it. Distance is the root mean squared
+ * difference over the samples both proteins have a value in.
+ * @param {(number|null)[][]} matrix log2 values, one row per protein and one column per sample.
+ * @returns {(number|null)[][]} The matrix with its missing values filled in where neighbours exist.
+ */
+const imputeNearestNeighbours = (matrix) => {
+  const candidates = pickNeighbourCandidates(matrix);
+  // Typed rows with NaN for missing values keep the distance loop on plain numbers
+  const values = matrix.map(row => Float64Array.from(row, value => (value === null ? NaN : value)));
+  return matrix.map((row, rowIndex) => {
+    if (!row.includes(null)) return row;
+    const observed = [];
+    const missing = [];
+    row.forEach((value, sampleIndex) => (value === null ? missing : observed).push(sampleIndex));
+    // Per missing sample, the closest neighbours with a value there, nearest first
+    const nearest = missing.map(() => []);
+    const own = values[rowIndex];
+    for (const otherIndex of candidates) {
+      if (otherIndex === rowIndex) continue;
+      const other = values[otherIndex];
+      let sum = 0;
+      let shared = 0;
+      for (let i = 0; i < observed.length; i++) {
+        const difference = own[observed[i]] - other[observed[i]];
+        if (Number.isNaN(difference)) continue;
+        sum += difference * difference;
+        shared += 1;
+      }
+      if (shared === 0) continue;
+      const distance = Math.sqrt(sum / shared);
+      for (let i = 0; i < missing.length; i++) {
+        const neighbours = nearest[i];
+        const value = other[missing[i]];
+        if (Number.isNaN(value) || (neighbours.length === neighbourCount && distance >= neighbours[neighbourCount - 1].distance)) continue;
+        let position = neighbours.length;
+        while (position > 0 && neighbours[position - 1].distance > distance) position -= 1;
+        neighbours.splice(position, 0, { distance, value });
+        if (neighbours.length > neighbourCount) neighbours.pop();
+      }
+    }
+    const imputed = [...row];
+    missing.forEach((sampleIndex, i) => {
+      if (nearest[i].length > 0) imputed[sampleIndex] = mean(nearest[i].map(neighbour => neighbour.value));
+    });
+    return imputed;
+  });
+};
+
+/**
+ * log2 value of a comparison cell, or null when it is missing.
+ * @param {import('./comparison').ComparisonCell} cell The cell.
+ * @param {boolean} alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @returns {number|null} The value.
+ */
+const toLog2 = (cell, alreadyLog2) => {
+  if (!cell.present || cell.normalizedArea === null || cell.normalizedArea === undefined) return null;
+  if (alreadyLog2) return cell.normalizedArea;
+  return cell.normalizedArea > 0 ? Math.log2(cell.normalizedArea) : null;
+};
+
+/**
+ * Fills in the missing values of comparison rows. Filled cells keep `present` as it was and get
+ * `imputed: true` and a `normalizedArea` on the scale of the other areas; cells that stay missing
+ * are unchanged. Per-sample rules use the values of the given rows only, so the result depends
+ * on the active filters. The Perseus method draws from a seeded generator and is reproducible.
+ * @param {import('./comparison').ComparisonRow[]} rows The comparison rows.
+ * @param {string[]} sampleNames The samples.
+ * @param {ImputationOptions} imputation The policy.
+ * @returns {import('./comparison').ComparisonRow[]} The rows, with imputed cells.
+ */
+export const imputeComparisonRows = (rows, sampleNames, { method, alreadyLog2 }) => {
+  if (method === 'none' || (method === 'zero' && alreadyLog2)) return rows;
+  const log2Matrix = rows.map(row => sampleNames.map(sampleName => toLog2(row.cells[sampleName], alreadyLog2)));
+
+  let imputedMatrix;
+  if (method === 'zero') {
+    imputedMatrix = log2Matrix.map(values => values.map(value => (value === null ? -Infinity : value)));
+  } else if (method === 'knn') {
+    imputedMatrix = imputeNearestNeighbours(log2Matrix);
+  } else {
+    const normalRandom = createNormalRandom(createRandom(randomSeed));
+    const columns = sampleNames.map((sampleName, sampleIndex) => imputeColumn(log2Matrix.map(values => values[sampleIndex]), method, normalRandom));
+    imputedMatrix = log2Matrix.map((values, rowIndex) => values.map((value, sampleIndex) => columns[sampleIndex][rowIndex]));
+  }
+
+  return rows.map((row, rowIndex) => {
+    if (!log2Matrix[rowIndex].includes(null)) return row;
+    const cells = { ...row.cells };
+    sampleNames.forEach((sampleName, sampleIndex) => {
+      const value = imputedMatrix[rowIndex][sampleIndex];
+      if (log2Matrix[rowIndex][sampleIndex] !== null || value === null) return;
+      cells[sampleName] = { ...cells[sampleName], imputed: true, normalizedArea: alreadyLog2 ? value : 2 ** value };
+    });
+    return { ...row, cells };
+  });
+};
@@ -0,0 +1,138 @@
+import { mean, median } from './statistics';
+
+/**
+ * Between-sample normalization strategies for protein areas. Zero areas (not quantified) are
+ * left out of every computation and stay zero; the log2 transform turns them into null.
+ */
+export const NORMALIZATION_METHODS = {
+  none: 'None (raw area)',
+  tic: 'Total area (TIC) scaling',
+  median: 'Median centering',
+  quantile: 'Quantile normalization',
+};
+
+/**
+ * Value at quantile `q` (0..1) of a sorted list, linearly interpolated.
+ * @param {number[]} sorted Ascending values.
+ * @param {number} q The quantile.
+ * @returns {number} The interpolated value.
+ */
+const quantileAt = (sorted, q) => {
+  if (sorted.length === 1) return sorted[0];
+  const position = q * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Groups the positive areas of the records by sample.
+ * @param {object[]} proteins Flat protein records.
+ * @returns {Map<string, number[]>} Sample name to its positive areas.
+ */
+const getAreasBySample = (proteins) => {
+  const areasBySample = new Map();
+  proteins.forEach(protein => {
+    if (!areasBySample.has(protein.sampleName)) {
+      areasBySample.set(protein.sampleName, []);
+    }
+    if (protein.area > 0) {
+      areasBySample.get(protein.sampleName).push(protein.area);
+    }
+  });
+  return areasBySample;
+};
+
+/**
+ * Per-sample scale factors that bring every sample to the same total or median area.
+ * @param {Map<string, number[]>} areasBySample Positive areas per sample.
+ * @param {function(number[]): number} summarize Sample summary (sum or median).
+ * @returns {Map<string, number>} Sample name to scale factor.
+ */
+const getScaleFactors = (areasBySample, summarize) => {
+  const summaries = new Map();
+  areasBySample.forEach((areas, sampleName) => {
+    if (areas.length > 0) summaries.set(sampleName, summarize(areas));
+  });
+  const target = summaries.size ? mean(Array.from(summaries.values())) : 1;
+  const factors = new Map();
+  summaries.forEach((summary, sampleName) => factors.set(sampleName, summary > 0 ? target / summary : 1));
+  return factors;
+};
+
+/**
+ * Quantile normalization for samples of unequal size: each value is replaced by the mean,
+ * across samples, of the value found at the same quantile. Tied values share their mean rank.
+ * @param {Map<string, number[]>} areasBySample Positive areas per sample.
+ * @returns {Map<string, Map<number, number>>} Sample name to a raw -> normalized lookup.
+ */
+const getQuantileMaps = (areasBySample) => {
+  const sortedBySample = new Map();
+  areasBySample.forEach((areas, sampleName) => {
+    if (areas.length > 0) sortedBySample.set(sampleName, [...areas].sort((a, b) => a - b));
+  });
+  const allSorted = Array.from(sortedBySample.values());
+
+  const maps = new Map();
+  sortedBySample.forEach((sorted, sampleName) => {
+    const lookup = new Map();
+    let i = 0;
+    while (i < sorted.length) {
+      let j = i;
+      while (j + 1 < sorted.length && sorted[j + 1] === sorted[i]) j += 1;
+      const rank = (i + j) / 2;
+      const q = sorted.length > 1 ? rank / (sorted.length - 1) : 0.5;
+      lookup.set(sorted[i], mean(allSorted.map(other => quantileAt(other, q))));
+      i = j + 1;
+    }
+    maps.set(sampleName, lookup);
+  });
+  return maps;
+};
+
+/**
+ * Adds a `normalizedArea` to every protein record using the chosen strategy.
+ * @param {object[]} proteins Flat protein records (one per accession and sample).
+ * @param {object} options The normalization options.
+ * @param {string} options.method A key of NORMALIZATION_METHODS.
+ * @param {boolean} options.log2 Whether to log2-transform the normalized area.
+ * @returns {object[]} New records with `normalizedArea` set.
+ */
+export const normalizeAreas = (proteins, { method, log2 }) => {
+  const areasBySample = getAreasBySample(proteins);
+  let normalize = (protein) => protein.area;
+  if (method === 'tic' || method === 'median') {
+    const factors = getScaleFactors(areasBySample, method === 'tic' ? values => values.reduce((sum, v) => sum + v, 0) : median);
+    normalize = (protein) => protein.area * (factors.get(protein.sampleName) || 1);
+  } else if (method === 'quantile') {
+    const maps = getQuantileMaps(areasBySample);
+    normalize = (protein) => (protein.area > 0 ? maps.get(protein.sampleName).get(protein.area) : protein.area);
+  }
+
+  return proteins.map(protein => {
+    const value = normalize(protein);
+    return {
+      ...protein,
+      normalizedArea: log2 ? (value > 0 ? Math.log2(value) : null) : value,
+    };
+  });
+};
+
+/**
+ * Describes the normalization settings, for table headers and exports.
+ * @param {object} options The normalization options.
+ * @param {string} options.method A key of NORMALIZATION_METHODS.
+ * @param {boolean} options.log2 Whether the values are log2-transformed.
+ * @returns {string} The description.
+ */
+export const describeNormalization = ({ method, log2 }) => {
+  const label = method === 'none' ? 'Raw' : NORMALIZATION_METHODS[method];
+  return log2 ? `${label}, log2` : label;
+};
+
+/**
+ * Formats an area value for display and export.
+ * @param {number|null} value The area.
+ * @returns {string} The formatted value, or 'N/A' for missing values.
+ */
+export const formatArea = (value) => (value === null || value === undefined ? 'N/A' : value.toFixed(2));
@@ -0,0 +1,64 @@
+/**
+ * @typedef {object} Intersection
+ * @property {string} key The samples sharing the accessions, one character per sample: '1' at
+ * position i when sampleNames[i] is one of them, '0' otherwise.
+ * @property {string[]} sampleNames The samples, in sample order.
+ * @property {string[]} accessions Accessions found in exactly these samples, sorted.
+ */
+
+/**
+ * Collects the distinct accessions of each sample.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string[]} sampleNames The samples to compare.
+ * @returns {Object.<string, Set<string>>} Accessions per sample name.
+ */
+export const getAccessionsBySample = (proteins, sampleNames) => {
+  const accessionsBySample = {};
+  sampleNames.forEach(sampleName => { accessionsBySample[sampleName] = new Set(); });
+  proteins.forEach(protein => {
+    if (accessionsBySample[protein.sampleName]) accessionsBySample[protein.sampleName].add(protein.accession);
+  });
+  return accessionsBySample;
+};
+
+/**
+ * Splits the accessions into exclusive intersections, as in an UpSet plot or the regions of a
+ * Venn diagram: every accession belongs to the one combination of samples it was found in.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string[]} sampleNames The samples to compare, any number of them.
+ * @returns {Intersection[]} The non-empty intersections, largest first.
+ */
+export const computeIntersections = (proteins, sampleNames) => {
+  const accessionsBySample = getAccessionsBySample(proteins, sampleNames);
+  const memberships = new Map();
+  sampleNames.forEach((sampleName, index) => {
+    accessionsBySample[sampleName].forEach(accession => {
+      if (!memberships.has(accession)) memberships.set(accession, new Array(sampleNames.length).fill('0'));
+      memberships.get(accession)[index] = '1';
+    });
+  });
+
+  const byKey = new Map();
+  memberships.forEach((membership, accession) => {
+    const key = membership.join('');
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(accession);
+  });
+  // Ties keep combinations of earlier samples first
+  return Array.from(byKey, ([key, accessions]) => ({
+    key,
+    sampleNames: sampleNames.filter((sampleName, index) => key[index] === '1'),
+    accessions: accessions.sort(),
+  })).sort((a, b) => b.accessions.length - a.accessions.length || a.sampleNames.length - b.sampleNames.length || (a.key > b.key ? -1 : a.key < b.key ? 1 : 0));
+};
+
+/**
+ * Describes an intersection for labels and exports, e.g. "S1 & S2 only".
+ * @param {Intersection} intersection The intersection.
+ * @param {number} sampleCount Number of compared samples.
+ * @returns {string} The description.
+ */
+export const describeIntersection = (intersection, sampleCount) => {
+  if (intersection.sampleNames.length === sampleCount && sampleCount > 1) return `All ${sampleCount} samples`;
+  return `${intersection.sampleNames.join(' & ')} only`;
+};
@@ -0,0 +1,25 @@
+import { computeIntersections, describeIntersection } from './overlap';
+
+const record = (sampleName, accession) => ({ sampleName, accession });
+
+describe('computeIntersections', () => {
+  it('puts every accession in the one combination of samples it was found in', () => {
+    const proteins = [record('A', 'P1'), record('B', 'P1'), record('A', 'P2'), record('B', 'P3'), record('B', 'P4')];
+    const intersections = computeIntersections(proteins, ['A', 'B']);
+    expect(intersections).toEqual([
+      { key: '01', sampleNames: ['B'], accessions: ['P3', 'P4'] },
+      { key: '10', sampleNames: ['A'], accessions: ['P2'] },
+      { key: '11', sampleNames: ['A', 'B'], accessions: ['P1'] },
+    ]);
+  });
+
+  it('compares more samples than fit in a 32-bit mask', () => {
+    const sampleNames = Array.from({ length: 40 }, (_, index) => `S${index + 1}`);
+    const proteins = sampleNames.map(sampleName => record(sampleName, 'P1')).concat(record('S40', 'P2'));
+    const intersections = computeIntersections(proteins, sampleNames);
+    const shared = intersections.find(intersection => intersection.accessions.includes('P1'));
+    expect(shared.sampleNames).toHaveLength(40);
+    expect(describeIntersection(shared, 40)).toBe('All 40 samples');
+    expect(intersections.find(intersection => intersection.accessions.includes('P2')).sampleNames).toEqual(['S40']);
+  });
+});
@@ -0,0 +1,168 @@
+/* eslint-disable no-restricted-globals */
+// `self` is the worker global scope here, not the window.
+import { SOURCE_SOFTWARE } from './adapters';
+import { createReferenceIndex, getReferenceFilter } from './references';
+import { createTableReader } from './tabular';
+
+// Minimum interval between progress messages, in milliseconds
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Streams a file through File.stream() and hands the decoded text to a callback chunk by chunk,
+ * so the whole file is never held in memory as a single string.
+ * @param {File} file The file to read.
+ * @param {function(string): void} onText Called with each decoded chunk.
+ * @param {function(number): void} onProgress Called with the number of bytes read so far.
+ */
+const streamText = async (file, onText, onProgress) => {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder();
+  let bytesRead = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytesRead += value.byteLength;
+    onText(decoder.decode(value, { stream: true }));
+    onProgress(bytesRead);
+  }
+  onText(decoder.decode());
+};
+
+/**
+ * Streams a file and hands every non-empty line to a callback, without line-ending characters.
+ * @param {File} file The file to read.
+ * @param {function(string): void} onLine Called for each non-empty line.
+ * @param {function(number): void} onProgress Called with the number of bytes read so far.
+ */
+const streamLines = async (file, onLine, onProgress) => {
+  let buffer = '';
+  const emit = (line) => {
+    if (line.trim() !== '') onLine(line.replace(/\r$/, ''));
+  };
+  await streamText(file, text => {
+    buffer += text;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(emit);
+  }, onProgress);
+  emit(buffer);
+};
+
+/**
+ * Parses one sample's files with the parser of its source software.
+ * @param {object} sample The sample definition ({ name, sourceSoftware, files, columnMappings }).
+ * @param {number} sampleIndex Position of the sample, echoed in progress messages.
+ * @returns {Promise<{proteins: object[], peptides: object[], fileReports: import('./parserClient').FileReport[]}|null>} The protein
+ * records, peptide observations and a report per file, or null if an error was posted.
+ */
+const parseSample = async (sample, sampleIndex) => {
+  const software = SOURCE_SOFTWARE[sample.sourceSoftware];
+  const columnMappings = sample.columnMappings || {};
+  const parser = software.createParser(sample.name, Object.fromEntries(Object.entries(columnMappings).map(([fileType, { mapping }]) => [fileType, mapping])));
+  const fileReports = [];
+
+  for (const fileType of Object.keys(software.files)) {
+    const file = sample.files[fileType];
+    let lastPost = 0;
+    const postProgress = (bytesRead) => {
+      self.postMessage({ type: 'progress', sampleIndex, fileType, bytesRead, totalBytes: file.size });
+    };
+
+    const tableReader = createTableReader({
+      fileName: file.name,
+      onHeader: (headers, report) => parser.readHeader(fileType, headers, report),
+      onRow: (cells) => parser.readRow(fileType, cells),
+    });
+    await streamText(file, tableReader.push, bytesRead => {
+      const now = Date.now();
+      if (now - lastPost >= PROGRESS_INTERVAL) {
+        lastPost = now;
+        postProgress(bytesRead);
+      }
+    });
+    const report = tableReader.end();
+    postProgress(file.size);
+    fileReports.push({ sampleName: sample.name, fileLabel: software.files[fileType], report, mappingSource: columnMappings[fileType]?.source || null });
+
+    if (report.rowCount === 0) {
+      self.postMessage({ type: 'error', message: `Error: Files for sample ${sample.name} are empty or the format is incorrect.` });
+      return null;
+    }
+  }
+
+  const { proteins, peptides } = parser.finish();
+  return { proteins: proteins.map(protein => ({ ...protein, sampleName: sample.name })), peptides, fileReports };
+};
+
+/**
+ * Reads the reference annotation files, keeping only the variants of the parsed proteins.
+ * Progress is reported as an extra entry after the samples.
+ * @param {File[]} files The humsavar and ClinVar files.
+ * @param {object[]} proteins The parsed protein records.
+ * @param {Object.<string, string>} genesByAccession Gene names from the FASTA database.
+ * @param {number} progressIndex Index reported as `sampleIndex` in progress messages.
+ * @returns {Promise<Object.<string, object[]>|null>} The reference index, or null without files.
+ */
+const parseReferences = async (files, proteins, genesByAccession, progressIndex) => {
+  if (!files || files.length === 0) return null;
+  const index = createReferenceIndex(getReferenceFilter(proteins, genesByAccession));
+  for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+    const file = files[fileIndex];
+    const fileType = `reference-${fileIndex}`;
+    let isFirstLine = true;
+    let lastPost = 0;
+    await streamLines(file, line => {
+      index.readLine(file.name, line, isFirstLine);
+      isFirstLine = false;
+    }, bytesRead => {
+      const now = Date.now();
+      if (now - lastPost >= PROGRESS_INTERVAL) {
+        lastPost = now;
+        self.postMessage({ type: 'progress', sampleIndex: progressIndex, fileType, bytesRead, totalBytes: file.size });
+      }
+    });
+    self.postMessage({ type: 'progress', sampleIndex: progressIndex, fileType, bytesRead: file.size, totalBytes: file.size });
+  }
+  return index.finish();
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    const allProteins = [];
+    const sampleGroupCounts = new Map();
+    const peptidesBySample = {};
+    const fileReports = [];
+
+    for (let sampleIndex = 0; sampleIndex < data.samples.length; sampleIndex++) {
+      const sample = data.samples[sampleIndex];
+      const parsedSample = await parseSample(sample, sampleIndex);
+      if (!parsedSample) return;
+      const parsedProteinsForThisSample = parsedSample.proteins;
+      peptidesBySample[sample.name] = (peptidesBySample[sample.name] || []).concat(parsedSample.peptides);
+      fileReports.push(...parsedSample.fileReports);
+
+      // Count protein groups per sample
+      if (!sampleGroupCounts.has(sample.name)) {
+        sampleGroupCounts.set(sample.name, new Map());
+      }
+      const currentSampleCounts = sampleGroupCounts.get(sample.name);
+      parsedProteinsForThisSample.forEach(protein => {
+        currentSampleCounts.set(protein.proteinGroup, (currentSampleCounts.get(protein.proteinGroup) || 0) + 1);
+      });
+
+      allProteins.push(...parsedProteinsForThisSample);
+    }
+
+    const finalProteins = allProteins.map(protein => ({
+      ...protein,
+      // Now we check the specific sample's group count
+      isUnitaryGroup: sampleGroupCounts.get(protein.sampleName)?.get(protein.proteinGroup) === 1,
+    }));
+
+    const referenceIndex = await parseReferences(data.referenceFiles, finalProteins, data.genesByAccession || {}, data.samples.length);
+
+    self.postMessage({ type: 'done', proteins: finalProteins, peptidesBySample, referenceIndex, fileReports });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: `Error processing files. Please ensure the format is correct. Details: ${err.message}` });
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * @typedef {object} FileReport
+ * @property {string} sampleName The sample the file belongs to.
+ * @property {string} fileLabel The file's upload label (see SOURCE_SOFTWARE).
+ * @property {import('./tabular').TableReport} report How the file was read.
+ * @property {string|null} [mappingSource] 'manual' or the template name when the columns were
+ * assigned in the column mapping step; missing in older projects.
+ */
+
+/**
+ * Parses the sample files in a Web Worker so the UI stays responsive.
+ * @param {object[]} samples Sample definitions ({ name, sourceSoftware, files, columnMappings }), where
+ * `columnMappings` holds the resolved mapping of each file type (see resolveColumnMapping).
+ * @param {function(object): void} onProgress Called with { sampleIndex, fileType, bytesRead, totalBytes }.
+ * Reference files are reported with a `sampleIndex` equal to the number of samples.
+ * @param {object} [references] Optional reference annotation input.
+ * @param {File[]} [references.files] UniProt humsavar and ClinVar variant_summary files.
+ * @param {Object.<string, string>} [references.genesByAccession] Gene names from the FASTA database.
+ * @returns {{promise: Promise<{proteins: object[], peptidesBySample: object, referenceIndex: object|null, fileReports: FileReport[]}>, cancel: function(): void}}
+ * The pending protein records, peptide observations per sample, reference index and file reports, and a function that stops the worker. A
+ * cancelled run rejects with an 'AbortError'; a parsing problem rejects with a 'ParserError' whose message is ready to show to the user.
+ */
+export const parseSamplesInWorker = (samples, onProgress, references = {}) => {
+  const worker = new Worker(new URL('./parser.worker.js', import.meta.url));
+  let rejectRun;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectRun = reject;
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress(data);
+      } else if (data.type === 'done') {
+        worker.terminate();
+        resolve({ proteins: data.proteins, peptidesBySample: data.peptidesBySample, referenceIndex: data.referenceIndex, fileReports: data.fileReports });
+      } else if (data.type === 'error') {
+        worker.terminate();
+        const error = new Error(data.message);
+        error.name = 'ParserError';
+        reject(error);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'The file parser stopped unexpectedly.'));
+    };
+  });
+
+  worker.postMessage({
+    samples: samples.map(({ name, sourceSoftware, files, columnMappings }) => ({ name, sourceSoftware, files, columnMappings })),
+    referenceFiles: references.files || [],
+    genesByAccession: references.genesByAccession || {},
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectRun(new DOMException('Analysis cancelled.', 'AbortError'));
+    },
+  };
+};
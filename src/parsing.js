@@ -0,0 +1,98 @@
+/**
+ * Normalizes a header for fuzzy comparison: lower case letters and digits only.
+ * @param {string} header The header.
+ * @returns {string} The normalized header.
+ */
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Finds column indices by header name. Each key lists candidate names, tried in order. An exact
+ * (case-insensitive) match always wins. Failing that, a header that differs only in spacing and
+ * punctuation ("# Peptides" for "#Peptides"), and then one that starts with the name followed by
+ * a qualifier ("Area Sample 1" for "Area"), is accepted, but only when it is the only such
+ * header. Columns found by these fuzzy matches are recorded in the report.
+ * @param {string[]} headers The header cells.
+ * @param {Object.<string, string[]>} columnSpec Map of keys to candidate header names.
+ * @param {import('./tabular').TableReport} [report] Receives the fuzzy matches.
+ * @returns {Object.<string, number>} An object mapping keys to their 0-based index, or -1.
+ */
+export const getColumnIndices = (headers, columnSpec, report) => {
+  const lowerHeaders = headers.map(header => header.trim().toLowerCase());
+  const normalizedHeaders = lowerHeaders.map(normalizeHeader);
+  const onlyMatch = (isMatch) => {
+    const matches = lowerHeaders.map((header, index) => index).filter(isMatch);
+    return matches.length === 1 ? matches[0] : -1;
+  };
+  const findFuzzy = (name) => {
+    const lowerName = name.toLowerCase();
+    const normalizedName = normalizeHeader(name);
+    const similar = normalizedName ? onlyMatch(index => normalizedHeaders[index] === normalizedName) : -1;
+    if (similar !== -1) return similar;
+    return onlyMatch(index => lowerHeaders[index].startsWith(lowerName) && /^[\s_:([-]/.test(lowerHeaders[index].slice(lowerName.length)));
+  };
+
+  const indices = {};
+  Object.entries(columnSpec).forEach(([key, candidates]) => {
+    const exact = candidates.map(name => lowerHeaders.indexOf(name.toLowerCase())).find(index => index !== -1);
+    if (exact !== undefined) {
+      indices[key] = exact;
+      return;
+    }
+    const fuzzy = candidates.map(findFuzzy).find(index => index !== -1);
+    indices[key] = fuzzy === undefined ? -1 : fuzzy;
+    if (fuzzy !== undefined && report) report.headerMatches.push({ column: candidates[0], header: headers[fuzzy] });
+  });
+  return indices;
+};
+
+/**
+ * Applies a user-defined column mapping to a column spec: each mapped key is looked up under the
+ * assigned header only, the other keys keep their candidate names.
+ * @param {Object.<string, string[]>} columnSpec Map of keys to candidate header names.
+ * @param {Object.<string, string>} [mapping] Header assigned to each mapped key.
+ * @returns {Object.<string, string[]>} The column spec to look the headers up with.
+ */
+export const applyColumnMapping = (columnSpec, mapping) => {
+  if (!mapping) return columnSpec;
+  const mapped = { ...columnSpec };
+  Object.entries(mapping).forEach(([key, header]) => {
+    if (header && mapped[key]) mapped[key] = [header];
+  });
+  return mapped;
+};
+
+/**
+ * Throws if any of the required columns were not found in a header. The error is named
+ * 'MissingColumnsError' and lists the missing keys in `missingColumns`.
+ * @param {Object.<string, number>} indices The result of a column lookup.
+ * @param {string[]} required Keys that must be present.
+ * @param {string} fileLabel Human readable file description used in the error message.
+ * @param {Object.<string, string[]>} [columnSpec] Candidate names, used to report the expected header.
+ */
+export const assertRequiredColumns = (indices, required, fileLabel, columnSpec) => {
+  const missing = required.filter(key => indices[key] === -1);
+  if (missing.length > 0) {
+    const names = missing.map(key => (columnSpec ? columnSpec[key][0] : key));
+    const error = new Error(`${fileLabel} does not contain the required columns: ${names.join(', ')}.`);
+    error.name = 'MissingColumnsError';
+    error.missingColumns = missing;
+    throw error;
+  }
+};
+
+/**
+ * Extracts the accession from a UniProt style identifier ("sp|P04637|P53_HUMAN" -> "P04637").
+ * @param {string} value The raw identifier.
+ * @returns {string} The bare accession.
+ */
+export const parseAccession = (value) => {
+  const parts = value.split('|');
+  return (parts.length > 1 ? parts[1] : value).trim();
+};
+
+/**
+ * Splits a multi-valued cell (e.g. "P1;P2" or "P1; P2") into its trimmed, non-empty values.
+ * @param {string} value The raw cell value.
+ * @returns {string[]} The individual values.
+ */
+export const splitList = (value) => (value || '').split(';').map(v => v.trim()).filter(v => v.length > 0);
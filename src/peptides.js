@@ -0,0 +1,305 @@
+/**
+ * @typedef {object} Modification
+ * @property {number} position 1-based residue position in the bare sequence; 0 for the N-terminus.
+ * @property {string} residue The modified residue, or 'N-term'.
+ * @property {number|null} massDelta Mass shift in Da, when known.
+ * @property {string|null} name Resolved modification name (e.g. "Oxidation"), when known.
+ */
+
+/**
+ * @typedef {object} ParsedPeptide
+ * @property {string} raw The peptide as written in the export.
+ * @property {string} flankBefore Residue before the peptide ('-' for the protein N-terminus), or ''.
+ * @property {string} flankAfter Residue after the peptide ('-' for the protein C-terminus), or ''.
+ * @property {string} sequence The bare upper case sequence.
+ * @property {Modification[]} modifications The modifications, by position.
+ * @property {string} modifiedSequence The sequence with each modification written after its residue.
+ */
+
+/**
+ * @typedef {object} PeptideObservation
+ * @property {string} peptide The peptide as written in the export (modified or bare).
+ * @property {string[]} accessions Accessions the peptide maps to.
+ * @property {boolean} [unique] The search engine's uniqueness flag, when reported.
+ * @property {string} [razor] The search engine's razor protein, when reported.
+ * @property {number} [score] Peptide score (-10lgP), when reported.
+ * @property {number} [spectra] Number of spectra (PSMs), when reported.
+ * @property {number} [mz] Precursor m/z, when reported.
+ * @property {number[]} [charges] Precursor charge states, when reported.
+ * @property {number} [ppm] Precursor mass error in ppm, when reported.
+ * @property {number} [retentionTime] Retention time, when reported.
+ */
+
+/**
+ * @typedef {object} PeptideFilterOptions
+ * @property {boolean} excludeOxidationOnly Drop peptide forms whose only variable modification is oxidation.
+ * @property {number} [minScore] Minimum -10lgP.
+ * @property {number} [minSpectra] Minimum number of spectra.
+ * @property {number} [maxAbsPpm] Maximum absolute mass error in ppm.
+ * @property {number[]} [allowedCharges] Allowed precursor charges; empty or missing allows all.
+ */
+
+/**
+ * Common modifications, used to name mass deltas (Peaks), UniMod IDs (DIA-NN) and the short or
+ * long names written by MaxQuant and Spectronaut.
+ */
+export const MODIFICATIONS = [
+  { name: 'Oxidation', mass: 15.9949, residues: 'MWH', unimod: 35, aliases: ['ox'] },
+  { name: 'Carbamidomethyl', mass: 57.0215, residues: 'C', unimod: 4, aliases: ['cam'] },
+  { name: 'Phospho', mass: 79.9663, residues: 'STYH', unimod: 21, aliases: ['ph', 'phosphorylation'] },
+  { name: 'Acetyl', mass: 42.0106, residues: 'KST', nTerm: true, unimod: 1, aliases: ['ac', 'acetylation'] },
+  { name: 'Deamidation', mass: 0.984, residues: 'NQ', unimod: 7, aliases: ['de', 'deamidated'] },
+  { name: 'Methyl', mass: 14.0157, residues: 'KRDE', unimod: 34, aliases: ['me'] },
+  { name: 'Dimethyl', mass: 28.0313, residues: 'KR', unimod: 36, aliases: [] },
+  { name: 'Trimethyl', mass: 42.047, residues: 'K', unimod: 37, aliases: [] },
+  { name: 'GlyGly', mass: 114.0429, residues: 'K', unimod: 121, aliases: ['gl', 'gg'] },
+  { name: 'Gln->pyro-Glu', mass: -17.0265, residues: 'Q', nTerm: true, unimod: 28, aliases: [] },
+  { name: 'Glu->pyro-Glu', mass: -18.0106, residues: 'E', nTerm: true, unimod: 27, aliases: [] },
+];
+
+// Largest difference, in Da, between a reported mass delta and a known modification
+const MASS_TOLERANCE = 0.02;
+// Modifications treated as fixed (always present) when judging a peptide's variable modifications
+const FIXED_MODIFICATIONS = ['Carbamidomethyl'];
+
+const flankPattern = /^([A-Z-])\.(.+)\.([A-Z-])$/;
+const massPattern = /^[+-]?\d+(\.\d+)?$/;
+const unimodPattern = /^unimod:(\d+)$/i;
+
+/**
+ * Resolves the text of a modification tag ("+15.99", "UniMod:35", "Oxidation (M)", "ox").
+ * @param {string} tag The text between the brackets.
+ * @param {string} residue The modified residue, or 'N-term'.
+ * @returns {{name: string|null, massDelta: number|null}} The modification name and mass.
+ */
+const resolveModification = (tag, residue) => {
+  const text = tag.trim();
+  const fitsResidue = (mod) => (residue === 'N-term' ? mod.nTerm : mod.residues.includes(residue));
+  if (massPattern.test(text)) {
+    const massDelta = parseFloat(text);
+    const candidates = MODIFICATIONS.filter(mod => Math.abs(mod.mass - massDelta) <= MASS_TOLERANCE);
+    const match = candidates.find(fitsResidue) || candidates[0];
+    return { name: match ? match.name : null, massDelta };
+  }
+  const unimodMatch = text.match(unimodPattern);
+  if (unimodMatch) {
+    const match = MODIFICATIONS.find(mod => mod.unimod === parseInt(unimodMatch[1], 10));
+    return { name: match ? match.name : text, massDelta: match ? match.mass : null };
+  }
+  const bareName = text.replace(/\s*\(.*\)$/, '').toLowerCase();
+  const match = MODIFICATIONS.find(mod => mod.name.toLowerCase() === bareName || mod.aliases.includes(bareName));
+  return { name: match ? match.name : text.replace(/\s*\(.*\)$/, ''), massDelta: match ? match.mass : null };
+};
+
+/**
+ * Parses a peptide string such as "K.M(+15.99)PEPTIDEC(+57.02)K.R" (Peaks),
+ * "_(ac)M(ox)PEPTIDE_" (MaxQuant), "M(UniMod:35)PEPTIDE" (DIA-NN) or
+ * "_M[Oxidation (M)]PEPTIDE_" (Spectronaut) into its flanks, bare sequence and modifications.
+ * @param {string} raw The peptide as written in the export.
+ * @returns {ParsedPeptide} The parsed peptide.
+ */
+export const parsePeptide = (raw) => {
+  let body = raw.trim().replace(/^_+|_+$/g, '');
+  let flankBefore = '';
+  let flankAfter = '';
+  const flankMatch = body.match(flankPattern);
+  if (flankMatch) {
+    [, flankBefore, body, flankAfter] = flankMatch;
+  }
+
+  let sequence = '';
+  const modifications = [];
+  let i = 0;
+  while (i < body.length) {
+    const char = body[i];
+    if (char === '(' || char === '[') {
+      const close = char === '(' ? ')' : ']';
+      // Tags may nest one level deep, e.g. "[Oxidation (M)]"
+      let depth = 0;
+      let end = i;
+      for (; end < body.length; end++) {
+        if (body[end] === char) depth += 1;
+        if (body[end] === close) depth -= 1;
+        if (depth === 0) break;
+      }
+      const residue = sequence.length ? sequence[sequence.length - 1] : 'N-term';
+      modifications.push({ position: sequence.length, residue, ...resolveModification(body.substring(i + 1, end), residue) });
+      i = end + 1;
+    } else {
+      if (/[A-Za-z]/.test(char)) sequence += char.toUpperCase();
+      i += 1;
+    }
+  }
+
+  const tagsByPosition = new Map();
+  modifications.forEach(mod => {
+    const tag = mod.name || (mod.massDelta !== null ? `${mod.massDelta > 0 ? '+' : ''}${mod.massDelta}` : '?');
+    tagsByPosition.set(mod.position, [...(tagsByPosition.get(mod.position) || []), tag]);
+  });
+  let modifiedSequence = (tagsByPosition.get(0) || []).map(tag => `(${tag})`).join('');
+  sequence.split('').forEach((residue, index) => {
+    modifiedSequence += residue + (tagsByPosition.get(index + 1) || []).map(tag => `(${tag})`).join('');
+  });
+
+  return { raw, flankBefore, flankAfter, sequence, modifications, modifiedSequence };
+};
+
+/**
+ * Reduces a reported peptide to its bare residues ("K.M(+15.99)PEPTIDE.R" -> "MPEPTIDE").
+ * @param {string} peptide The peptide as written in the search engine export.
+ * @returns {string} The upper case amino acid sequence.
+ */
+export const getBareSequence = (peptide) => parsePeptide(peptide).sequence;
+
+/**
+ * Describes a modification for display ("Oxidation (M1)", "+12.30 (K7)").
+ * @param {Modification} modification The modification.
+ * @returns {string} The description.
+ */
+export const formatModification = ({ name, massDelta, residue, position }) => {
+  const label = name || (massDelta !== null ? `${massDelta > 0 ? '+' : ''}${massDelta.toFixed(2)}` : 'Unknown');
+  return `${label} (${residue === 'N-term' ? 'N-term' : `${residue}${position}`})`;
+};
+
+/**
+ * Whether a peptide form carries variable modifications and all of them are oxidations.
+ * @param {ParsedPeptide} parsed The parsed peptide.
+ * @returns {boolean} True for oxidation-only forms.
+ */
+const isOxidationOnly = (parsed) => {
+  const variable = parsed.modifications.filter(mod => !FIXED_MODIFICATIONS.includes(mod.name));
+  return variable.length > 0 && variable.every(mod => mod.name === 'Oxidation');
+};
+
+/**
+ * Whether an observation passes the confidence thresholds. A value the export does not report
+ * never excludes the observation.
+ * @param {PeptideObservation} observation The peptide observation.
+ * @param {PeptideFilterOptions} options The thresholds.
+ * @returns {boolean} True if the observation is kept.
+ */
+const passesThresholds = (observation, { minScore, minSpectra, maxAbsPpm, allowedCharges }) => {
+  if (minScore !== undefined && observation.score !== undefined && observation.score < minScore) return false;
+  if (minSpectra !== undefined && observation.spectra !== undefined && observation.spectra < minSpectra) return false;
+  if (maxAbsPpm !== undefined && observation.ppm !== undefined && Math.abs(observation.ppm) > maxAbsPpm) return false;
+  if (allowedCharges && allowedCharges.length > 0 && observation.charges && !observation.charges.some(charge => allowedCharges.includes(charge))) return false;
+  return true;
+};
+
+/**
+ * @typedef {object} PeptideClassification
+ * @property {string[]} unique Peptides that map only to this protein.
+ * @property {string[]} shared Peptides that also map to other proteins.
+ * @property {string[]} razor Shared peptides assigned to this protein.
+ */
+
+/**
+ * Classifies the peptides of one sample per protein, by bare sequence. A peptide is unique when
+ * it maps to a single accession in the sample and the search engine (if it reports a flag)
+ * agrees. Otherwise it is shared, and it is the razor peptide of the software's razor protein
+ * when given, or else of the mapped protein with the most peptides.
+ * @param {{sequence: string, observation: PeptideObservation}[]} observations The sample's kept observations.
+ * @returns {Map<string, PeptideClassification>} Accession to its classified peptides.
+ */
+const classifyPeptides = (observations) => {
+  const accessionsBySequence = new Map();
+  const uniqueFlagBySequence = new Map();
+  const razorBySequence = new Map();
+  observations.forEach(({ sequence, observation: { accessions, unique, razor } }) => {
+    if (!accessionsBySequence.has(sequence)) {
+      accessionsBySequence.set(sequence, new Set());
+    }
+    accessions.forEach(accession => accessionsBySequence.get(sequence).add(accession));
+    // One row saying "not unique" is enough to treat the peptide as shared
+    if (unique !== undefined) {
+      uniqueFlagBySequence.set(sequence, uniqueFlagBySequence.get(sequence) !== false && unique);
+    }
+    if (razor) {
+      razorBySequence.set(sequence, razor);
+    }
+  });
+
+  const peptideCounts = new Map();
+  accessionsBySequence.forEach(accessions => accessions.forEach(accession => {
+    peptideCounts.set(accession, (peptideCounts.get(accession) || 0) + 1);
+  }));
+
+  const byAccession = new Map();
+  const entryFor = (accession) => {
+    if (!byAccession.has(accession)) {
+      byAccession.set(accession, { unique: [], shared: [], razor: [] });
+    }
+    return byAccession.get(accession);
+  };
+
+  accessionsBySequence.forEach((accessions, sequence) => {
+    const members = Array.from(accessions);
+    if (members.length === 1 && uniqueFlagBySequence.get(sequence) !== false) {
+      entryFor(members[0]).unique.push(sequence);
+      return;
+    }
+    const reportedRazor = razorBySequence.get(sequence);
+    const razor = accessions.has(reportedRazor)
+      ? reportedRazor
+      : members.reduce((best, accession) => (peptideCounts.get(accession) > peptideCounts.get(best) ? accession : best));
+    members.forEach(accession => {
+      const entry = entryFor(accession);
+      entry.shared.push(sequence);
+      if (accession === razor) entry.razor.push(sequence);
+    });
+  });
+  return byAccession;
+};
+
+/**
+ * Rolls the peptide observations of every sample up to its protein records: observations below
+ * the confidence thresholds are dropped, and the rest are parsed, de-duplicated by bare sequence
+ * and classified as unique, shared or razor.
+ * @param {object[]} proteins Protein records as parsed from the sample files.
+ * @param {Object.<string, PeptideObservation[]>} peptidesBySample Peptide observations per sample name.
+ * @param {PeptideFilterOptions} options Peptide filters.
+ * @returns {object[]} New records with `uniquePeptides`, `sharedPeptides`, `razorPeptides`, their
+ * counts, `peptideForms` (bare sequence to its observed forms) and `hasPhosphoEvidence`.
+ */
+export const rollUpPeptides = (proteins, peptidesBySample, options) => {
+  const parsedCache = new Map();
+  const parse = (raw) => {
+    if (!parsedCache.has(raw)) parsedCache.set(raw, parsePeptide(raw));
+    return parsedCache.get(raw);
+  };
+
+  const bySample = new Map();
+  Object.entries(peptidesBySample).forEach(([sampleName, observations]) => {
+    const kept = [];
+    const formsBySequence = new Map();
+    observations.forEach(observation => {
+      if (!passesThresholds(observation, options)) return;
+      const parsed = parse(observation.peptide);
+      if (!parsed.sequence || (options.excludeOxidationOnly && isOxidationOnly(parsed))) return;
+      kept.push({ sequence: parsed.sequence, observation });
+      if (!formsBySequence.has(parsed.sequence)) formsBySequence.set(parsed.sequence, new Map());
+      formsBySequence.get(parsed.sequence).set(parsed.modifiedSequence, parsed);
+    });
+    bySample.set(sampleName, { classification: classifyPeptides(kept), formsBySequence });
+  });
+
+  return proteins.map(protein => {
+    const sample = bySample.get(protein.sampleName);
+    const { unique = [], shared = [], razor = [] } = (sample && sample.classification.get(protein.accession)) || {};
+    const peptideForms = {};
+    [...unique, ...shared].forEach(sequence => {
+      peptideForms[sequence] = Array.from(sample.formsBySequence.get(sequence).values());
+    });
+    return {
+      ...protein,
+      uniquePeptidesCount: unique.length,
+      uniquePeptides: unique,
+      sharedPeptidesCount: shared.length,
+      sharedPeptides: shared,
+      razorPeptidesCount: razor.length,
+      razorPeptides: razor,
+      peptideForms,
+      hasPhosphoEvidence: Object.values(peptideForms).some(forms => forms.some(form => form.modifications.some(mod => mod.name === 'Phospho'))),
+    };
+  });
+};
@@ -0,0 +1,216 @@
+import { createZip, readZip } from './zip';
+
+const PROJECT_FORMAT = 'pathogenic-variants-project';
+const PROJECT_VERSION = 1;
+const PROJECT_ENTRY_NAME = 'project.json';
+
+const DATABASE_NAME = 'pathogenic-variants-analysis';
+const DATABASE_VERSION = 1;
+// Full projects and their summaries are kept apart so listing projects does not load every record
+const PROJECT_STORE = 'projects';
+const SUMMARY_STORE = 'projectSummaries';
+
+/**
+ * @typedef {object} SampleDefinition
+ * @property {number} id Input ID.
+ * @property {string} name Sample name.
+ * @property {string} sourceSoftware A key of SOURCE_SOFTWARE.
+ * @property {string} condition Condition label, or ''.
+ * @property {string} bioReplicate Biological replicate number, or ''.
+ * @property {string} techReplicate Technical replicate number, or ''.
+ * @property {string} batch Batch label, or ''.
+ * @property {Object.<string, string>} fileNames Names of the files the sample was parsed from, per file type.
+ * @property {Object.<string, {headers: string[], mapping: Object.<string, string>, template: string|null}>} [columnMappings]
+ * Columns assigned in the column mapping step, per file type, with the header they were made for.
+ */
+
+/**
+ * @typedef {object} Project
+ * @property {string} name Project name, unique within the browser.
+ * @property {string} savedAt ISO timestamp of the last save.
+ * @property {SampleDefinition[]} samples The sample definitions.
+ * @property {string} manualFastaIdsText The manually entered IDs, as typed.
+ * @property {Set<string>|null} fastaIds The combined FASTA and manual ID set.
+ * @property {Map<string, import('./fasta').FastaEntry>|null} fastaEntries The parsed FASTA database.
+ * @property {Object.<string, import('./references').ReferenceVariant[]>|null} referenceIndex The reference annotations.
+ * @property {object[]} processedData The parsed protein records.
+ * @property {Object.<string, import('./peptides').PeptideObservation[]>} peptidesBySample The parsed peptide observations.
+ * @property {object} settings Filter and view settings, keyed by setting name.
+ * @property {import('./report').AnalyzedInputs|null} analyzedInputs The files the records were parsed from.
+ * @property {import('./parserClient').FileReport[]} [fileReports] How each file was read; missing in older projects.
+ */
+
+/**
+ * @typedef {object} ProjectSummary
+ * @property {string} name Project name.
+ * @property {string} savedAt ISO timestamp of the last save.
+ * @property {string[]} sampleNames The sample names.
+ * @property {number} proteinCount Number of parsed protein records.
+ */
+
+/**
+ * Converts a project to plain JSON-compatible data; Sets and Maps become arrays.
+ * @param {Project} project The project.
+ * @returns {object} The serializable project.
+ */
+const toStoredProject = (project) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  ...project,
+  fastaIds: project.fastaIds ? Array.from(project.fastaIds) : null,
+  fastaEntries: project.fastaEntries ? Array.from(project.fastaEntries.values()) : null,
+});
+
+/**
+ * Restores a project stored by toStoredProject.
+ * @param {object} stored The stored project.
+ * @returns {Project} The project.
+ */
+const fromStoredProject = (stored) => {
+  if (!stored || stored.format !== PROJECT_FORMAT) {
+    throw new Error('The file is not a project saved by this application.');
+  }
+  if (stored.version > PROJECT_VERSION) {
+    throw new Error(`The project was saved by a newer version of this application (format ${stored.version}).`);
+  }
+  const { format, version, ...project } = stored;
+  return {
+    ...project,
+    fastaIds: project.fastaIds ? new Set(project.fastaIds) : null,
+    fastaEntries: project.fastaEntries ? new Map(project.fastaEntries.map(entry => [entry.accession, entry])) : null,
+    referenceIndex: project.referenceIndex || null,
+    peptidesBySample: project.peptidesBySample || {},
+    settings: project.settings || {},
+    analyzedInputs: project.analyzedInputs || null,
+  };
+};
+
+/**
+ * Summarizes a project for the project list.
+ * @param {Project} project The project.
+ * @returns {ProjectSummary} The summary.
+ */
+const summarizeProject = (project) => ({
+  name: project.name,
+  savedAt: project.savedAt,
+  sampleNames: project.samples.map(sample => sample.name),
+  proteinCount: project.processedData.length,
+});
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request The request.
+ * @returns {Promise<*>} The request result.
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('This browser does not support saving projects (IndexedDB is unavailable).'));
+  }
+  const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(PROJECT_STORE, { keyPath: 'name' });
+    request.result.createObjectStore(SUMMARY_STORE, { keyPath: 'name' });
+  };
+  return requestToPromise(request);
+};
+
+/**
+ * Runs a function inside an IndexedDB transaction and waits for the transaction to complete.
+ * @param {string} mode 'readonly' or 'readwrite'.
+ * @param {function(Object.<string, IDBObjectStore>): Promise<*>|*} action Receives the object stores by name.
+ * @returns {Promise<*>} The action's result.
+ */
+const withStores = async (mode, action) => {
+  const database = await openDatabase();
+  try {
+    const transaction = database.transaction([PROJECT_STORE, SUMMARY_STORE], mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('The project database transaction was aborted.'));
+    });
+    const result = await action({ projects: transaction.objectStore(PROJECT_STORE), summaries: transaction.objectStore(SUMMARY_STORE) });
+    await completed;
+    return result;
+  } finally {
+    database.close();
+  }
+};
+
+/**
+ * Lists the projects saved in this browser.
+ * @returns {Promise<ProjectSummary[]>} The summaries, most recently saved first.
+ */
+export const listProjects = () => withStores('readonly', ({ summaries }) => requestToPromise(summaries.getAll()))
+  .then(summaries => summaries.sort((a, b) => b.savedAt.localeCompare(a.savedAt)));
+
+/**
+ * Saves a project in this browser, replacing any project with the same name.
+ * @param {Project} project The project; `savedAt` is set on save.
+ * @returns {Promise<ProjectSummary>} The saved project's summary.
+ */
+export const saveProject = (project) => {
+  const saved = { ...project, savedAt: new Date().toISOString() };
+  const summary = summarizeProject(saved);
+  return withStores('readwrite', ({ projects, summaries }) => {
+    projects.put(toStoredProject(saved));
+    summaries.put(summary);
+    return summary;
+  });
+};
+
+/**
+ * Loads a project saved in this browser.
+ * @param {string} name The project name.
+ * @returns {Promise<Project>} The project.
+ */
+export const loadProject = async (name) => {
+  const stored = await withStores('readonly', ({ projects }) => requestToPromise(projects.get(name)));
+  if (!stored) throw new Error(`Project "${name}" was not found.`);
+  return fromStoredProject(stored);
+};
+
+/**
+ * Deletes a project saved in this browser.
+ * @param {string} name The project name.
+ * @returns {Promise<void>}
+ */
+export const deleteProject = (name) => withStores('readwrite', ({ projects, summaries }) => {
+  projects.delete(name);
+  summaries.delete(name);
+});
+
+/**
+ * Builds a portable project file: a ZIP archive holding the project as JSON.
+ * @param {Project} project The project.
+ * @returns {Promise<Blob>} The project file.
+ */
+export const exportProjectFile = (project) => createZip([{ name: PROJECT_ENTRY_NAME, data: JSON.stringify(toStoredProject(project)) }]);
+
+/**
+ * Reads a project file exported by exportProjectFile, or the plain project JSON.
+ * @param {File} file The uploaded file.
+ * @returns {Promise<Project>} The project.
+ */
+export const readProjectFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  // ZIP archives start with "PK"
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    const files = await readZip(buffer);
+    if (!files.has(PROJECT_ENTRY_NAME)) throw new Error(`The archive does not contain ${PROJECT_ENTRY_NAME}.`);
+    return fromStoredProject(JSON.parse(new TextDecoder().decode(files.get(PROJECT_ENTRY_NAME))));
+  }
+  let stored;
+  try {
+    stored = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error('The file is neither a project archive nor project JSON.');
+  }
+  return fromStoredProject(stored);
+};
@@ -0,0 +1,159 @@
+import { pathogenicPattern } from './annotations';
+
+/**
+ * Ways of choosing the leading protein of a group.
+ */
+export const LEADING_PROTEIN_CRITERIA = {
+  peptides: 'Most peptides',
+  area: 'Largest area',
+};
+
+/**
+ * @typedef {object} ProteinGroup
+ * @property {string} key Unique key ("sample::group").
+ * @property {string} sampleName The sample the group belongs to.
+ * @property {string} proteinGroup The group ID reported by the search engine.
+ * @property {object} leading The leading protein record.
+ * @property {object[]} members Member records, leading protein first.
+ * @property {string} signature Sorted member accessions, used to match groups across samples.
+ * @property {string[]} commonPeptides Peptides seen for every member.
+ * @property {Object.<string, string[]>} distinguishingPeptides Per member, the peptides no other member has.
+ */
+
+const peptidesOf = (protein) => [...protein.uniquePeptides, ...protein.sharedPeptides];
+
+/**
+ * Orders group members so the leading protein comes first.
+ * @param {object} a First record.
+ * @param {object} b Second record.
+ * @param {string} leadingBy A key of LEADING_PROTEIN_CRITERIA.
+ * @returns {number} The comparison result.
+ */
+const compareLeading = (a, b, leadingBy) => {
+  const byPeptides = peptidesOf(b).length - peptidesOf(a).length;
+  const byArea = b.area - a.area;
+  const primary = leadingBy === 'area' ? byArea : byPeptides;
+  const secondary = leadingBy === 'area' ? byPeptides : byArea;
+  return primary || secondary || a.accession.localeCompare(b.accession);
+};
+
+/**
+ * Groups the records by sample and protein group ID, with each group's leading protein and the
+ * peptides that tell its members apart.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string} leadingBy A key of LEADING_PROTEIN_CRITERIA.
+ * @returns {ProteinGroup[]} The groups, ordered by sample and group ID.
+ */
+export const buildProteinGroups = (proteins, leadingBy) => {
+  const membersByKey = new Map();
+  proteins.forEach(protein => {
+    const key = `${protein.sampleName}::${protein.proteinGroup}`;
+    if (!membersByKey.has(key)) membersByKey.set(key, []);
+    membersByKey.get(key).push(protein);
+  });
+
+  const groups = [];
+  membersByKey.forEach((unsortedMembers, key) => {
+    const members = [...unsortedMembers].sort((a, b) => compareLeading(a, b, leadingBy));
+    const peptideSets = members.map(member => new Set(peptidesOf(member)));
+    const distinguishingPeptides = {};
+    members.forEach((member, index) => {
+      distinguishingPeptides[member.accession] = Array.from(peptideSets[index])
+        .filter(peptide => peptideSets.every((other, otherIndex) => otherIndex === index || !other.has(peptide)));
+    });
+    groups.push({
+      key,
+      sampleName: members[0].sampleName,
+      proteinGroup: members[0].proteinGroup,
+      leading: members[0],
+      members,
+      signature: members.map(member => member.accession).sort().join(';'),
+      commonPeptides: Array.from(peptideSets[0]).filter(peptide => peptideSets.every(other => other.has(peptide))),
+      distinguishingPeptides,
+    });
+  });
+  return groups.sort((a, b) => a.sampleName.localeCompare(b.sampleName) || a.proteinGroup.localeCompare(b.proteinGroup, undefined, { numeric: true }));
+};
+
+/**
+ * Keeps only the leading protein of each group and records the group's size on it.
+ * @param {object[]} proteins Flat protein records.
+ * @param {string} leadingBy A key of LEADING_PROTEIN_CRITERIA.
+ * @returns {object[]} One record per group, with `groupMemberAccessions` set.
+ */
+export const collapseToLeadingProteins = (proteins, leadingBy) => buildProteinGroups(proteins, leadingBy).map(group => ({
+  ...group.leading,
+  groupMemberAccessions: group.members.map(member => member.accession),
+}));
+
+/**
+ * Matches groups across samples by their member accessions. Group IDs are only meaningful within
+ * one search, so two samples share a group when the members are the same, whatever the IDs.
+ * @param {ProteinGroup[]} groups The groups of every sample.
+ * @param {string[]} sampleNames The sample names, in display order.
+ * @returns {{signature: string, members: string[], groupIdBySample: Object.<string, string>, sampleCount: number}[]}
+ * One row per distinct member set, most widely shared first.
+ */
+export const compareGroupsAcrossSamples = (groups, sampleNames) => {
+  const rows = new Map();
+  groups.forEach(group => {
+    if (!rows.has(group.signature)) {
+      rows.set(group.signature, { signature: group.signature, members: group.signature.split(';'), groupIdBySample: {}, sampleCount: 0 });
+    }
+    const row = rows.get(group.signature);
+    if (!row.groupIdBySample[group.sampleName]) row.sampleCount += 1;
+    row.groupIdBySample[group.sampleName] = group.proteinGroup;
+  });
+  return Array.from(rows.values())
+    .filter(row => sampleNames.some(sampleName => row.groupIdBySample[sampleName]))
+    .sort((a, b) => b.sampleCount - a.sampleCount || a.signature.localeCompare(b.signature));
+};
+
+/**
+ * Lists group IDs that hold different member sets in different samples.
+ * @param {ProteinGroup[]} groups The groups of every sample.
+ * @returns {{proteinGroup: string, membersBySample: Object.<string, string[]>}[]} The reused IDs.
+ */
+export const findReusedGroupIds = (groups) => {
+  const byId = new Map();
+  groups.forEach(group => {
+    if (!byId.has(group.proteinGroup)) byId.set(group.proteinGroup, []);
+    byId.get(group.proteinGroup).push(group);
+  });
+  const reused = [];
+  byId.forEach((sameId, proteinGroup) => {
+    if (new Set(sameId.map(group => group.signature)).size > 1) {
+      const membersBySample = {};
+      sameId.forEach(group => { membersBySample[group.sampleName] = group.members.map(member => member.accession); });
+      reused.push({ proteinGroup, membersBySample });
+    }
+  });
+  return reused;
+};
+
+/**
+ * Finds variant proteins that ended up in a different group than their canonical protein in the
+ * same sample, with the peptides that kept them apart.
+ * @param {object[]} proteins Flat protein records.
+ * @returns {{sampleName: string, variant: object, canonical: object, variantOnlyPeptides: string[], canonicalOnlyPeptides: string[]}[]}
+ * The split variant/canonical pairs.
+ */
+export const findSplitVariants = (proteins) => {
+  const byKey = new Map(proteins.map(protein => [`${protein.sampleName}::${protein.accession}`, protein]));
+  const splits = [];
+  proteins.forEach(variant => {
+    if (!pathogenicPattern.test(variant.accession)) return;
+    const canonical = byKey.get(`${variant.sampleName}::${variant.accession.split('-')[0]}`);
+    if (!canonical || canonical.proteinGroup === variant.proteinGroup) return;
+    const variantPeptides = new Set(peptidesOf(variant));
+    const canonicalPeptides = new Set(peptidesOf(canonical));
+    splits.push({
+      sampleName: variant.sampleName,
+      variant,
+      canonical,
+      variantOnlyPeptides: Array.from(variantPeptides).filter(peptide => !canonicalPeptides.has(peptide)),
+      canonicalOnlyPeptides: Array.from(canonicalPeptides).filter(peptide => !variantPeptides.has(peptide)),
+    });
+  });
+  return splits;
+};
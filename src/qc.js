@@ -0,0 +1,170 @@
+import { getSampleNames, buildComparisonMatrix } from './comparison';
+import { getBareSequence } from './peptides';
+import { median, quantile, pearsonCorrelation } from './statistics';
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const madScale = 1.4826;
+
+/**
+ * @typedef {object} BoxStats
+ * @property {number} count Number of values.
+ * @property {number} min Smallest value.
+ * @property {number} q1 First quartile.
+ * @property {number} median Median.
+ * @property {number} q3 Third quartile.
+ * @property {number} max Largest value.
+ * @property {number} lowerWhisker Smallest value within 1.5 IQR of the box.
+ * @property {number} upperWhisker Largest value within 1.5 IQR of the box.
+ */
+
+/**
+ * @typedef {object} SampleQc
+ * @property {string} sampleName The sample.
+ * @property {number} proteinCount Distinct accessions.
+ * @property {number} groupCount Distinct protein groups.
+ * @property {number|null} peptideCount Distinct peptide sequences, or null without a peptide file.
+ * @property {number} unitaryGroupFraction Fraction of the groups with a single member.
+ * @property {number} missingRate Fraction of the accessions found in any sample that this sample lacks.
+ * @property {number[]} log10Areas log10 of the positive protein areas.
+ * @property {BoxStats|null} areaStats Distribution of log10Areas.
+ * @property {number[]} peptidesPerProtein Peptides reported for each protein.
+ * @property {BoxStats|null} peptideStats Distribution of peptidesPerProtein.
+ * @property {number|null} medianCorrelation Median correlation with the other samples.
+ * @property {string[]} outlierReasons Why the sample was flagged, empty when it was not.
+ */
+
+/**
+ * @typedef {object} QcReport
+ * @property {SampleQc[]} samples Per-sample metrics, in sample order.
+ * @property {(number|null)[][]} correlations Pearson correlation of log2 areas between samples
+ * over the proteins both contain; null when they share fewer than three.
+ * @property {number[]} detectionCounts Number of accessions detected in exactly k samples, at index k - 1.
+ */
+
+/**
+ * Box plot statistics of a list of numbers.
+ * @param {number[]} values The values.
+ * @returns {BoxStats|null} The statistics, or null for an empty list.
+ */
+export const getBoxStats = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    q1,
+    median: quantile(sorted, 0.5),
+    q3,
+    max: sorted[sorted.length - 1],
+    lowerWhisker: sorted.find(value => value >= q1 - fence),
+    upperWhisker: [...sorted].reverse().find(value => value <= q3 + fence),
+  };
+};
+
+/**
+ * Robust z-scores: distance from the median in units of the scaled median absolute deviation.
+ * Falls back to the mean absolute deviation when more than half of the values are equal.
+ * @param {number[]} values The values.
+ * @returns {number[]} The z-scores; all zero when the values have no spread.
+ */
+export const robustZScores = (values) => {
+  const center = median(values);
+  const deviations = values.map(value => Math.abs(value - center));
+  let scale = madScale * median(deviations);
+  if (!(scale > 0)) scale = 1.2533 * (deviations.reduce((sum, d) => sum + d, 0) / deviations.length);
+  return values.map(value => (scale > 0 ? (value - center) / scale : 0));
+};
+
+/**
+ * Quality-control metrics of the parsed samples. Samples are flagged as outliers when their
+ * median log10 area, or their median correlation with the other samples, lies more than
+ * `outlierThreshold` robust z-scores from the other samples' (at least three samples needed).
+ * @param {object[]} proteins Protein records as parsed from the sample files.
+ * @param {Object.<string, import('./peptides').PeptideObservation[]>} peptidesBySample Peptide observations per sample name.
+ * @param {number} outlierThreshold Robust z-score beyond which a sample is flagged.
+ * @returns {QcReport} The metrics.
+ */
+export const computeQcReport = (proteins, peptidesBySample, outlierThreshold) => {
+  const sampleNames = getSampleNames(proteins);
+  const matrix = buildComparisonMatrix(proteins, sampleNames);
+
+  const bareSequences = new Map();
+  const toBareSequence = (peptide) => {
+    if (!bareSequences.has(peptide)) bareSequences.set(peptide, getBareSequence(peptide));
+    return bareSequences.get(peptide);
+  };
+
+  const samples = sampleNames.map(sampleName => {
+    const records = proteins.filter(protein => protein.sampleName === sampleName);
+    const groups = new Map();
+    records.forEach(protein => groups.set(protein.proteinGroup, (groups.get(protein.proteinGroup) || 0) + 1));
+    const observations = peptidesBySample[sampleName];
+    const log10Areas = matrix.map(row => row.cells[sampleName]).filter(cell => cell.present && cell.area > 0).map(cell => Math.log10(cell.area));
+    const peptidesPerProtein = records.map(protein => protein.totalPeptides);
+    return {
+      sampleName,
+      proteinCount: matrix.filter(row => row.cells[sampleName].present).length,
+      groupCount: groups.size,
+      peptideCount: observations && observations.length > 0 ? new Set(observations.map(observation => toBareSequence(observation.peptide))).size : null,
+      unitaryGroupFraction: groups.size > 0 ? Array.from(groups.values()).filter(count => count === 1).length / groups.size : 0,
+      missingRate: matrix.length > 0 ? matrix.filter(row => !row.cells[sampleName].present).length / matrix.length : 0,
+      log10Areas,
+      areaStats: getBoxStats(log10Areas),
+      peptidesPerProtein,
+      peptideStats: getBoxStats(peptidesPerProtein),
+      medianCorrelation: null,
+      outlierReasons: [],
+    };
+  });
+
+  const log2Area = (cell) => (cell.present && cell.area > 0 ? Math.log2(cell.area) : null);
+  const correlations = sampleNames.map(() => sampleNames.map(() => null));
+  sampleNames.forEach((first, i) => {
+    correlations[i][i] = 1;
+    sampleNames.slice(i + 1).forEach((second, offset) => {
+      const j = i + 1 + offset;
+      const a = [];
+      const b = [];
+      matrix.forEach(row => {
+        const x = log2Area(row.cells[first]);
+        const y = log2Area(row.cells[second]);
+        if (x === null || y === null) return;
+        a.push(x);
+        b.push(y);
+      });
+      const r = a.length >= 3 ? pearsonCorrelation(a, b) : NaN;
+      correlations[i][j] = Number.isNaN(r) ? null : r;
+      correlations[j][i] = correlations[i][j];
+    });
+  });
+  samples.forEach((sample, i) => {
+    const others = correlations[i].filter((r, j) => j !== i && r !== null);
+    sample.medianCorrelation = others.length > 0 ? median(others) : null;
+  });
+
+  if (samples.length >= 3) {
+    const withAreas = samples.filter(sample => sample.areaStats);
+    robustZScores(withAreas.map(sample => sample.areaStats.median)).forEach((z, index) => {
+      if (Math.abs(z) > outlierThreshold) {
+        withAreas[index].outlierReasons.push(`Median log10 area ${z > 0 ? 'above' : 'below'} the other samples (robust z = ${z.toFixed(1)})`);
+      }
+    });
+    const withCorrelation = samples.filter(sample => sample.medianCorrelation !== null);
+    robustZScores(withCorrelation.map(sample => sample.medianCorrelation)).forEach((z, index) => {
+      // Only low correlation is suspicious
+      if (z < -outlierThreshold) {
+        withCorrelation[index].outlierReasons.push(`Low correlation with the other samples (median r = ${withCorrelation[index].medianCorrelation.toFixed(2)}, robust z = ${z.toFixed(1)})`);
+      }
+    });
+  }
+
+  const detectionCounts = sampleNames.map(() => 0);
+  matrix.forEach(row => {
+    detectionCounts[row.detectedCount - 1] += 1;
+  });
+
+  return { samples, correlations, detectionCounts };
+};
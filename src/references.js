@@ -0,0 +1,195 @@
+import { parseProteinChange, parseVariantSite, mergeAnnotations, getDiseaseAssociation } from './annotations';
+import { getColumnIndices, assertRequiredColumns } from './parsing';
+
+/**
+ * @typedef {object} ReferenceVariant
+ * @property {string} source 'humsavar' or 'ClinVar'.
+ * @property {string} disease Disease or phenotype names, '; ' separated, or ''.
+ * @property {string} clinicalSignificance Clinical significance, or ''.
+ * @property {string} dbSNP dbSNP ID (e.g. "rs28934578"), or ''.
+ */
+
+/**
+ * @typedef {object} ReferenceFilter
+ * @property {Set<string>} accessions Canonical accessions to keep.
+ * @property {Set<string>} genes Upper case gene symbols to keep.
+ * @property {Set<string>} variantIds UniProt variant IDs (VAR_...) to keep.
+ */
+
+// humsavar.txt table rows: gene, accession, FTId, AA change, category, dbSNP, disease
+const humsavarRowPattern = /^(\S+)\s+([A-Z0-9]{6,10})\s+(VAR_\d+)\s+(p\.\S+)\s+(LP\/P|LB\/B|US|\S+)\s+(\S+)\s*(.*)$/;
+const humsavarCategories = {
+  'LP/P': 'Pathogenic or likely pathogenic',
+  'LB/B': 'Benign or likely benign',
+  US: 'Uncertain significance',
+};
+const variantIdPattern = /VAR_\d+/;
+
+const clinVarColumns = {
+  name: ['Name'],
+  gene: ['GeneSymbol'],
+  clinicalSignificance: ['ClinicalSignificance'],
+  dbSNP: ['RS# (dbSNP)'],
+  phenotypes: ['PhenotypeList'],
+};
+
+/**
+ * Key under which a variant is indexed.
+ * @param {string} identifier Canonical accession or upper case gene symbol.
+ * @param {string} label One-letter substitution (e.g. "R175H").
+ * @returns {string} The key.
+ */
+const variantKey = (identifier, label) => `${identifier}:${label}`;
+
+/**
+ * Creates an index of reference variants that can be filled line by line from UniProt
+ * humsavar.txt and ClinVar variant_summary.txt files. Only variants of the proteins in the
+ * filter are kept, so the index stays small even for a full ClinVar release.
+ * @param {ReferenceFilter} filter The proteins of interest.
+ * @returns {{readLine: function(string, string, boolean): void, finish: function(): Object.<string, ReferenceVariant[]>}}
+ * The index builder. `readLine(fileName, line, isFirstLine)` consumes one line of a reference file;
+ * `finish()` returns variant key to matching reference variants.
+ */
+export const createReferenceIndex = (filter) => {
+  const index = {};
+  const formats = {};
+  const add = (key, variant) => {
+    if (!index[key]) index[key] = [];
+    index[key].push(variant);
+  };
+
+  const readHumsavarLine = (line) => {
+    const match = line.match(humsavarRowPattern);
+    if (!match) return;
+    const [, gene, accession, variantId, change, category, dbSNP, disease] = match;
+    if (!filter.accessions.has(accession) && !filter.genes.has(gene.toUpperCase()) && !filter.variantIds.has(variantId)) return;
+    const proteinChange = parseProteinChange(change);
+    if (!proteinChange) return;
+    const variant = {
+      source: 'humsavar',
+      disease: disease.trim() === '-' ? '' : disease.trim(),
+      clinicalSignificance: humsavarCategories[category] || category,
+      dbSNP: dbSNP === '-' ? '' : dbSNP,
+    };
+    add(variantKey(accession, proteinChange.label), variant);
+    add(variantKey(gene.toUpperCase(), proteinChange.label), variant);
+    add(variantId, variant);
+  };
+
+  const readClinVarLine = (fileName, line) => {
+    // variant_summary has no quoted fields, and a plain split keeps multi-GB releases fast
+    const columns = line.split('\t');
+    const gene = (columns[formats[fileName].indices.gene] || '').toUpperCase();
+    if (!filter.genes.has(gene)) return;
+    const proteinChange = parseProteinChange(columns[formats[fileName].indices.name] || '');
+    if (!proteinChange) return;
+    const rsNumber = columns[formats[fileName].indices.dbSNP];
+    add(variantKey(gene, proteinChange.label), {
+      source: 'ClinVar',
+      disease: (columns[formats[fileName].indices.phenotypes] || '').split('|').filter(name => name && name !== 'not provided' && name !== 'not specified').join('; '),
+      clinicalSignificance: columns[formats[fileName].indices.clinicalSignificance] || '',
+      dbSNP: rsNumber && rsNumber !== '-1' ? `rs${rsNumber}` : '',
+    });
+  };
+
+  return {
+    readLine: (fileName, line, isFirstLine) => {
+      if (isFirstLine) {
+        // ClinVar summaries start with their TSV header; humsavar starts with free text
+        if (line.startsWith('#AlleleID')) {
+          const indices = getColumnIndices(line.replace(/^#/, '').split('\t'), clinVarColumns);
+          assertRequiredColumns(indices, ['name', 'gene', 'clinicalSignificance'], `ClinVar file '${fileName}'`, clinVarColumns);
+          formats[fileName] = { type: 'ClinVar', indices };
+          return;
+        }
+        formats[fileName] = { type: 'humsavar' };
+      }
+      if (formats[fileName].type === 'ClinVar') {
+        readClinVarLine(fileName, line);
+      } else {
+        readHumsavarLine(line);
+      }
+    },
+    finish: () => index,
+  };
+};
+
+/**
+ * Gene name of a protein, from its description annotations or else from the FASTA database
+ * (the entry itself, then its canonical entry).
+ * @param {object} protein Protein record.
+ * @param {Object.<string, string>} genesByAccession Gene names from the FASTA database.
+ * @returns {string} The upper case gene name, or ''.
+ */
+const getProteinGene = (protein, genesByAccession) => (
+  protein.annotations.Gene || genesByAccession[protein.accession] || genesByAccession[protein.accession.split('-')[0]] || ''
+).toUpperCase();
+
+/**
+ * Gene names of the FASTA entries that have one.
+ * @param {Map<string, import('./fasta').FastaEntry>|null} fastaEntries The parsed database.
+ * @returns {Object.<string, string>} Accession to gene name.
+ */
+export const getGenesByAccession = (fastaEntries) => {
+  const genes = {};
+  if (fastaEntries) {
+    fastaEntries.forEach(entry => {
+      if (entry.gene) genes[entry.accession] = entry.gene;
+    });
+  }
+  return genes;
+};
+
+/**
+ * Selects the proteins whose variants should be looked up in the reference files.
+ * @param {object[]} proteins Protein records as parsed from the sample files.
+ * @param {Object.<string, string>} genesByAccession Gene names from the FASTA database.
+ * @returns {ReferenceFilter} The filter.
+ */
+export const getReferenceFilter = (proteins, genesByAccession) => {
+  const filter = { accessions: new Set(), genes: new Set(), variantIds: new Set() };
+  proteins.forEach(protein => {
+    const variantId = protein.accession.match(variantIdPattern);
+    if (!variantId && !parseVariantSite(protein.accession, protein.description)) return;
+    filter.accessions.add(protein.accession.split('-')[0]);
+    const gene = getProteinGene(protein, genesByAccession);
+    if (gene) filter.genes.add(gene);
+    if (variantId) filter.variantIds.add(variantId[0]);
+  });
+  return filter;
+};
+
+/**
+ * Adds disease names (Association), clinical significance and dbSNP IDs from the reference
+ * index to each variant protein, recording the reference as the source of each value. The
+ * association label is rebuilt from the merged annotations.
+ * @param {object[]} proteins Flat protein records with `variant` and `annotations`.
+ * @param {Object.<string, ReferenceVariant[]>|null} referenceIndex The reference variants.
+ * @param {Object.<string, string>} genesByAccession Gene names from the FASTA database.
+ * @returns {object[]} New records with the reference annotations merged in.
+ */
+export const addReferenceAnnotations = (proteins, referenceIndex, genesByAccession) => {
+  if (!referenceIndex) return proteins;
+  return proteins.map(protein => {
+    const keys = [];
+    const variantId = protein.accession.match(variantIdPattern);
+    if (variantId) keys.push(variantId[0]);
+    if (protein.variant) {
+      const gene = getProteinGene(protein, genesByAccession);
+      keys.push(variantKey(protein.accession.split('-')[0], protein.variant.label));
+      if (gene) keys.push(variantKey(gene, protein.variant.label));
+    }
+    const matches = new Set(keys.flatMap(key => referenceIndex[key] || []));
+    if (matches.size === 0) return protein;
+
+    let annotated = protein;
+    matches.forEach(variant => {
+      annotated = mergeAnnotations(annotated, {
+        Association: variant.disease,
+        ClinicalSignificance: variant.clinicalSignificance,
+        dbSNP: variant.dbSNP,
+      }, variant.source);
+    });
+    return { ...annotated, diseaseAssociation: getDiseaseAssociation(annotated.description, annotated.annotations) };
+  });
+};
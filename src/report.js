@@ -0,0 +1,215 @@
+import { getTicks } from './chartUtils';
+import { getSampleNames } from './comparison';
+import { RESULT_COLUMNS } from './resultsTable';
+
+/**
+ * @typedef {object} AnalyzedInputs
+ * @property {{sampleName: string, sourceSoftware: string, files: {label: string, name: string, size: number|null}[]}[]} samples
+ * The sample files that were parsed.
+ * @property {{name: string, size: number|null}|null} fastaFile The FASTA database, if any.
+ * @property {number} manualIdCount Number of manually entered IDs.
+ * @property {{name: string, size: number|null}[]} referenceFiles The reference annotation files.
+ */
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Formats a file size for display.
+ * @param {number|null} size Size in bytes.
+ * @returns {string} The size, e.g. "12.4 MB", or 'unknown'.
+ */
+const formatFileSize = (size) => {
+  if (size === null || size === undefined) return 'unknown';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = size;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+};
+
+/**
+ * Counts the records of one sample before and after filtering.
+ * @param {string} sampleName The sample.
+ * @param {object[]} allProteins Every record.
+ * @param {object[]} filteredProteins The records that pass the filters.
+ * @returns {object} The sample summary.
+ */
+const summarizeSample = (sampleName, allProteins, filteredProteins) => {
+  const all = allProteins.filter(protein => protein.sampleName === sampleName);
+  const filtered = filteredProteins.filter(protein => protein.sampleName === sampleName);
+  return {
+    sampleName,
+    parsed: all.length,
+    filtered: filtered.length,
+    unitary: filtered.filter(protein => protein.isUnitaryGroup).length,
+    withAssociation: filtered.filter(protein => protein.diseaseAssociation && protein.diseaseAssociation !== 'N/A').length,
+    variants: filtered.filter(protein => protein.variant).length,
+    confirmedVariants: filtered.filter(protein => protein.variantEvidence && protein.variantEvidence.status === 'confirmed').length,
+  };
+};
+
+const chartFont = 'font-family="Helvetica, Arial, sans-serif" font-size="11" fill="#374151"';
+
+/**
+ * Grouped horizontal bars of parsed and filtered records per sample, as SVG.
+ * @param {object[]} summaries Sample summaries.
+ * @returns {string} The SVG markup.
+ */
+const renderSampleCountChart = (summaries) => {
+  const labelWidth = 140;
+  const plotWidth = 460;
+  const groupHeight = 36;
+  const height = summaries.length * groupHeight + 50;
+  const max = Math.max(1, ...summaries.map(summary => summary.parsed));
+  const ticks = getTicks(0, max, 5);
+  const scaleMax = Math.max(max, ticks[ticks.length - 1]);
+  const x = (value) => labelWidth + (value / scaleMax) * plotWidth;
+  const bars = summaries.map((summary, index) => {
+    const top = 10 + index * groupHeight;
+    return `<text x="${labelWidth - 8}" y="${top + 17}" text-anchor="end" ${chartFont}>${escapeHtml(summary.sampleName)}</text>`
+      + `<rect x="${labelWidth}" y="${top + 2}" width="${x(summary.parsed) - labelWidth}" height="13" fill="#cbd5e1"/>`
+      + `<rect x="${labelWidth}" y="${top + 17}" width="${x(summary.filtered) - labelWidth}" height="13" fill="#2563eb"/>`
+      + `<text x="${x(summary.parsed) + 4}" y="${top + 13}" ${chartFont}>${summary.parsed}</text>`
+      + `<text x="${x(summary.filtered) + 4}" y="${top + 28}" ${chartFont}>${summary.filtered}</text>`;
+  }).join('');
+  const axisY = 10 + summaries.length * groupHeight;
+  const axis = ticks.map(tick => `<line x1="${x(tick)}" x2="${x(tick)}" y1="${axisY}" y2="${axisY + 4}" stroke="#6b7280"/><text x="${x(tick)}" y="${axisY + 16}" text-anchor="middle" ${chartFont}>${tick}</text>`).join('');
+  const legend = `<rect x="${labelWidth}" y="${axisY + 26}" width="10" height="10" fill="#cbd5e1"/><text x="${labelWidth + 14}" y="${axisY + 35}" ${chartFont}>Parsed</text>`
+    + `<rect x="${labelWidth + 80}" y="${axisY + 26}" width="10" height="10" fill="#2563eb"/><text x="${labelWidth + 94}" y="${axisY + 35}" ${chartFont}>Passing filters</text>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${labelWidth + plotWidth + 60}" height="${height}" role="img" aria-label="Proteins per sample">`
+    + `<line x1="${labelWidth}" x2="${labelWidth + plotWidth}" y1="${axisY}" y2="${axisY}" stroke="#6b7280"/>${bars}${axis}${legend}</svg>`;
+};
+
+/**
+ * Histogram of log10 raw areas, as SVG.
+ * @param {object[]} proteins The records.
+ * @returns {string} The SVG markup, or a note when no record has a positive area.
+ */
+const renderAreaHistogram = (proteins) => {
+  const values = proteins.map(protein => protein.area).filter(area => area > 0).map(area => Math.log10(area));
+  if (values.length === 0) return '<p class="note">No positive areas to plot.</p>';
+  const binCount = 24;
+  const width = 600;
+  const height = 260;
+  const margin = { top: 10, right: 10, bottom: 40, left: 50 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  // reduce rather than spreading, which overflows the call stack for large result sets
+  let min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+  let max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+  if (min === max) {
+    min -= 0.5;
+    max += 0.5;
+  }
+  const binWidth = (max - min) / binCount;
+  const counts = new Array(binCount).fill(0);
+  values.forEach(value => { counts[Math.min(binCount - 1, Math.floor((value - min) / binWidth))] += 1; });
+  const maxCount = Math.max(...counts);
+  const x = (value) => margin.left + ((value - min) / (max - min)) * plotWidth;
+  const y = (count) => margin.top + plotHeight - (count / maxCount) * plotHeight;
+  const bars = counts.map((count, index) => `<rect x="${x(min + index * binWidth) + 0.5}" y="${y(count)}" width="${Math.max(0, plotWidth / binCount - 1)}" height="${margin.top + plotHeight - y(count)}" fill="#2563eb"/>`).join('');
+  const xTicks = getTicks(min, max, 6).map(tick => `<text x="${x(tick)}" y="${margin.top + plotHeight + 16}" text-anchor="middle" ${chartFont}>${tick}</text>`).join('');
+  const yTicks = getTicks(0, maxCount, 4).filter(tick => tick <= maxCount).map(tick => `<text x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end" ${chartFont}>${tick}</text>`).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="Area distribution">`
+    + `${bars}<line x1="${margin.left}" x2="${margin.left + plotWidth}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}" stroke="#6b7280"/>`
+    + `<line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#6b7280"/>${xTicks}${yTicks}`
+    + `<text x="${margin.left + plotWidth / 2}" y="${height - 6}" text-anchor="middle" ${chartFont}>log10 raw area</text></svg>`;
+};
+
+const renderTable = (headers, rows) => `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`
+  + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+const reportStyles = `
+body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; }
+h1 { font-size: 1.8rem; margin-bottom: 0.2rem; }
+h2 { font-size: 1.25rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.2rem; margin-top: 2rem; }
+.meta, .note { color: #6b7280; font-size: 0.9rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.8rem; margin-top: 0.5rem; }
+th, td { border: 1px solid #e5e7eb; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+tbody tr:nth-child(even) { background: #f9fafb; }
+ul { margin: 0.3rem 0; }
+.charts { display: flex; flex-wrap: wrap; gap: 2rem; }
+@media print {
+  body { margin: 0; max-width: none; }
+  h2 { break-after: avoid; }
+  tr, svg { break-inside: avoid; }
+  thead { display: table-header-group; }
+}`;
+
+/**
+ * Builds a self-contained HTML report of an analysis: inputs, filters, per-sample counts,
+ * charts and the filtered protein table. Charts are inline SVG, so the file works offline and
+ * prints to PDF from the browser.
+ * @param {object} options
+ * @param {string} options.title Report title, usually the project name.
+ * @param {AnalyzedInputs|null} options.inputs The files the results were parsed from.
+ * @param {string[]} options.filterDescriptions The active filters and thresholds.
+ * @param {object[]} options.allProteins Every parsed record, before filtering.
+ * @param {object[]} options.filteredProteins The records shown in the results table.
+ * @param {import('./resultsTable').ResultColumn[]} options.columns The table columns, as shown on
+ * screen; the association column is added when it is hidden.
+ * @returns {string} The HTML document.
+ */
+export const buildHtmlReport = ({ title, inputs, filterDescriptions, allProteins, filteredProteins, columns }) => {
+  const tableColumns = columns.some(column => column.id === 'diseaseAssociation')
+    ? columns
+    : [...columns, RESULT_COLUMNS.find(column => column.id === 'diseaseAssociation')];
+  const sampleNames = getSampleNames(allProteins);
+  const summaries = sampleNames.map(sampleName => summarizeSample(sampleName, allProteins, filteredProteins));
+
+  const inputRows = [];
+  if (inputs) {
+    inputs.samples.forEach(sample => sample.files.forEach(file => {
+      inputRows.push([sample.sampleName, sample.sourceSoftware, file.label, file.name, formatFileSize(file.size)]);
+    }));
+    if (inputs.fastaFile) inputRows.push(['', 'FASTA database', '', inputs.fastaFile.name, formatFileSize(inputs.fastaFile.size)]);
+    inputs.referenceFiles.forEach(file => inputRows.push(['', 'Reference annotations', '', file.name, formatFileSize(file.size)]));
+  }
+  const idFilter = !inputs ? 'Unknown'
+    : [inputs.fastaFile ? `FASTA database ${inputs.fastaFile.name}` : null, inputs.manualIdCount > 0 ? `${inputs.manualIdCount} manually entered IDs` : null].filter(Boolean).join(' and ') || 'None (all accessions kept)';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${reportStyles}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Generated ${escapeHtml(new Date().toLocaleString())} - ${filteredProteins.length} of ${allProteins.length} protein records pass the filters.</p>
+
+<h2>Input Files</h2>
+${inputRows.length > 0 ? renderTable(['Sample', 'Source', 'File Type', 'File Name', 'Size'], inputRows) : '<p class="note">The input files were not recorded for this analysis.</p>'}
+
+<h2>Filters and Thresholds</h2>
+<p><strong>Accession filter:</strong> ${escapeHtml(idFilter)}</p>
+<ul>${filterDescriptions.map(description => `<li>${escapeHtml(description)}</li>`).join('')}</ul>
+
+<h2>Per-Sample Summary</h2>
+${renderTable(
+    ['Sample', 'Parsed', 'Passing Filters', 'Unitary Groups', 'With Association', 'Variants', 'Peptide-Confirmed Variants'],
+    summaries.map(summary => [summary.sampleName, summary.parsed, summary.filtered, summary.unitary, summary.withAssociation, summary.variants, summary.confirmedVariants]),
+  )}
+
+<h2>Charts</h2>
+<div class="charts">
+<figure>${renderSampleCountChart(summaries)}<figcaption class="note">Protein records per sample, parsed and passing filters.</figcaption></figure>
+<figure>${renderAreaHistogram(filteredProteins)}<figcaption class="note">Distribution of raw areas of the records passing filters.</figcaption></figure>
+</div>
+
+<h2>Filtered Proteins (${filteredProteins.length})</h2>
+${renderTable(tableColumns.map(column => column.label), filteredProteins.map(protein => tableColumns.map(column => column.format(protein))))}
+</body>
+</html>
+`;
+};
@@ -0,0 +1,117 @@
+import { formatArea } from './normalization';
+
+/**
+ * @typedef {object} ResultColumn
+ * @property {string} id Column ID, used in saved layouts and sort keys.
+ * @property {string} label Header text.
+ * @property {function(object): (number|string|null)} getValue Value used for sorting; null sorts last.
+ * @property {function(object): string} format Cell text.
+ */
+
+/**
+ * Columns of the results table, in their default order. The accession column is pinned and
+ * always shown.
+ * @type {ResultColumn[]}
+ */
+export const RESULT_COLUMNS = [
+  { id: 'accession', label: 'Accession ID', getValue: protein => protein.accession, format: protein => protein.accession },
+  { id: 'description', label: 'Description', getValue: protein => protein.description, format: protein => protein.description },
+  { id: 'sampleName', label: 'Sample', getValue: protein => protein.sampleName, format: protein => protein.sampleName },
+  { id: 'diseaseAssociation', label: 'Association', getValue: protein => protein.diseaseAssociation, format: protein => protein.diseaseAssociation },
+  { id: 'proteinGroup', label: 'Protein Group', getValue: protein => protein.proteinGroup, format: protein => protein.proteinGroup },
+  { id: 'isUnitaryGroup', label: 'Unitary Group', getValue: protein => (protein.isUnitaryGroup ? 1 : 0), format: protein => (protein.isUnitaryGroup ? 'Yes' : 'No') },
+  { id: 'area', label: 'Raw Area', getValue: protein => protein.area, format: protein => protein.area.toFixed(2) },
+  { id: 'normalizedArea', label: 'Normalized Area', getValue: protein => protein.normalizedArea, format: protein => formatArea(protein.normalizedArea) },
+  { id: 'totalPeptides', label: 'Total Peptides', getValue: protein => protein.totalPeptides, format: protein => String(protein.totalPeptides) },
+  { id: 'uniquePeptidesCount', label: 'Unique Peptides', getValue: protein => protein.uniquePeptidesCount, format: protein => String(protein.uniquePeptidesCount) },
+  { id: 'razorPeptidesCount', label: 'Razor Peptides', getValue: protein => protein.razorPeptidesCount, format: protein => String(protein.razorPeptidesCount) },
+  { id: 'sharedPeptidesCount', label: 'Shared Peptides', getValue: protein => protein.sharedPeptidesCount, format: protein => String(protein.sharedPeptidesCount) },
+  { id: 'coverage', label: 'Coverage', getValue: protein => (protein.coverage ? protein.coverage.percent : null), format: protein => (protein.coverage ? `${protein.coverage.percent.toFixed(1)}%` : 'N/A') },
+  { id: 'variantPeptides', label: 'Variant Peptides', getValue: protein => (protein.variant ? protein.variantConfirmingPeptidesCount : null), format: protein => (protein.variant ? `${protein.variant.label}: ${protein.variantConfirmingPeptidesCount}` : 'N/A') },
+];
+
+const columnsById = new Map(RESULT_COLUMNS.map(column => [column.id, column]));
+
+// Columns hidden until chosen, to keep the default table as wide as before
+const hiddenByDefault = new Set(['proteinGroup']);
+
+/**
+ * The default column layout: every column in its default order.
+ * @returns {{id: string, visible: boolean}[]} The layout.
+ */
+export const getDefaultColumnLayout = () => RESULT_COLUMNS.map(column => ({ id: column.id, visible: !hiddenByDefault.has(column.id) }));
+
+/**
+ * Reconciles a saved layout with the current columns: unknown IDs are dropped, new columns are
+ * appended, and the accession column is kept first and visible.
+ * @param {{id: string, visible: boolean}[]} layout The saved layout.
+ * @returns {{id: string, visible: boolean}[]} The usable layout.
+ */
+export const normalizeColumnLayout = (layout) => {
+  const known = (layout || []).filter(entry => columnsById.has(entry.id) && entry.id !== 'accession');
+  const missing = getDefaultColumnLayout().filter(entry => entry.id !== 'accession' && !known.some(knownEntry => knownEntry.id === entry.id));
+  return [{ id: 'accession', visible: true }, ...known, ...missing];
+};
+
+/**
+ * Lists the visible columns of a layout, in order.
+ * @param {{id: string, visible: boolean}[]} layout The layout.
+ * @returns {ResultColumn[]} The columns.
+ */
+export const getVisibleColumns = (layout) => normalizeColumnLayout(layout).filter(entry => entry.visible).map(entry => columnsById.get(entry.id));
+
+/**
+ * Stable identity of a result row, so row state survives sorting and filtering.
+ * @param {object} protein A protein record.
+ * @returns {string} The row ID.
+ */
+export const getProteinRowId = (protein) => `${protein.sampleName}::${protein.proteinGroup}::${protein.accession}`;
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Sorts records on several columns. Missing values sort last whatever the direction.
+ * @param {object[]} proteins The records.
+ * @param {{columnId: string, direction: ('asc'|'desc')}[]} sortKeys Sort keys, most significant first.
+ * @returns {object[]} A sorted copy, or the input when there are no sort keys.
+ */
+export const sortProteins = (proteins, sortKeys) => {
+  const keys = sortKeys.filter(key => columnsById.has(key.columnId)).map(key => ({ getValue: columnsById.get(key.columnId).getValue, sign: key.direction === 'desc' ? -1 : 1 }));
+  if (keys.length === 0) return proteins;
+  // Values are read once per row rather than once per comparison
+  const decorated = proteins.map((protein, index) => ({ protein, index, values: keys.map(key => key.getValue(protein)) }));
+  decorated.sort((a, b) => {
+    for (let i = 0; i < keys.length; i++) {
+      const aMissing = a.values[i] === null || a.values[i] === undefined || Number.isNaN(a.values[i]);
+      const bMissing = b.values[i] === null || b.values[i] === undefined || Number.isNaN(b.values[i]);
+      if (aMissing !== bMissing) return aMissing ? 1 : -1;
+      if (!aMissing) {
+        const result = compareValues(a.values[i], b.values[i]);
+        if (result !== 0) return result * keys[i].sign;
+      }
+    }
+    return a.index - b.index;
+  });
+  return decorated.map(entry => entry.protein);
+};
+
+/**
+ * Updates the sort keys after a header click: a plain click sorts on that column alone, a
+ * shift-click adds it as the next key. Repeated clicks cycle ascending, descending, unsorted.
+ * @param {{columnId: string, direction: string}[]} sortKeys The current sort keys.
+ * @param {string} columnId The clicked column.
+ * @param {boolean} additive Whether the click adds to the existing keys.
+ * @returns {{columnId: string, direction: string}[]} The new sort keys.
+ */
+export const toggleSortKey = (sortKeys, columnId, additive) => {
+  const current = sortKeys.find(key => key.columnId === columnId);
+  const nextDirection = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+  if (!additive) return nextDirection ? [{ columnId, direction: nextDirection }] : [];
+  if (!current) return [...sortKeys, { columnId, direction: 'asc' }];
+  return nextDirection
+    ? sortKeys.map(key => (key.columnId === columnId ? { columnId, direction: nextDirection } : key))
+    : sortKeys.filter(key => key.columnId !== columnId);
+};
@@ -0,0 +1,233 @@
+// Lanczos approximation coefficients (g = 7) for the log-gamma function
+const lanczosCoefficients = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function.
+ * @param {number} x A positive number.
+ * @returns {number} ln Γ(x).
+ */
+const logGamma = (x) => {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  lanczosCoefficients.forEach((coefficient, i) => {
+    sum += coefficient / (z + i + 1);
+  });
+  const t = z + lanczosCoefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz's method).
+ * @param {number} a First shape parameter.
+ * @param {number} b Second shape parameter.
+ * @param {number} x The evaluation point.
+ * @returns {number} The continued fraction value.
+ */
+const betaContinuedFraction = (a, b, x) => {
+  const maxIterations = 300;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+  const clamp = (value) => (Math.abs(value) < tiny ? tiny : value);
+
+  let c = 1;
+  let d = 1 / clamp(1 - (a + b) * x / (a + 1));
+  let h = d;
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a - 1 + m2) * (a + m2));
+    d = 1 / clamp(1 + aa * d);
+    c = clamp(1 + aa / c);
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + 1 + m2));
+    d = 1 / clamp(1 + aa * d);
+    c = clamp(1 + aa / c);
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ * @param {number} x The evaluation point, between 0 and 1.
+ * @param {number} a First shape parameter.
+ * @param {number} b Second shape parameter.
+ * @returns {number} I_x(a, b).
+ */
+const regularizedIncompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(a, b, x) / a;
+  }
+  return 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+};
+
+/**
+ * Two-sided p-value of Student's t distribution.
+ * @param {number} t The t statistic.
+ * @param {number} df Degrees of freedom.
+ * @returns {number} The p-value.
+ */
+const studentTTwoSidedP = (t, df) => regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+/**
+ * Arithmetic mean of a list of numbers.
+ * @param {number[]} values The values.
+ * @returns {number} The mean, or NaN for an empty list.
+ */
+export const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Median of a list of numbers.
+ * @param {number[]} values The values.
+ * @returns {number} The median, or NaN for an empty list.
+ */
+export const median = (values) => {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Quantile with linear interpolation between order statistics.
+ * @param {number[]} sorted Values sorted ascending.
+ * @param {number} fraction The quantile, between 0 and 1.
+ * @returns {number} The quantile, or NaN for an empty list.
+ */
+export const quantile = (sorted, fraction) => {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Pearson correlation of two equally long lists.
+ * @param {number[]} a First list.
+ * @param {number[]} b Second list.
+ * @returns {number} The correlation, or NaN for fewer than two pairs or a list without spread.
+ */
+export const pearsonCorrelation = (a, b) => {
+  if (a.length < 2) return NaN;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  if (varianceA === 0 || varianceB === 0) return NaN;
+  return covariance / Math.sqrt(varianceA * varianceB);
+};
+
+/**
+ * Sample variance (n - 1 denominator).
+ * @param {number[]} values At least two values.
+ * @returns {number} The variance.
+ */
+export const variance = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Welch's unequal-variance two-sample t-test.
+ * @param {number[]} a First group.
+ * @param {number[]} b Second group.
+ * @returns {{t: number, df: number, pValue: number}|null} The test result, or null when either
+ * group has fewer than two values or both groups have zero variance.
+ */
+export const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+  const seA = variance(a) / a.length;
+  const seB = variance(b) / b.length;
+  const se = seA + seB;
+  if (se === 0) return null;
+  const t = (mean(a) - mean(b)) / Math.sqrt(se);
+  const df = (se * se) / ((seA * seA) / (a.length - 1) + (seB * seB) / (b.length - 1));
+  return { t, df, pValue: studentTTwoSidedP(t, df) };
+};
+
+/**
+ * Benjamini–Hochberg adjusted q-values. Null p-values are skipped and stay null.
+ * @param {(number|null)[]} pValues The p-values.
+ * @returns {(number|null)[]} The q-values, in the same order.
+ */
+export const benjaminiHochberg = (pValues) => {
+  const ranked = pValues
+    .map((pValue, index) => ({ pValue, index }))
+    .filter(entry => entry.pValue !== null)
+    .sort((x, y) => x.pValue - y.pValue);
+  const qValues = pValues.map(() => null);
+  let running = 1;
+  for (let i = ranked.length - 1; i >= 0; i--) {
+    running = Math.min(running, ranked[i].pValue * ranked.length / (i + 1));
+    qValues[ranked[i].index] = running;
+  }
+  return qValues;
+};
+
+/**
+ * @typedef {object} DifferentialResult
+ * @property {string} accession The protein accession.
+ * @property {string} description The protein description.
+ * @property {string} diseaseAssociation The disease association.
+ * @property {number} caseCount Number of case samples with a value.
+ * @property {number} controlCount Number of control samples with a value.
+ * @property {number} imputedCount Number of those values that were imputed.
+ * @property {number|null} log2FoldChange Mean log2 case minus mean log2 control.
+ * @property {number|null} pValue Welch t-test p-value.
+ * @property {number|null} qValue Benjamini–Hochberg adjusted p-value.
+ */
+
+/**
+ * Per-accession differential abundance between two conditions, from the comparison matrix.
+ * Missing values that were not imputed are left out; proteins without a value in both conditions
+ * get no fold change.
+ * @param {object[]} rows Comparison rows (see buildComparisonMatrix).
+ * @param {string[]} caseSamples Sample names in the case condition.
+ * @param {string[]} controlSamples Sample names in the control condition.
+ * @param {boolean} alreadyLog2 Whether the normalized areas are already log2-transformed.
+ * @returns {DifferentialResult[]} One result per accession.
+ */
+export const differentialAbundance = (rows, caseSamples, controlSamples, alreadyLog2) => {
+  const toLog2 = (cell) => {
+    if (cell.normalizedArea === null || cell.normalizedArea === undefined) return null;
+    if (alreadyLog2) return cell.normalizedArea;
+    return cell.normalizedArea > 0 ? Math.log2(cell.normalizedArea) : null;
+  };
+  const valuesFor = (row, samples) => samples.map(sampleName => toLog2(row.cells[sampleName])).filter(v => v !== null);
+  const countImputed = (row, samples) => samples.filter(sampleName => row.cells[sampleName].imputed && toLog2(row.cells[sampleName]) !== null).length;
+
+  const results = rows.map(row => {
+    const caseValues = valuesFor(row, caseSamples);
+    const controlValues = valuesFor(row, controlSamples);
+    const test = welchTTest(caseValues, controlValues);
+    return {
+      accession: row.accession,
+      description: row.description,
+      diseaseAssociation: row.diseaseAssociation,
+      caseCount: caseValues.length,
+      controlCount: controlValues.length,
+      imputedCount: countImputed(row, caseSamples) + countImputed(row, controlSamples),
+      log2FoldChange: caseValues.length && controlValues.length ? mean(caseValues) - mean(controlValues) : null,
+      pValue: test ? test.pValue : null,
+    };
+  });
+  const qValues = benjaminiHochberg(results.map(result => result.pValue));
+  return results.map((result, i) => ({ ...result, qValue: qValues[i] }));
+};
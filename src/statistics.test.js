@@ -0,0 +1,43 @@
+import { welchTTest, benjaminiHochberg } from './statistics';
+
+describe('welchTTest', () => {
+  it('matches the reference t statistic, degrees of freedom and p-value', () => {
+    // R: t.test(1:5, c(2, 4, 6, 8, 10)) gives t = -1.8974, df = 5.8824, p-value = 0.1076
+    const { t, df, pValue } = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+    expect(t).toBeCloseTo(-1.8974, 4);
+    expect(df).toBeCloseTo(5.8824, 4);
+    expect(pValue).toBeCloseTo(0.1076, 3);
+  });
+
+  it('is symmetric in the order of the groups', () => {
+    const forward = welchTTest([5.1, 4.8, 5.6], [3.2, 3.9, 3.1, 3.5]);
+    const reverse = welchTTest([3.2, 3.9, 3.1, 3.5], [5.1, 4.8, 5.6]);
+    expect(reverse.t).toBeCloseTo(-forward.t, 10);
+    expect(reverse.pValue).toBeCloseTo(forward.pValue, 10);
+  });
+
+  it('returns null for groups too small or without variance', () => {
+    expect(welchTTest([1], [2, 3])).toBeNull();
+    expect(welchTTest([2, 2], [3, 3, 3])).toBeNull();
+  });
+});
+
+describe('benjaminiHochberg', () => {
+  it('matches the reference q-values in the input order', () => {
+    // R: p.adjust(c(0.01, 0.04, 0.03, 0.005), 'BH')
+    const qValues = benjaminiHochberg([0.01, 0.04, 0.03, 0.005]);
+    [0.02, 0.04, 0.04, 0.02].forEach((expected, index) => expect(qValues[index]).toBeCloseTo(expected, 10));
+  });
+
+  it('keeps q-values monotone and at most 1', () => {
+    expect(benjaminiHochberg([0.9, 0.5, 0.8])).toEqual([0.9, 0.9, 0.9]);
+  });
+
+  it('skips null p-values without counting them as tests', () => {
+    const qValues = benjaminiHochberg([null, 0.02, null, 0.04]);
+    expect(qValues[0]).toBeNull();
+    expect(qValues[2]).toBeNull();
+    expect(qValues[1]).toBeCloseTo(0.04, 10);
+    expect(qValues[3]).toBeCloseTo(0.04, 10);
+  });
+});
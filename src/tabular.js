@@ -0,0 +1,273 @@
+/**
+ * Column delimiters recognized in tabular files, with their display names. The delimiter of a
+ * file is the one found most often in its header; ties go to the tab.
+ */
+export const DELIMITERS = {
+  '\t': 'Tab',
+  ',': 'Comma',
+  ';': 'Semicolon',
+};
+
+// Skipped rows listed individually per file; the rest are only counted
+const MAX_REPORTED_ROWS = 200;
+// Data rows inspected to decide whether the file writes numbers with a decimal comma
+const FORMAT_SAMPLE_ROWS = 100;
+
+const decimalCommaPattern = /^[-+]?\d*,\d+(?:[eE][-+]?\d+)?$/;
+const decimalPointPattern = /^[-+]?\d*\.\d+(?:[eE][-+]?\d+)?$/;
+const thousandsCommaPattern = /^[-+]?\d{1,3}(?:,\d{3})+$/;
+const thousandsPointPattern = /^[-+]?[1-9]\d{0,2}(?:\.\d{3})+$/;
+
+/**
+ * @typedef {object} SkippedRow
+ * @property {number} line Line of the file on which the row starts (1-based).
+ * @property {string} reason Why the row was skipped.
+ */
+
+/**
+ * @typedef {object} TableReport
+ * @property {string} fileName The file name.
+ * @property {string|null} delimiter The detected delimiter (a key of DELIMITERS), or null for a file without a header.
+ * @property {boolean} decimalComma Whether numbers are written with a decimal comma.
+ * @property {number} rowCount Data rows read, including the skipped ones.
+ * @property {number} skippedCount Data rows skipped.
+ * @property {SkippedRow[]} skippedRows The first skipped rows, with their reasons.
+ * @property {{column: string, header: string}[]} headerMatches Columns found under a similar, not identical, header.
+ */
+
+/**
+ * Parses a number written with either decimal separator. When both '.' and ',' appear, the last
+ * one is the decimal separator. A lone ',' followed by groups of three digits ("1,234") is a
+ * thousands separator unless the file uses decimal commas; in such files "1.234" is 1234.
+ * @param {string} value The cell value.
+ * @param {boolean} [decimalComma] Whether the file writes numbers with a decimal comma.
+ * @returns {number} The number, or NaN for an empty or non-numeric cell.
+ */
+export const parseNumber = (value, decimalComma = false) => {
+  let text = (value || '').replace(/\s/g, '');
+  if (text === '') return NaN;
+  const lastComma = text.lastIndexOf(',');
+  const lastPoint = text.lastIndexOf('.');
+  if (lastComma !== -1 && lastPoint !== -1) {
+    text = lastComma > lastPoint ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    text = decimalComma || !thousandsCommaPattern.test(text) ? text.replace(',', '.') : text.replace(/,/g, '');
+  } else if (decimalComma && thousandsPointPattern.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Picks the delimiter found most often outside quotes in a header line.
+ * @param {string} line The header line.
+ * @returns {string} The delimiter.
+ */
+const detectDelimiter = (line) => {
+  const counts = Object.fromEntries(Object.keys(DELIMITERS).map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char in counts) counts[char] += 1;
+  }
+  return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), '\t');
+};
+
+/**
+ * Whether the numeric cells of some rows use decimal commas rather than decimal points.
+ * @param {string[][]} rows The rows.
+ * @returns {boolean} True if decimal commas are more common.
+ */
+const detectDecimalComma = (rows) => {
+  let commas = 0;
+  let points = 0;
+  rows.forEach(cells => cells.forEach(cell => {
+    if (decimalCommaPattern.test(cell) && !thousandsCommaPattern.test(cell)) commas += 1;
+    else if (decimalPointPattern.test(cell)) points += 1;
+  }));
+  return commas > points;
+};
+
+/**
+ * Reads one record that contains quotes, starting at `start`. Quoted fields may contain the
+ * delimiter, line breaks and doubled quotes (RFC 4180).
+ * @param {string} text The buffered text, with '\n' line endings.
+ * @param {number} start Index at which the record starts.
+ * @param {string} delimiter The column delimiter.
+ * @param {boolean} final Whether the text runs to the end of the file.
+ * @returns {{cells: string[], end: number, lineCount: number}|null} The trimmed cells, the index
+ * after the record and the number of lines it spans; null when the record continues past the text.
+ */
+const readQuotedRecord = (text, start, delimiter, final) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  let inQuotes = false;
+  let lineCount = 1;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char !== '"') {
+        if (char === '\n') lineCount += 1;
+        cell += char;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (i + 1 === text.length && !final) {
+        // The next chunk may start with the second quote of an escaped pair
+        return null;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"' && !quoted && cell.trim() === '') {
+      inQuotes = true;
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter || char === '\n') {
+      cells.push(cell.trim());
+      cell = '';
+      quoted = false;
+      if (char === '\n') return { cells, end: i + 1, lineCount };
+    } else {
+      cell += char;
+    }
+  }
+  if (!final) return null;
+  cells.push(cell.trim());
+  return { cells, end: text.length, lineCount };
+};
+
+/**
+ * Streaming reader for delimited text files (tab, comma or semicolon separated). Handles a UTF-8
+ * byte order mark, CRLF and CR line endings, quoted fields spanning lines, and blank lines. The
+ * first record is the header. Data rows are passed on with their line number; a row is skipped
+ * and reported when it has more non-empty cells than the header or when `onRow` returns a reason.
+ * @param {object} options
+ * @param {string} options.fileName The file name, for the report.
+ * @param {string} [options.commentPrefix] Lines starting with this text are ignored.
+ * @param {function(string[], TableReport): void} options.onHeader Receives the header cells and
+ * the file's report; the number format is only known once the first rows were read.
+ * @param {function(string[], number): (string|undefined)} options.onRow Receives the cells of a
+ * data row and its line number; returns the reason when the row is skipped.
+ * @returns {{push: function(string): void, end: function(): TableReport}} Feed the text in chunks
+ * with `push`, then call `end` for the report.
+ */
+export const createTableReader = ({ fileName, commentPrefix, onHeader, onRow }) => {
+  const report = { fileName, delimiter: null, decimalComma: false, rowCount: 0, skippedCount: 0, skippedRows: [], headerMatches: [] };
+  let text = '';
+  let started = false;
+  let carriageReturn = false;
+  // Line number of the first character of `text`
+  let lineNumber = 1;
+  let headerLength = -1;
+  // Rows held back until the number format is known
+  let sampledRows = [];
+
+  const skip = (line, reason) => {
+    report.skippedCount += 1;
+    if (report.skippedRows.length < MAX_REPORTED_ROWS) report.skippedRows.push({ line, reason });
+  };
+
+  const dispatch = (cells, line) => {
+    report.rowCount += 1;
+    if (cells.length > headerLength && cells.slice(headerLength).some(cell => cell !== '')) {
+      skip(line, `${cells.length} columns, but the header has ${headerLength}`);
+      return;
+    }
+    const reason = onRow(cells, line);
+    if (reason) skip(line, reason);
+  };
+
+  const releaseSampledRows = () => {
+    report.decimalComma = detectDecimalComma(sampledRows.map(row => row.cells));
+    const rows = sampledRows;
+    sampledRows = null;
+    rows.forEach(row => dispatch(row.cells, row.line));
+  };
+
+  const handleRecord = (cells, line) => {
+    if (headerLength === -1) {
+      headerLength = cells.length;
+      onHeader(cells, report);
+    } else if (sampledRows) {
+      sampledRows.push({ cells, line });
+      if (sampledRows.length >= FORMAT_SAMPLE_ROWS) releaseSampledRows();
+    } else {
+      dispatch(cells, line);
+    }
+  };
+
+  const readRecords = (final) => {
+    let position = 0;
+    while (position < text.length) {
+      const newline = text.indexOf('\n', position);
+      if (newline === -1 && !final) break;
+      const end = newline === -1 ? text.length : newline;
+      const line = text.slice(position, end);
+      if (line.trim() === '' || (commentPrefix && line.startsWith(commentPrefix))) {
+        position = end + 1;
+        lineNumber += 1;
+        continue;
+      }
+      if (!report.delimiter) report.delimiter = detectDelimiter(line);
+      if (!line.includes('"')) {
+        handleRecord(line.split(report.delimiter).map(cell => cell.trim()), lineNumber);
+        position = end + 1;
+        lineNumber += 1;
+        continue;
+      }
+      const record = readQuotedRecord(text, position, report.delimiter, final);
+      if (!record) break;
+      handleRecord(record.cells, lineNumber);
+      position = record.end;
+      lineNumber += record.lineCount;
+    }
+    text = text.slice(position);
+  };
+
+  return {
+    push: (chunk) => {
+      let next = (carriageReturn ? '\r' : '') + (started ? chunk : chunk.replace(/^\uFEFF/, ''));
+      started = true;
+      // A CR at the end of a chunk may be the first half of a CRLF
+      carriageReturn = next.endsWith('\r');
+      if (carriageReturn) next = next.slice(0, -1);
+      text += next.replace(/\r\n?/g, '\n');
+      readRecords(false);
+    },
+    end: () => {
+      if (carriageReturn) text += '\n';
+      carriageReturn = false;
+      readRecords(true);
+      if (sampledRows) releaseSampledRows();
+      return report;
+    },
+  };
+};
+
+/**
+ * Reads a whole delimited text at once (see createTableReader).
+ * @param {string} text The file contents.
+ * @param {object} [options]
+ * @param {string} [options.fileName] The file name, for the report.
+ * @param {string} [options.commentPrefix] Lines starting with this text are ignored.
+ * @returns {{headers: string[], rows: {cells: string[], line: number}[], report: TableReport}} The
+ * header cells (empty without a header), the data rows and the report.
+ */
+export const parseTable = (text, { fileName = '', commentPrefix } = {}) => {
+  let headers = [];
+  const rows = [];
+  const reader = createTableReader({
+    fileName,
+    commentPrefix,
+    onHeader: (cells) => {
+      headers = cells;
+    },
+    onRow: (cells, line) => {
+      rows.push({ cells, line });
+    },
+  });
+  reader.push(text);
+  return { headers, rows, report: reader.end() };
+};
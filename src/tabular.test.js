@@ -0,0 +1,93 @@
+import { parseNumber, parseTable, createTableReader } from './tabular';
+
+describe('parseNumber', () => {
+  it('reads decimal points and decimal commas', () => {
+    expect(parseNumber('1.5')).toBe(1.5);
+    expect(parseNumber('1,5')).toBe(1.5);
+    expect(parseNumber('-2.5e3')).toBe(-2500);
+  });
+
+  it('takes the last separator as the decimal one when both appear', () => {
+    expect(parseNumber('1,234.5')).toBe(1234.5);
+    expect(parseNumber('1.234,5')).toBe(1234.5);
+  });
+
+  it('reads a lone comma before three digits as a thousands separator unless the file uses decimal commas', () => {
+    expect(parseNumber('1,234')).toBe(1234);
+    expect(parseNumber('1,234', true)).toBe(1.234);
+    expect(parseNumber('1.234', true)).toBe(1234);
+    expect(parseNumber('0.234', true)).toBe(0.234);
+  });
+
+  it('ignores spaces and returns NaN for empty or non-numeric cells', () => {
+    expect(parseNumber(' 1 234 ')).toBe(1234);
+    expect(parseNumber('')).toBeNaN();
+    expect(parseNumber(undefined)).toBeNaN();
+    expect(parseNumber('n/a')).toBeNaN();
+  });
+});
+
+describe('parseTable', () => {
+  it('detects the delimiter from the header', () => {
+    expect(parseTable('a\tb\n1\t2').report.delimiter).toBe('\t');
+    expect(parseTable('a,b\n1,2').report.delimiter).toBe(',');
+    const { headers, rows, report } = parseTable('a;b\n1,5;2');
+    expect(report.delimiter).toBe(';');
+    expect(headers).toEqual(['a', 'b']);
+    expect(rows[0].cells).toEqual(['1,5', '2']);
+  });
+
+  it('strips a byte order mark and handles CRLF and CR line endings', () => {
+    const { headers, rows } = parseTable('﻿a\tb\r\n1\t2\r3\t4\r\n');
+    expect(headers).toEqual(['a', 'b']);
+    expect(rows.map(row => row.cells)).toEqual([['1', '2'], ['3', '4']]);
+  });
+
+  it('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const { rows } = parseTable('id,description,area\nP1,"kinase, ""putative""\nsecond line",3\nP2,plain,4\n');
+    expect(rows[0]).toEqual({ cells: ['P1', 'kinase, "putative"\nsecond line', '3'], line: 2 });
+    expect(rows[1]).toEqual({ cells: ['P2', 'plain', '4'], line: 4 });
+  });
+
+  it('skips blank and comment lines but keeps line numbers', () => {
+    const { headers, rows } = parseTable('# comment\na\tb\n\n1\t2\n', { commentPrefix: '#' });
+    expect(headers).toEqual(['a', 'b']);
+    expect(rows).toEqual([{ cells: ['1', '2'], line: 4 }]);
+  });
+
+  it('detects decimal commas from the data rows', () => {
+    expect(parseTable('a;b\n1,5;2,25\n3,75;4').report.decimalComma).toBe(true);
+    expect(parseTable('a,b\n1.5,2.25\n1,234,4').report.decimalComma).toBe(false);
+  });
+
+  it('skips and reports rows with more non-empty cells than the header', () => {
+    const { rows, report } = parseTable('a\tb\n1\t2\t3\n4\t5\t\n');
+    expect(rows).toEqual([{ cells: ['4', '5', ''], line: 3 }]);
+    expect(report.rowCount).toBe(2);
+    expect(report.skippedCount).toBe(1);
+    expect(report.skippedRows).toEqual([{ line: 2, reason: '3 columns, but the header has 2' }]);
+  });
+});
+
+describe('createTableReader', () => {
+  it('gives the same rows whatever the chunk boundaries', () => {
+    const text = '﻿a,b\r\n"x\r\ny",1\r\n"say ""hi""",2\r\n';
+    const read = (chunkSize) => {
+      const rows = [];
+      const reader = createTableReader({ fileName: 'test.csv', onHeader: () => {}, onRow: (cells, line) => { rows.push({ cells, line }); } });
+      for (let i = 0; i < text.length; i += chunkSize) reader.push(text.slice(i, i + chunkSize));
+      reader.end();
+      return rows;
+    };
+    const expected = [{ cells: ['x\ny', '1'], line: 2 }, { cells: ['say "hi"', '2'], line: 4 }];
+    [1, 2, 3, 7, text.length].forEach(chunkSize => expect(read(chunkSize)).toEqual(expected));
+  });
+
+  it('reports the rows that onRow rejects', () => {
+    const reader = createTableReader({ fileName: 'test.tsv', onHeader: () => {}, onRow: (cells) => (cells[0] ? undefined : 'No accession') });
+    reader.push('accession\tarea\nP1\t1\n\t2\n');
+    const report = reader.end();
+    expect(report.fileName).toBe('test.tsv');
+    expect(report.skippedRows).toEqual([{ line: 3, reason: 'No accession' }]);
+  });
+});
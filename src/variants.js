@@ -0,0 +1,76 @@
+import { parseVariantSite } from './annotations';
+import { getBareSequence } from './peptides';
+
+/**
+ * Evidence statuses for a variant site, shown in the table and the peptide details.
+ */
+export const VARIANT_EVIDENCE_STATUS = {
+  confirmed: 'Confirmed by peptide',
+  notCovered: 'No site-spanning peptide',
+  noSequence: 'No FASTA sequence',
+  mismatch: 'Sequence does not match variant',
+};
+
+/**
+ * Finds the sequence carrying the variant residue. The FASTA database may hold the variant
+ * entry itself (already substituted) or only the canonical protein, in which case the
+ * substitution is applied to the canonical sequence.
+ * @param {import('./annotations').VariantSite} variant The variant site.
+ * @param {string} accession The protein accession.
+ * @param {Map<string, import('./fasta').FastaEntry>|null} fastaEntries The parsed database.
+ * @returns {{sequence: string|null, status: string|null}} The variant sequence, or a status explaining why there is none.
+ */
+const getVariantSequence = (variant, accession, fastaEntries) => {
+  const entry = fastaEntries && (fastaEntries.get(accession) || fastaEntries.get(accession.split('-')[0]));
+  if (!entry || !entry.sequence) return { sequence: null, status: 'noSequence' };
+
+  const index = variant.position - 1;
+  const residue = entry.sequence[index];
+  if (residue === variant.alternate) return { sequence: entry.sequence, status: null };
+  if (residue === variant.reference) {
+    return { sequence: entry.sequence.substring(0, index) + variant.alternate + entry.sequence.substring(index + 1), status: null };
+  }
+  return { sequence: null, status: 'mismatch' };
+};
+
+/**
+ * Lists the observed peptides that span the variant position and carry the variant residue.
+ * @param {import('./annotations').VariantSite} variant The variant site.
+ * @param {string} sequence The sequence carrying the variant residue.
+ * @param {string[]} peptides The observed peptides.
+ * @returns {string[]} The site-spanning peptides (bare sequences).
+ */
+const findSiteSpanningPeptides = (variant, sequence, peptides) => Array.from(new Set(peptides.map(getBareSequence))).filter(peptide => {
+  if (!peptide) return false;
+  let start = sequence.indexOf(peptide);
+  while (start !== -1) {
+    if (start < variant.position && start + peptide.length >= variant.position) return true;
+    start = sequence.indexOf(peptide, start + 1);
+  }
+  return false;
+});
+
+/**
+ * Adds the variant site and its peptide evidence to each protein record. Records without a
+ * parsable substitution get a null `variant` and a null `variantEvidence`.
+ * @param {object[]} proteins Flat protein records.
+ * @param {Map<string, import('./fasta').FastaEntry>|null} fastaEntries The parsed database.
+ * @returns {object[]} New records with `variant`, `variantEvidence` and `variantConfirmingPeptidesCount` set.
+ */
+export const addVariantEvidence = (proteins, fastaEntries) => proteins.map(protein => {
+  const variant = parseVariantSite(protein.accession, protein.description);
+  if (!variant) {
+    return { ...protein, variant: null, variantEvidence: null, variantConfirmingPeptidesCount: 0 };
+  }
+  const { sequence, status } = getVariantSequence(variant, protein.accession, fastaEntries);
+  const confirmingPeptides = sequence ? findSiteSpanningPeptides(variant, sequence, [...protein.uniquePeptides, ...protein.sharedPeptides]) : [];
+  return {
+    ...protein,
+    variant,
+    variantEvidence: {
+      status: status || (confirmingPeptides.length > 0 ? 'confirmed' : 'notCovered'),
+      confirmingPeptides,
+    },
+    variantConfirmingPeptidesCount: confirmingPeptides.length,
+  };
+});
@@ -0,0 +1,132 @@
+import { createZip } from './zip';
+
+// Minimal SpreadsheetML (Office Open XML) workbook writer. Cells are written as numbers or
+// inline strings, so no shared string table is needed.
+
+const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Escapes text for XML and drops the control characters XML 1.0 cannot hold.
+ * @param {string} text The text.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text) => String(text)
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters (0 → A, 26 → AA).
+ * @param {number} index The column index.
+ * @returns {string} The column letters.
+ */
+const columnLetters = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Makes sheet names valid and unique: at most 31 characters, none of []:*?/\.
+ * @param {string[]} names The requested names.
+ * @returns {string[]} The usable names.
+ */
+const getSheetNames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    const base = (name.replace(/[[\]:*?/\\]/g, '_').trim() || 'Sheet').substring(0, 31);
+    let unique = base;
+    for (let suffix = 2; used.has(unique.toLowerCase()); suffix++) {
+      unique = `${base.substring(0, 31 - String(suffix).length - 1)}_${suffix}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+/**
+ * Writes one worksheet. The bold style (s="1") is applied to the rows listed in `boldRows`.
+ * @param {(string|number|null)[][]} rows The cell values; null and '' leave the cell empty.
+ * @param {Set<number>} boldRows Indices of the rows to show in bold.
+ * @returns {string} The worksheet XML.
+ */
+const buildSheetXml = (rows, boldRows) => {
+  const rowXml = rows.map((row, rowIndex) => {
+    const style = boldRows.has(rowIndex) ? ' s="1"' : '';
+    const cells = row.map((value, columnIndex) => {
+      if (value === null || value === undefined || value === '') return '';
+      const ref = `${columnLetters(columnIndex)}${rowIndex + 1}`;
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      // Excel rejects cells longer than 32767 characters
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value).substring(0, 32767))}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+  return `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXml}</sheetData></worksheet>`;
+};
+
+/**
+ * @typedef {object} WorksheetData
+ * @property {string} name Sheet name; made valid and unique when needed.
+ * @property {(string|number|null)[][]} rows Cell values, row by row.
+ * @property {number[]} [boldRows] Indices of the rows to show in bold, such as the column headers.
+ */
+
+/**
+ * Builds an XLSX workbook.
+ * @param {WorksheetData[]} sheets The worksheets, in tab order.
+ * @returns {Promise<Blob>} The workbook file.
+ */
+export const createWorkbook = async (sheets) => {
+  const names = getSheetNames(sheets.map(sheet => sheet.name));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+        + names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+        + '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      // Style 0 is the default, style 1 is bold
+      name: 'xl/styles.xml',
+      data: `${xmlHeader}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: buildSheetXml(sheet.rows, new Set(sheet.boldRows || [])) })),
+  ];
+  const zip = await createZip(files);
+  return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
@@ -0,0 +1,143 @@
+// Minimal ZIP reader and writer (PKWARE APPNOTE), so project files and workbooks can be built
+// and opened in the browser without a library. Entries are deflated with the native
+// CompressionStream when the browser supports it and stored otherwise.
+
+const crcTable = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum used by ZIP.
+ * @param {Uint8Array} bytes The data.
+ * @returns {number} The unsigned checksum.
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Runs bytes through a native compression or decompression stream.
+ * @param {Uint8Array} bytes The input.
+ * @param {CompressionStream|DecompressionStream} stream The transform.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+const transform = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const deflate = async (bytes) => {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    return await transform(bytes, new CompressionStream('deflate-raw'));
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Builds a ZIP archive.
+ * @param {{name: string, data: (string|Uint8Array)}[]} entries The files to store; strings are UTF-8 encoded.
+ * @returns {Promise<Blob>} The archive.
+ */
+export const createZip = async (entries) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const deflated = await deflate(data);
+    const compressed = deflated && deflated.length < data.length ? deflated : data;
+    const method = compressed === data ? 0 : 8;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, method, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, compressed);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, method, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralDirectory.push(central, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+};
+
+/**
+ * Reads the files of a ZIP archive. Stored and deflated entries are supported.
+ * @param {ArrayBuffer} buffer The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} File name to uncompressed content.
+ */
+export const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('The file is not a ZIP archive.');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('The ZIP archive is damaged.');
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+
+    const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = new Uint8Array(buffer, dataOffset, compressedSize);
+    if (method === 0) {
+      files.set(name, compressed.slice());
+    } else if (method === 8) {
+      if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot decompress ZIP archives.');
+      files.set(name, await transform(compressed, new DecompressionStream('deflate-raw')));
+    } else {
+      throw new Error(`Unsupported compression method in ZIP entry "${name}".`);
+    }
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};